@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const fieldChangeSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            required: true,
+        },
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+    },
+    { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+    {
+        actor: {
+            admin: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Admin",
+            },
+            email: {
+                type: String,
+            },
+            role: {
+                type: String,
+            },
+            apiKey: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "ApiKey",
+            },
+        },
+        actorType: {
+            type: String,
+            enum: ["admin", "api-key", "system"],
+            default: "system",
+        },
+        action: {
+            type: String,
+            enum: ["create", "update", "delete", "request"],
+            required: [true, "Audit action is required"],
+        },
+        targetModel: {
+            type: String,
+        },
+        targetId: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        changes: {
+            type: [fieldChangeSchema],
+            default: [],
+        },
+        // Bulk writes are logged once: the query filter (as JSON, since
+        // operator keys cannot be stored) and how many documents it changed
+        filter: {
+            type: String,
+        },
+        affectedCount: {
+            type: Number,
+        },
+        request: {
+            method: {
+                type: String,
+            },
+            path: {
+                type: String,
+            },
+            statusCode: {
+                type: Number,
+            },
+        },
+        ipAddress: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+        requestId: {
+            type: String,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Indexes for faster queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "actor.admin": 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
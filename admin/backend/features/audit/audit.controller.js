@@ -0,0 +1,37 @@
+import * as auditService from "./audit.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listAuditLogs(req, res, next) {
+    try {
+        const { data, pagination, summary } = await auditService.listAuditLogs(
+            req.query
+        );
+
+        return apiResponse.successWithMeta(
+            res,
+            "Audit logs fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listAuditLogs controller:", error.message);
+        next(error);
+    }
+}
+
+async function getAuditLog(req, res, next) {
+    try {
+        const { data } = await auditService.getAuditLogById(req.params.id);
+
+        return apiResponse.success(res, "Audit log fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getAuditLog controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Audit log not found");
+        }
+        next(error);
+    }
+}
+
+export { listAuditLogs, getAuditLog };
@@ -0,0 +1,30 @@
+import { recordAuditEntry } from "./audit.service.js";
+import { getRequestContext } from "../../shared/utils/request-context.util.js";
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Records one "request" entry per mutating request once the response is
+// sent. Model level changes made while handling it share its requestId.
+function auditRequestMiddleware(req, res, next) {
+    if (!MUTATING_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    // Captured now: "finish" listeners run outside the request context,
+    // but the actor set later by authMiddleware lands on this same object
+    const context = getRequestContext();
+
+    res.on("finish", () => {
+        recordAuditEntry(
+            {
+                action: "request",
+                request: { statusCode: res.statusCode },
+            },
+            context
+        );
+    });
+
+    next();
+}
+
+export default auditRequestMiddleware;
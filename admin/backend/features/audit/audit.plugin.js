@@ -0,0 +1,164 @@
+import { recordAuditEntry, diffDocuments } from "./audit.service.js";
+
+const UPDATE_QUERIES = ["updateOne", "findOneAndUpdate"];
+const DELETE_QUERIES = ["deleteOne", "findOneAndDelete"];
+const BULK_QUERIES = ["updateMany", "deleteMany"];
+
+/**
+ * Mongoose plugin recording create/update/delete audit entries with a
+ * before/after field diff. Actor, IP and request id come from the request
+ * context, so services do not need to log anything themselves.
+ * updateMany/deleteMany write one summary entry (filter, $set fields and
+ * count) instead of loading and diffing every matched document.
+ *
+ * Usage:
+ * productSchema.plugin(auditPlugin);
+ * inventorySchema.plugin(auditPlugin, { exclude: ["movements"] });
+ */
+function auditPlugin(schema, options = {}) {
+    const excludedFields = options.exclude || [];
+
+    // Snapshot loaded documents so saves can be diffed against them
+    schema.post("init", function () {
+        this.$locals.auditSnapshot = this.toObject({ depopulate: true });
+    });
+
+    schema.pre("save", function (next) {
+        this.$locals.auditWasNew = this.isNew;
+        next();
+    });
+
+    schema.post("save", async function (doc) {
+        const before = doc.$locals.auditWasNew
+            ? {}
+            : doc.$locals.auditSnapshot || {};
+        const after = doc.toObject({ depopulate: true });
+
+        doc.$locals.auditSnapshot = after;
+
+        const changes = diffDocuments(before, after, excludedFields);
+        if (changes.length === 0) return;
+
+        await recordAuditEntry(
+            {
+                action: doc.$locals.auditWasNew ? "create" : "update",
+                targetModel: doc.constructor.modelName,
+                targetId: doc._id,
+                changes,
+            },
+            undefined,
+            doc.$session()
+        );
+    });
+
+    // Document deleteOne() runs the query hooks below as well
+    schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function () {
+        this._auditBefore = await this.model
+            .find(this.getFilter())
+            .session(this.getOptions().session || null)
+            .limit(1)
+            .lean();
+    });
+
+    schema.post(UPDATE_QUERIES, async function (result) {
+        const session = this.getOptions().session || null;
+        const beforeDocs = this._auditBefore || [];
+        const modelName = this.model.modelName;
+
+        if (beforeDocs.length === 0) {
+            const upsertedId = result?.upsertedId;
+            if (!upsertedId) return;
+
+            const created = await this.model
+                .findById(upsertedId)
+                .session(session)
+                .lean();
+
+            await recordAuditEntry(
+                {
+                    action: "create",
+                    targetModel: modelName,
+                    targetId: upsertedId,
+                    changes: diffDocuments({}, created, excludedFields),
+                },
+                undefined,
+                session
+            );
+            return;
+        }
+
+        const afterDocs = await this.model
+            .find({ _id: { $in: beforeDocs.map((doc) => doc._id) } })
+            .session(session)
+            .lean();
+        const afterById = new Map(
+            afterDocs.map((doc) => [doc._id.toString(), doc])
+        );
+
+        for (const before of beforeDocs) {
+            const changes = diffDocuments(
+                before,
+                afterById.get(before._id.toString()),
+                excludedFields
+            );
+            if (changes.length === 0) continue;
+
+            await recordAuditEntry(
+                {
+                    action: "update",
+                    targetModel: modelName,
+                    targetId: before._id,
+                    changes,
+                },
+                undefined,
+                session
+            );
+        }
+    });
+
+    schema.post(BULK_QUERIES, async function (result) {
+        const isUpdate = this.op === "updateMany";
+        const affectedCount = isUpdate
+            ? (result?.modifiedCount || 0) + (result?.upsertedCount || 0)
+            : result?.deletedCount || 0;
+
+        if (affectedCount === 0) return;
+
+        await recordAuditEntry(
+            {
+                action: isUpdate ? "update" : "delete",
+                targetModel: this.model.modelName,
+                filter: JSON.stringify(this.getFilter()),
+                affectedCount,
+                changes: isUpdate
+                    ? diffDocuments(
+                          {},
+                          this.getUpdate()?.$set || {},
+                          excludedFields
+                      )
+                    : [],
+            },
+            undefined,
+            this.getOptions().session || null
+        );
+    });
+
+    schema.post(DELETE_QUERIES, async function () {
+        const session = this.getOptions().session || null;
+
+        for (const before of this._auditBefore || []) {
+            await recordAuditEntry(
+                {
+                    action: "delete",
+                    targetModel: this.model.modelName,
+                    targetId: before._id,
+                    changes: diffDocuments(before, {}, excludedFields),
+                },
+                undefined,
+                session
+            );
+        }
+    });
+}
+
+export default auditPlugin;
@@ -0,0 +1,17 @@
+import express from "express";
+import * as auditController from "./audit.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get("/", requirePermission("audit.view"), auditController.listAuditLogs);
+router.get(
+    "/:id",
+    requirePermission("audit.view"),
+    auditController.getAuditLog
+);
+
+export default router;
@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import AuditLog from "./audit-log.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { getRequestContext } from "../../shared/utils/request-context.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+// Never diffed: bookkeeping fields that change on every write
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Diffed, but values are never written to the audit log
+const REDACTED_FIELDS = [
+    "password",
+    "passwordResetTokenHash",
+    "passwordResetExpiresAt",
+    "twoFactor.secret",
+    "twoFactor.pendingSecret",
+    "twoFactor.recoveryCodes",
+    "twoFactor.lastUsedStep",
+];
+const REDACTED_VALUE = "[REDACTED]";
+
+async function recordAuditEntry(entry, context = getRequestContext(), session) {
+    try {
+        const actor = context?.actor;
+
+        const auditEntry = {
+            ...entry,
+            actor: actor || undefined,
+            actorType: actor?.apiKey ? "api-key" : actor ? "admin" : "system",
+            ipAddress: context?.ipAddress,
+            userAgent: context?.userAgent,
+            requestId: context?.requestId,
+            request: {
+                method: context?.method,
+                path: context?.path,
+                ...entry.request,
+            },
+        };
+
+        // Written in the caller's transaction so aborted changes leave no trace
+        await AuditLog.create([auditEntry], { session });
+    } catch (error) {
+        // Inside a transaction the change must not commit without its entry
+        if (session) {
+            throw error;
+        }
+
+        logger.error(
+            `Failed to record audit entry (${entry.action} ${
+                entry.targetModel || ""
+            } ${entry.targetId || ""}):`,
+            error.message
+        );
+    }
+}
+
+function diffDocuments(before, after, excludedFields = []) {
+    const beforeFields = flattenDocument(toPlainValue(before || {}));
+    const afterFields = flattenDocument(toPlainValue(after || {}));
+    const fields = new Set([
+        ...Object.keys(beforeFields),
+        ...Object.keys(afterFields),
+    ]);
+
+    const changes = [];
+
+    for (const field of fields) {
+        if (isFieldExcluded(field, [...IGNORED_FIELDS, ...excludedFields])) {
+            continue;
+        }
+
+        const beforeValue = beforeFields[field];
+        const afterValue = afterFields[field];
+
+        if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+            continue;
+        }
+
+        const isRedacted = isFieldExcluded(field, REDACTED_FIELDS);
+
+        changes.push({
+            field,
+            before:
+                isRedacted && beforeValue !== undefined
+                    ? REDACTED_VALUE
+                    : beforeValue,
+            after:
+                isRedacted && afterValue !== undefined
+                    ? REDACTED_VALUE
+                    : afterValue,
+        });
+    }
+
+    return changes;
+}
+
+async function listAuditLogs(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const { actor, action, targetModel, targetId, requestId, from, to } = query;
+
+    const filter = {};
+    if (actor) filter["actor.admin"] = actor;
+    if (action) filter.action = action;
+    if (targetModel) filter.targetModel = targetModel;
+    if (targetId) filter.targetId = targetId;
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [logs, total, actionCounts] = await Promise.all([
+        AuditLog.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        AuditLog.countDocuments(filter),
+        AuditLog.aggregate([
+            { $match: castFilter(filter) },
+            { $group: { _id: "$action", count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const summary = {
+        byAction: actionCounts.reduce((acc, { _id, count }) => {
+            acc[_id] = count;
+            return acc;
+        }, {}),
+    };
+
+    return {
+        data: logs,
+        pagination: buildPagination(page, limit, total),
+        summary,
+    };
+}
+
+async function getAuditLogById(auditLogId) {
+    const auditLog = await AuditLog.findById(auditLogId).lean();
+
+    if (!auditLog) {
+        throw new Error("Audit log not found");
+    }
+
+    return { data: auditLog };
+}
+
+// Aggregation pipelines skip Mongoose casting, so ids must be cast by hand
+function castFilter(filter) {
+    const casted = { ...filter };
+
+    for (const field of ["actor.admin", "targetId"]) {
+        if (casted[field]) {
+            casted[field] = new mongoose.Types.ObjectId(String(casted[field]));
+        }
+    }
+
+    return casted;
+}
+
+function flattenDocument(value, prefix = "", output = {}) {
+    if (isNestedObject(value)) {
+        const keys = Object.keys(value);
+
+        if (keys.length === 0 && prefix) {
+            output[prefix] = {};
+        }
+
+        for (const key of keys) {
+            flattenDocument(
+                value[key],
+                prefix ? `${prefix}.${key}` : key,
+                output
+            );
+        }
+    } else if (prefix) {
+        output[prefix] = value;
+    }
+
+    return output;
+}
+
+function isNestedObject(value) {
+    return (
+        value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        !(value instanceof Date)
+    );
+}
+
+function isFieldExcluded(field, excludedFields) {
+    return excludedFields.some(
+        (excluded) => field === excluded || field.startsWith(`${excluded}.`)
+    );
+}
+
+// Converts ObjectIds, Dates and subdocuments to JSON friendly values
+function toPlainValue(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+export { recordAuditEntry, diffDocuments, listAuditLogs, getAuditLogById };
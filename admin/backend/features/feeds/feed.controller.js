@@ -0,0 +1,58 @@
+import * as feedService from "./feed.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function serveFeed(req, res, next) {
+    try {
+        const { data } = await feedService.getFeedFile(
+            req.params.fileName,
+            req.query.token
+        );
+
+        res.set("Content-Type", data.contentType);
+        res.set("Last-Modified", new Date(data.generatedAt).toUTCString());
+        return res.send(data.content);
+    } catch (error) {
+        logger.error("Error in serveFeed controller:", error.message);
+        if (error.message.includes("disabled")) {
+            return apiResponse.notFound(res, "Feed not found");
+        }
+        if (error.message.includes("Invalid feed token")) {
+            return apiResponse.unauthorized(res, error.message);
+        }
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function listFeeds(req, res, next) {
+    try {
+        const { data } = await feedService.listFeeds();
+
+        return apiResponse.success(res, "Feeds fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in listFeeds controller:", error.message);
+        next(error);
+    }
+}
+
+async function regenerateFeed(req, res, next) {
+    try {
+        const { data } = await feedService.generateFeed(
+            req.params.type,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Feed regenerated successfully", data);
+    } catch (error) {
+        logger.error("Error in regenerateFeed controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { serveFeed, listFeeds, regenerateFeed };
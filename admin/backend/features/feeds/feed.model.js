@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Last generated copy of each shopping feed, served as-is from a stable URL
+const productFeedSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["google-merchant", "meta-catalogue"],
+            required: [true, "Feed type is required"],
+            unique: true,
+        },
+        content: {
+            type: String,
+            required: [true, "Feed content is required"],
+        },
+        contentType: {
+            type: String,
+            required: [true, "Content type is required"],
+        },
+        itemCount: {
+            type: Number,
+            default: 0,
+            min: [0, "Item count cannot be negative"],
+        },
+        generatedAt: {
+            type: Date,
+            required: [true, "Generation time is required"],
+        },
+        generatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            default: null,
+        },
+        durationMs: {
+            type: Number,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const ProductFeed = mongoose.model("ProductFeed", productFeedSchema);
+
+export default ProductFeed;
@@ -0,0 +1,21 @@
+import express from "express";
+import * as feedController from "./feed.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+// Public (token protected) - fetched by Google Merchant Center / Meta
+router.get("/public/:fileName", feedController.serveFeed);
+
+// Protected routes
+router.use(authMiddleware);
+
+router.get("/", requirePermission("products.view"), feedController.listFeeds);
+router.post(
+    "/:type/regenerate",
+    requirePermission("products.export"),
+    feedController.regenerateFeed
+);
+
+export default router;
@@ -0,0 +1,390 @@
+import crypto from "crypto";
+import ProductFeed from "./feed.model.js";
+import Product from "../products/product.model.js";
+import ProductVariant from "../products/product-variant.model.js";
+import Inventory from "../inventory/inventory.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { hashToken } from "../../shared/utils/token.util.js";
+import { writeSpreadsheet } from "../../shared/utils/spreadsheet.util.js";
+import {
+    extractPublicId,
+    getImageVariants,
+} from "../../shared/utils/cloudinary.util.js";
+
+const CURRENCY = "INR";
+// Google taxonomy id for "Apparel & Accessories > Jewelry"
+const GOOGLE_PRODUCT_CATEGORY = "188";
+const MAX_ADDITIONAL_IMAGES = 10;
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+const GENDERS = { men: "male", women: "female", unisex: "unisex" };
+const MATERIALS = { 925: "925 Sterling Silver", 999: "999 Fine Silver" };
+
+const FEED_TYPES = {
+    "google-merchant": {
+        fileName: "google-merchant.xml",
+        contentType: "application/xml; charset=utf-8",
+        build: buildGoogleMerchantFeed,
+    },
+    "meta-catalogue": {
+        fileName: "meta-catalogue.csv",
+        contentType: "text/csv; charset=utf-8",
+        build: buildMetaCatalogueFeed,
+    },
+};
+
+const META_COLUMNS = [
+    "id",
+    "title",
+    "description",
+    "availability",
+    "condition",
+    "price",
+    "link",
+    "image_link",
+    "additional_image_link",
+    "brand",
+    "item_group_id",
+    "google_product_category",
+    "product_type",
+    "size",
+    "color",
+    "material",
+    "gender",
+];
+
+async function listFeeds() {
+    const feeds = await ProductFeed.find()
+        .select("-content")
+        .populate("generatedBy", "name email")
+        .lean();
+
+    const feedsByType = new Map(feeds.map((feed) => [feed.type, feed]));
+
+    return {
+        data: Object.entries(FEED_TYPES).map(([type, { fileName }]) => ({
+            type,
+            path: `/api/feeds/public/${fileName}`,
+            generatedAt: feedsByType.get(type)?.generatedAt || null,
+            itemCount: feedsByType.get(type)?.itemCount ?? null,
+            generatedBy: feedsByType.get(type)?.generatedBy || null,
+        })),
+    };
+}
+
+async function generateFeed(type, generatedByAdminId = null) {
+    const feedType = FEED_TYPES[type];
+
+    if (!feedType) {
+        throw new Error(`Feed type not found: ${type}`);
+    }
+
+    const startedAt = Date.now();
+    const items = await buildFeedItems();
+    const content = await feedType.build(items);
+
+    const feed = await ProductFeed.findOneAndUpdate(
+        { type },
+        {
+            $set: {
+                content,
+                contentType: feedType.contentType,
+                itemCount: items.length,
+                generatedAt: new Date(),
+                generatedBy: generatedByAdminId,
+                durationMs: Date.now() - startedAt,
+            },
+        },
+        { upsert: true, new: true, projection: { content: 0 } }
+    ).lean();
+
+    logger.info(
+        `Feed generated: ${type} with ${items.length} items by ${
+            generatedByAdminId ? `admin: ${generatedByAdminId}` : "system"
+        }`
+    );
+
+    return { data: feed };
+}
+
+// Serves the stored feed; the first request after setup generates it
+async function getFeedFile(fileName, token) {
+    assertFeedToken(token);
+
+    const type = Object.keys(FEED_TYPES).find(
+        (key) => FEED_TYPES[key].fileName === fileName
+    );
+
+    if (!type) {
+        throw new Error("Feed not found");
+    }
+
+    let feed = await ProductFeed.findOne({ type }).lean();
+
+    if (!feed) {
+        await generateFeed(type);
+        feed = await ProductFeed.findOne({ type }).lean();
+    }
+
+    return {
+        data: {
+            content: feed.content,
+            contentType: feed.contentType,
+            generatedAt: feed.generatedAt,
+        },
+    };
+}
+
+// Merchant platforms fetch feeds without cookies, so access uses a shared token
+function assertFeedToken(token) {
+    const expected = process.env.FEED_ACCESS_TOKEN;
+
+    if (!expected) {
+        throw new Error("Feeds are disabled: FEED_ACCESS_TOKEN is not set");
+    }
+
+    const isValid =
+        typeof token === "string" &&
+        crypto.timingSafeEqual(
+            Buffer.from(hashToken(token)),
+            Buffer.from(hashToken(expected))
+        );
+
+    if (!isValid) {
+        throw new Error("Invalid feed token");
+    }
+}
+
+// One item per active variant; products without variants become a single item
+async function buildFeedItems() {
+    const storefrontUrl = (process.env.STOREFRONT_URL || "").replace(/\/$/, "");
+    const brand = process.env.FEED_BRAND || "Sana Silver";
+
+    // Drafts are not live; records from before the publishing workflow have no status
+    const products = await Product.find({
+        isActive: true,
+        status: { $ne: "draft" },
+    })
+        .populate("category", "name")
+        .populate("subcategory", "name")
+        .sort({ sku: 1 })
+        .lean();
+
+    const variants = await ProductVariant.find({
+        product: { $in: products.map((product) => product._id) },
+        isActive: true,
+    })
+        .sort({ isDefault: -1, sku: 1 })
+        .lean();
+
+    const variantsByProduct = variants.reduce((acc, variant) => {
+        const key = String(variant.product);
+        (acc[key] = acc[key] || []).push(variant);
+        return acc;
+    }, {});
+
+    // Products without variants are in stock only if inventory has sellable units
+    const stockedProductIds = await getStockedProductIds(
+        products
+            .filter((product) => !variantsByProduct[String(product._id)])
+            .map((product) => product._id)
+    );
+
+    return products.flatMap((product) => {
+        const images = [...product.images]
+            .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary))
+            .map((image) => getFeedImageUrl(image.url))
+            .filter(Boolean);
+        const productType = [product.category?.name, product.subcategory?.name]
+            .filter(Boolean)
+            .join(" > ");
+        const productVariants = variantsByProduct[String(product._id)] || [];
+
+        const baseItem = {
+            title: truncate(product.name, MAX_TITLE_LENGTH),
+            description: truncate(
+                product.description || product.shortDescription || product.name,
+                MAX_DESCRIPTION_LENGTH
+            ),
+            imageLink: images[0],
+            additionalImageLinks: images.slice(1, MAX_ADDITIONAL_IMAGES + 1),
+            brand,
+            productType,
+            material: MATERIALS[product.purity],
+            gender: GENDERS[product.attributes?.gender],
+        };
+
+        const productLink = `${storefrontUrl}/products/${product.slug}`;
+
+        if (productVariants.length === 0) {
+            return [
+                {
+                    ...baseItem,
+                    id: product.sku,
+                    mpn: product.sku,
+                    link: productLink,
+                    price: product.basePrice,
+                    inStock: stockedProductIds.has(String(product._id)),
+                },
+            ];
+        }
+
+        return productVariants.map((variant) => ({
+            ...baseItem,
+            id: variant.sku,
+            mpn: variant.sku,
+            itemGroupId: product.sku,
+            title: truncate(
+                `${product.name} - ${variant.variantName}`,
+                MAX_TITLE_LENGTH
+            ),
+            link: `${productLink}?variant=${encodeURIComponent(variant.sku)}`,
+            imageLink:
+                getFeedImageUrl(
+                    variant.image ||
+                        product.images.find(
+                            (image) =>
+                                String(image.variant) === String(variant._id)
+                        )?.url
+                ) || baseItem.imageLink,
+            price: variant.sellingPrice,
+            inStock: variant.stockStatus !== "out-of-stock",
+            size: variant.size,
+            color: variant.color,
+        }));
+    });
+}
+
+async function getStockedProductIds(productIds) {
+    if (productIds.length === 0) return new Set();
+
+    const stocked = await Inventory.aggregate([
+        { $match: { product: { $in: productIds } } },
+        {
+            $group: {
+                _id: "$product",
+                available: {
+                    $sum: {
+                        $subtract: ["$stockQuantity", "$reservedQuantity"],
+                    },
+                },
+            },
+        },
+        { $match: { available: { $gt: 0 } } },
+    ]);
+
+    return new Set(stocked.map((entry) => String(entry._id)));
+}
+
+function buildGoogleMerchantFeed(items) {
+    const storefrontUrl = process.env.STOREFRONT_URL || "";
+    const brand = process.env.FEED_BRAND || "Sana Silver";
+
+    const itemXml = items.map((item) => {
+        const fields = [
+            ["g:id", item.id],
+            ["title", item.title],
+            ["description", item.description],
+            ["link", item.link],
+            ["g:image_link", item.imageLink],
+            ...item.additionalImageLinks.map((url) => [
+                "g:additional_image_link",
+                url,
+            ]),
+            ["g:availability", item.inStock ? "in_stock" : "out_of_stock"],
+            ["g:price", formatPrice(item.price)],
+            ["g:condition", "new"],
+            ["g:brand", item.brand],
+            ["g:mpn", item.mpn],
+            ["g:identifier_exists", "no"],
+            ["g:item_group_id", item.itemGroupId],
+            ["g:google_product_category", GOOGLE_PRODUCT_CATEGORY],
+            ["g:product_type", item.productType],
+            ["g:size", item.size],
+            ["g:color", item.color],
+            ["g:material", item.material],
+            ["g:gender", item.gender],
+        ];
+
+        const body = fields
+            .filter(([, value]) => value !== undefined && value !== "")
+            .map(([tag, value]) => `      <${tag}>${escapeXml(value)}</${tag}>`)
+            .join("\n");
+
+        return `    <item>\n${body}\n    </item>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+        "  <channel>",
+        `    <title>${escapeXml(brand)}</title>`,
+        `    <link>${escapeXml(storefrontUrl)}</link>`,
+        `    <description>${escapeXml(`${brand} product feed`)}</description>`,
+        ...itemXml,
+        "  </channel>",
+        "</rss>",
+        "",
+    ].join("\n");
+}
+
+async function buildMetaCatalogueFeed(items) {
+    const rows = items.map((item) => ({
+        id: item.id,
+        title: item.title,
+        description: item.description,
+        availability: item.inStock ? "in stock" : "out of stock",
+        condition: "new",
+        price: formatPrice(item.price),
+        link: item.link,
+        image_link: item.imageLink,
+        additional_image_link: item.additionalImageLinks.join(","),
+        brand: item.brand,
+        item_group_id: item.itemGroupId,
+        google_product_category: GOOGLE_PRODUCT_CATEGORY,
+        product_type: item.productType,
+        size: item.size,
+        color: item.color,
+        material: item.material,
+        gender: item.gender,
+    }));
+
+    const { buffer } = await writeSpreadsheet(
+        META_COLUMNS.map((key) => ({ header: key, key })),
+        rows,
+        "csv"
+    );
+
+    return buffer.toString("utf8");
+}
+
+// Cloudinary images use the large rendition; other hosts are passed through
+function getFeedImageUrl(image) {
+    if (!image) return null;
+
+    const publicId = extractPublicId(image);
+    if (!publicId) return image;
+
+    return getImageVariants(publicId).large;
+}
+
+function formatPrice(amount) {
+    return `${Number(amount || 0).toFixed(2)} ${CURRENCY}`;
+}
+
+function truncate(value, maxLength) {
+    const text = String(value || "").trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+export { FEED_TYPES, listFeeds, generateFeed, getFeedFile };
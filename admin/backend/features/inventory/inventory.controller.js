@@ -0,0 +1,155 @@
+import * as inventoryService from "./inventory.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listInventory(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await inventoryService.listInventory(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Inventory fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listInventory controller:", error.message);
+        if (error.message.includes("Invalid ID")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getInventory(req, res, next) {
+    try {
+        const { data } = await inventoryService.getInventoryById(req.params.id);
+
+        return apiResponse.success(
+            res,
+            "Inventory record fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getInventory controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function receiveStock(req, res, next) {
+    try {
+        const { data } = await inventoryService.receiveStock(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Stock received successfully", data);
+    } catch (error) {
+        logger.error("Error in receiveStock controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function adjustStock(req, res, next) {
+    try {
+        const { data } = await inventoryService.adjustStock(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Stock adjusted successfully", data);
+    } catch (error) {
+        logger.error("Error in adjustStock controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("Insufficient stock")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function recordReturn(req, res, next) {
+    try {
+        const { data } = await inventoryService.recordReturn(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Return recorded successfully", data);
+    } catch (error) {
+        logger.error("Error in recordReturn controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getReconciliationReport(req, res, next) {
+    try {
+        const { data, summary } = await inventoryService.reconcileInventory(
+            { fix: false },
+            req.admin._id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Inventory reconciliation report generated successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error(
+            "Error in getReconciliationReport controller:",
+            error.message
+        );
+        next(error);
+    }
+}
+
+async function reconcileInventory(req, res, next) {
+    try {
+        const { data, summary } = await inventoryService.reconcileInventory(
+            { fix: true },
+            req.admin._id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Inventory reconciled successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in reconcileInventory controller:", error.message);
+        next(error);
+    }
+}
+
+export {
+    listInventory,
+    getInventory,
+    receiveStock,
+    adjustStock,
+    recordReturn,
+    getReconciliationReport,
+    reconcileInventory,
+};
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
 
 const stockMovementSchema = new mongoose.Schema(
     {
@@ -52,6 +53,12 @@ const inventorySchema = new mongoose.Schema(
             default: 0,
             min: [0, "Reserved quantity cannot be negative"],
         },
+        // Dispatched to this warehouse but not yet received; not sellable
+        inTransitQuantity: {
+            type: Number,
+            default: 0,
+            min: [0, "In-transit quantity cannot be negative"],
+        },
         warehouse: {
             type: String,
             default: "main",
@@ -87,6 +94,15 @@ const inventorySchema = new mongoose.Schema(
 
 // Indexes for faster queries
 inventorySchema.index({ product: 1, variant: 1, warehouse: 1 });
+// One record per variant per warehouse; merge older duplicates first with
+// npm run inventory:merge-duplicates or this index cannot be built
+inventorySchema.index(
+    { variant: 1, warehouse: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { variant: { $type: "objectId" } },
+    }
+);
 inventorySchema.index({ warehouse: 1 });
 inventorySchema.index({ stockQuantity: 1 });
 inventorySchema.index({ batchNumber: 1 });
@@ -114,6 +130,8 @@ inventorySchema.methods.addMovement = function (
     });
 };
 
+inventorySchema.plugin(auditPlugin, { exclude: ["movements"] });
+
 const Inventory = mongoose.model("Inventory", inventorySchema);
 
 export default Inventory;
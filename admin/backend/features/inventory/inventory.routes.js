@@ -0,0 +1,59 @@
+import express from "express";
+import * as inventoryController from "./inventory.controller.js";
+import warehouseRoutes from "./warehouse.routes.js";
+import stockTransferRoutes from "./stock-transfer.routes.js";
+import stockReservationRoutes from "./stock-reservation.routes.js";
+import supplierRoutes from "./supplier.routes.js";
+import lowStockRoutes from "./low-stock.routes.js";
+import valuationRoutes from "./valuation.routes.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.use("/warehouses", warehouseRoutes);
+router.use("/transfers", stockTransferRoutes);
+router.use("/reservations", stockReservationRoutes);
+router.use("/suppliers", supplierRoutes);
+router.use("/low-stock", lowStockRoutes);
+router.use("/valuation", valuationRoutes);
+
+router.get(
+    "/",
+    requirePermission("inventory.view"),
+    inventoryController.listInventory
+);
+router.get(
+    "/reconcile",
+    requirePermission("inventory.view"),
+    inventoryController.getReconciliationReport
+);
+router.post(
+    "/reconcile",
+    requirePermission("inventory.reconcile"),
+    inventoryController.reconcileInventory
+);
+router.post(
+    "/receive",
+    requirePermission("inventory.receive"),
+    inventoryController.receiveStock
+);
+router.post(
+    "/adjust",
+    requirePermission("inventory.adjust"),
+    inventoryController.adjustStock
+);
+router.post(
+    "/returns",
+    requirePermission("inventory.receive"),
+    inventoryController.recordReturn
+);
+router.get(
+    "/:id",
+    requirePermission("inventory.view"),
+    inventoryController.getInventory
+);
+
+export default router;
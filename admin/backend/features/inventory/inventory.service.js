@@ -0,0 +1,588 @@
+import mongoose from "mongoose";
+import Inventory from "./inventory.model.js";
+import ProductVariant from "../products/product-variant.model.js";
+import {
+    assertWarehouseActive,
+    normalizeWarehouseCode,
+    DEFAULT_WAREHOUSE_CODE,
+} from "./warehouse.service.js";
+import {
+    createLot,
+    consumeLots,
+    getFallbackUnitCost,
+} from "./stock-lot.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const PRODUCT_FIELDS = "name sku";
+const VARIANT_FIELDS = "sku variantName stockQuantity stockStatus";
+
+async function listInventory(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const filter = buildInventoryFilter(query);
+
+    const [records, total, [summary]] = await Promise.all([
+        Inventory.find(filter)
+            .select("-movements")
+            .populate("product", PRODUCT_FIELDS)
+            .populate("variant", VARIANT_FIELDS)
+            .sort({ updatedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Inventory.countDocuments(filter),
+        Inventory.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: null,
+                    stockQuantity: { $sum: "$stockQuantity" },
+                    reservedQuantity: { $sum: "$reservedQuantity" },
+                    outOfStockRecords: {
+                        $sum: {
+                            $cond: [{ $lte: ["$stockQuantity", 0] }, 1, 0],
+                        },
+                    },
+                },
+            },
+            { $project: { _id: 0 } },
+        ]),
+    ]);
+
+    return {
+        data: records.map(withAvailableQuantity),
+        pagination: buildPagination(page, limit, total),
+        summary: summary || {
+            stockQuantity: 0,
+            reservedQuantity: 0,
+            outOfStockRecords: 0,
+        },
+    };
+}
+
+async function getInventoryById(inventoryId) {
+    const inventory = await Inventory.findById(inventoryId)
+        .populate("product", PRODUCT_FIELDS)
+        .populate("variant", VARIANT_FIELDS)
+        .populate("movements.performedBy", "name email")
+        .lean();
+
+    if (!inventory) {
+        throw new Error("Inventory record not found");
+    }
+
+    inventory.movements.sort((a, b) => b.timestamp - a.timestamp);
+
+    return { data: withAvailableQuantity(inventory) };
+}
+
+// Every receipt opens a cost layer, so it needs the unit purchase cost
+async function receiveStock(data, performedByAdminId) {
+    const quantity = parseQuantity(data.quantity);
+    const warehouse = normalizeWarehouseCode(data.warehouse);
+    const unitCost = parseUnitCost(data.purchaseCost, "purchaseCost");
+
+    const result = await runInTransaction(async (session) => {
+        const variant = await getVariantOrThrow(data.variantId, session);
+        await assertWarehouseActive(warehouse, session);
+        const inventory = await findOrCreateInventory(
+            variant,
+            warehouse,
+            session
+        );
+
+        inventory.stockQuantity += quantity;
+        inventory.lastRestocked = new Date();
+        if (data.location !== undefined) inventory.location = data.location;
+        if (data.batchNumber !== undefined) {
+            inventory.batchNumber = data.batchNumber;
+        }
+        if (data.supplier !== undefined) inventory.supplier = data.supplier;
+        inventory.purchaseCost = unitCost;
+
+        inventory.addMovement(
+            "in",
+            quantity,
+            data.reason || "Stock received",
+            data.reference,
+            performedByAdminId
+        );
+        await createLot(
+            inventory,
+            {
+                sku: variant.sku,
+                source: "receipt",
+                reference: data.reference,
+                batchNumber: data.batchNumber,
+                supplier: data.supplier,
+                unitCost,
+                quantity,
+                adminId: performedByAdminId,
+            },
+            session
+        );
+        await inventory.save({ session });
+
+        return { inventory, variant: await syncVariantStock(variant, session) };
+    });
+
+    logger.info(
+        `Stock received: ${quantity} x ${result.variant.sku} into ${warehouse} by admin: ${performedByAdminId}`
+    );
+
+    return formatStockResult(result);
+}
+
+// Accepts a signed change ("quantity") or a stock count ("countedQuantity")
+async function adjustStock(data, performedByAdminId) {
+    const warehouse = normalizeWarehouseCode(data.warehouse);
+    const isCount = data.countedQuantity !== undefined;
+    const value = isCount
+        ? parseQuantity(data.countedQuantity, { allowZero: true })
+        : parseQuantity(data.quantity, { allowNegative: true });
+
+    if (!data.reason || !String(data.reason).trim()) {
+        throw new Error("Invalid adjustment: a reason is required");
+    }
+
+    const result = await runInTransaction(async (session) => {
+        const variant = await getVariantOrThrow(data.variantId, session);
+        await assertWarehouseActive(warehouse, session);
+        const inventory = await findOrCreateInventory(
+            variant,
+            warehouse,
+            session
+        );
+
+        const change = isCount ? value - inventory.stockQuantity : value;
+        const newQuantity = inventory.stockQuantity + change;
+
+        if (change === 0) {
+            throw new Error(
+                "Invalid adjustment: stock is already at that quantity"
+            );
+        }
+
+        if (newQuantity < inventory.reservedQuantity) {
+            throw new Error(
+                `Insufficient stock: ${warehouse} has ${inventory.stockQuantity} of ${variant.sku}, ${inventory.reservedQuantity} of them reserved`
+            );
+        }
+
+        inventory.stockQuantity = newQuantity;
+        inventory.addMovement(
+            "adjustment",
+            change,
+            String(data.reason).trim(),
+            data.reference,
+            performedByAdminId
+        );
+
+        // Write-downs leave FIFO; found stock gets a layer at the given or last cost
+        if (change < 0) {
+            await consumeLots(
+                inventory,
+                -change,
+                {
+                    type: "adjustment",
+                    reference: data.reference,
+                    sku: variant.sku,
+                    adminId: performedByAdminId,
+                },
+                session
+            );
+        } else {
+            await createLot(
+                inventory,
+                {
+                    sku: variant.sku,
+                    source: "adjustment",
+                    reference: data.reference,
+                    unitCost:
+                        data.unitCost !== undefined
+                            ? parseUnitCost(data.unitCost, "unitCost")
+                            : await getFallbackUnitCost(inventory, {}, session),
+                    quantity: change,
+                    adminId: performedByAdminId,
+                },
+                session
+            );
+        }
+        await inventory.save({ session });
+
+        return {
+            inventory,
+            variant: await syncVariantStock(variant, session),
+            change,
+        };
+    });
+
+    logger.info(
+        `Stock adjusted: ${result.change > 0 ? "+" : ""}${result.change} x ${
+            result.variant.sku
+        } in ${warehouse} by admin: ${performedByAdminId}`
+    );
+
+    return formatStockResult(result);
+}
+
+async function recordReturn(data, performedByAdminId) {
+    const quantity = parseQuantity(data.quantity);
+    const warehouse = normalizeWarehouseCode(data.warehouse);
+
+    const result = await runInTransaction(async (session) => {
+        const variant = await getVariantOrThrow(data.variantId, session);
+        await assertWarehouseActive(warehouse, session);
+        const inventory = await findOrCreateInventory(
+            variant,
+            warehouse,
+            session
+        );
+
+        inventory.stockQuantity += quantity;
+        inventory.addMovement(
+            "return",
+            quantity,
+            data.reason || "Customer return",
+            data.reference,
+            performedByAdminId
+        );
+        await createLot(
+            inventory,
+            {
+                sku: variant.sku,
+                source: "return",
+                reference: data.reference,
+                unitCost:
+                    data.unitCost !== undefined
+                        ? parseUnitCost(data.unitCost, "unitCost")
+                        : await getFallbackUnitCost(
+                              inventory,
+                              { reference: data.reference },
+                              session
+                          ),
+                quantity,
+                adminId: performedByAdminId,
+            },
+            session
+        );
+        await inventory.save({ session });
+
+        return { inventory, variant: await syncVariantStock(variant, session) };
+    });
+
+    logger.info(
+        `Return recorded: ${quantity} x ${result.variant.sku} into ${warehouse}${
+            data.reference ? ` (${data.reference})` : ""
+        } by admin: ${performedByAdminId}`
+    );
+
+    return formatStockResult(result);
+}
+
+/**
+ * Compares each variant's stockQuantity with the sum of its Inventory
+ * records. Inventory (which carries the movement history) is treated as
+ * the source of truth; with fix, variants are brought in line with it and
+ * variants with stock but no Inventory get an opening-balance record.
+ */
+async function reconcileInventory({ fix = false } = {}, performedByAdminId) {
+    const [variants, totals] = await Promise.all([
+        ProductVariant.find()
+            .select("product sku stockQuantity stockStatus lowStockThreshold")
+            .lean(),
+        Inventory.aggregate([
+            { $match: { variant: { $ne: null } } },
+            {
+                $group: {
+                    _id: "$variant",
+                    stockQuantity: { $sum: "$stockQuantity" },
+                    records: { $sum: 1 },
+                },
+            },
+        ]),
+    ]);
+
+    const totalsByVariant = new Map(
+        totals.map((total) => [String(total._id), total])
+    );
+    const variantIds = new Set(variants.map((variant) => String(variant._id)));
+
+    const issues = [];
+
+    for (const variant of variants) {
+        const total = totalsByVariant.get(String(variant._id));
+        const inventoryQuantity = total ? total.stockQuantity : null;
+        const issue = {
+            variant: variant._id,
+            product: variant.product,
+            sku: variant.sku,
+            variantQuantity: variant.stockQuantity,
+            inventoryQuantity,
+        };
+
+        if (!total) {
+            if (variant.stockQuantity > 0) {
+                issues.push({ ...issue, type: "missing-inventory" });
+            }
+        } else if (total.stockQuantity !== variant.stockQuantity) {
+            issues.push({
+                ...issue,
+                type: "quantity-mismatch",
+                difference: total.stockQuantity - variant.stockQuantity,
+            });
+        } else if (
+            variant.stockStatus !==
+            getExpectedStockStatus(
+                variant.stockQuantity,
+                variant.lowStockThreshold
+            )
+        ) {
+            issues.push({ ...issue, type: "status-mismatch" });
+        }
+    }
+
+    // Inventory pointing at deleted variants can only be reported
+    for (const total of totals) {
+        if (!variantIds.has(String(total._id))) {
+            issues.push({
+                variant: total._id,
+                inventoryQuantity: total.stockQuantity,
+                type: "orphaned-inventory",
+            });
+        }
+    }
+
+    if (fix) {
+        for (const issue of issues) {
+            if (issue.type === "orphaned-inventory") continue;
+
+            try {
+                const { unitCost } = await fixIssue(issue, performedByAdminId);
+                issue.fixed = true;
+
+                // Opening lots with no known cost value this stock at 0
+                if (unitCost === 0) issue.missingCost = true;
+            } catch (error) {
+                issue.fixed = false;
+                issue.error = error.message;
+                logger.error(
+                    `Inventory reconciliation failed for ${issue.sku}:`,
+                    error.message
+                );
+            }
+        }
+    }
+
+    const summary = {
+        variantsChecked: variants.length,
+        issues: issues.length,
+        byType: issues.reduce((acc, issue) => {
+            acc[issue.type] = (acc[issue.type] || 0) + 1;
+            return acc;
+        }, {}),
+        fixed: issues.filter((issue) => issue.fixed).length,
+        missingCost: issues.filter((issue) => issue.missingCost).length,
+    };
+
+    logger.info(
+        `Inventory reconciliation${fix ? " (fix)" : ""}: ${
+            summary.issues
+        } issue(s) across ${summary.variantsChecked} variants${
+            performedByAdminId ? ` by admin: ${performedByAdminId}` : ""
+        }`
+    );
+
+    return { data: issues, summary };
+}
+
+async function fixIssue(issue, performedByAdminId) {
+    return runInTransaction(async (session) => {
+        const variant = await getVariantOrThrow(issue.variant, session);
+        let unitCost = null;
+
+        if (issue.type === "missing-inventory") {
+            const inventory = await findOrCreateInventory(
+                variant,
+                DEFAULT_WAREHOUSE_CODE,
+                session
+            );
+            inventory.stockQuantity += variant.stockQuantity;
+            inventory.addMovement(
+                "adjustment",
+                variant.stockQuantity,
+                "Reconciliation: opening balance from variant stock",
+                undefined,
+                performedByAdminId
+            );
+            unitCost = await getFallbackUnitCost(inventory, {}, session);
+            await createLot(
+                inventory,
+                {
+                    sku: variant.sku,
+                    source: "opening",
+                    unitCost,
+                    quantity: variant.stockQuantity,
+                    adminId: performedByAdminId,
+                },
+                session
+            );
+            await inventory.save({ session });
+        }
+
+        await syncVariantStock(variant, session);
+
+        return { unitCost };
+    });
+}
+
+// Variant stockQuantity is the sum over warehouses; saving runs the stockStatus hook
+async function syncVariantStock(variant, session) {
+    const [total] = await Inventory.aggregate([
+        { $match: { variant: variant._id } },
+        { $group: { _id: null, stockQuantity: { $sum: "$stockQuantity" } } },
+    ]).session(session);
+
+    variant.stockQuantity = total?.stockQuantity || 0;
+    await variant.save({ session });
+
+    return variant;
+}
+
+async function findOrCreateInventory(variant, warehouse, session) {
+    const inventory = await Inventory.findOne({
+        variant: variant._id,
+        warehouse,
+    }).session(session);
+
+    return (
+        inventory ||
+        new Inventory({
+            product: variant.product,
+            variant: variant._id,
+            warehouse,
+        })
+    );
+}
+
+async function getVariantOrThrow(variantId, session) {
+    if (!variantId || !mongoose.isValidObjectId(variantId)) {
+        throw new Error("Invalid variant ID");
+    }
+
+    const variant = await ProductVariant.findById(variantId).session(session);
+
+    if (!variant) {
+        throw new Error("Variant not found");
+    }
+
+    return variant;
+}
+
+// Mirrors the ProductVariant pre-save hook
+function getExpectedStockStatus(stockQuantity, lowStockThreshold) {
+    if (stockQuantity === 0) return "out-of-stock";
+    if (stockQuantity <= lowStockThreshold) return "low-stock";
+    return "in-stock";
+}
+
+function buildInventoryFilter(query) {
+    const filter = {};
+
+    for (const field of ["product", "variant"]) {
+        if (!query[field]) continue;
+        if (!mongoose.isValidObjectId(query[field])) {
+            throw new Error(`Invalid ID: ${query[field]}`);
+        }
+        filter[field] = new mongoose.Types.ObjectId(String(query[field]));
+    }
+
+    if (query.warehouse)
+        filter.warehouse = normalizeWarehouseCode(query.warehouse);
+    if (query.inStock !== undefined) {
+        filter.stockQuantity =
+            query.inStock === "true" ? { $gt: 0 } : { $lte: 0 };
+    }
+
+    return filter;
+}
+
+function parseQuantity(
+    value,
+    { allowZero = false, allowNegative = false } = {}
+) {
+    const quantity = Number(value);
+
+    if (
+        !Number.isInteger(quantity) ||
+        (!allowNegative && quantity < 0) ||
+        (!allowZero && quantity === 0)
+    ) {
+        throw new Error(
+            `Invalid quantity: must be a${
+                allowNegative
+                    ? " non-zero"
+                    : allowZero
+                      ? " non-negative"
+                      : " positive"
+            } whole number`
+        );
+    }
+
+    return quantity;
+}
+
+function parseUnitCost(value, field) {
+    const unitCost = Number(value);
+
+    if (value === undefined || value === null || value === "") {
+        throw new Error(`Invalid ${field}: a unit cost is required`);
+    }
+
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+        throw new Error(`Invalid ${field}: must be a non-negative number`);
+    }
+
+    return unitCost;
+}
+
+function withAvailableQuantity(inventory) {
+    return {
+        ...inventory,
+        availableQuantity: inventory.stockQuantity - inventory.reservedQuantity,
+    };
+}
+
+function formatStockResult({ inventory, variant }) {
+    const record = inventory.toObject();
+    delete record.movements;
+
+    return {
+        data: {
+            inventory: withAvailableQuantity(record),
+            movement: inventory.movements[inventory.movements.length - 1],
+            variant: {
+                _id: variant._id,
+                sku: variant.sku,
+                stockQuantity: variant.stockQuantity,
+                stockStatus: variant.stockStatus,
+            },
+        },
+    };
+}
+
+export {
+    listInventory,
+    getInventoryById,
+    receiveStock,
+    adjustStock,
+    recordReturn,
+    reconcileInventory,
+    syncVariantStock,
+    findOrCreateInventory,
+    getVariantOrThrow,
+};
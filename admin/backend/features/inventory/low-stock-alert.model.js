@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// One open alert per variant while it is below its threshold; it is
+// resolved once the variant is back in stock, so the next dip alerts again
+const lowStockAlertSchema = new mongoose.Schema(
+    {
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ProductVariant",
+            required: true,
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+        },
+        sku: {
+            type: String,
+            required: true,
+        },
+        level: {
+            type: String,
+            enum: ["low-stock", "out-of-stock"],
+            required: true,
+        },
+        stockQuantity: {
+            type: Number,
+            required: true,
+        },
+        lowStockThreshold: {
+            type: Number,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ["open", "resolved"],
+            default: "open",
+        },
+        // Level last sent out; a later escalation to out-of-stock notifies again
+        notifiedLevel: {
+            type: String,
+            enum: ["low-stock", "out-of-stock"],
+        },
+        notifiedAt: {
+            type: Date,
+        },
+        notificationChannels: {
+            type: [String],
+            default: [],
+        },
+        resolvedAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+lowStockAlertSchema.index(
+    { variant: 1 },
+    { unique: true, partialFilterExpression: { status: "open" } }
+);
+lowStockAlertSchema.index({ status: 1, createdAt: -1 });
+
+const LowStockAlert = mongoose.model("LowStockAlert", lowStockAlertSchema);
+
+export default LowStockAlert;
@@ -0,0 +1,83 @@
+import * as lowStockService from "./low-stock.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function getLowStockReport(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await lowStockService.getLowStockReport(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Low stock report fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in getLowStockReport controller:", error.message);
+        next(error);
+    }
+}
+
+async function listAlerts(req, res, next) {
+    try {
+        const { data, pagination } = await lowStockService.listAlerts(
+            req.query
+        );
+
+        return apiResponse.successWithPagination(
+            res,
+            "Low stock alerts fetched successfully",
+            data,
+            pagination
+        );
+    } catch (error) {
+        logger.error("Error in listAlerts controller:", error.message);
+        next(error);
+    }
+}
+
+async function runLowStockAlerts(req, res, next) {
+    try {
+        const data = await lowStockService.runLowStockAlerts();
+
+        return apiResponse.success(
+            res,
+            "Low stock alerts checked successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in runLowStockAlerts controller:", error.message);
+        next(error);
+    }
+}
+
+async function getReorderSuggestions(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await lowStockService.getReorderSuggestions(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Reorder suggestions fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error(
+            "Error in getReorderSuggestions controller:",
+            error.message
+        );
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    getLowStockReport,
+    listAlerts,
+    runLowStockAlerts,
+    getReorderSuggestions,
+};
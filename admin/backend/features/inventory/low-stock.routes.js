@@ -0,0 +1,29 @@
+import express from "express";
+import * as lowStockController from "./low-stock.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/inventory/low-stock (auth applied by the parent router)
+const router = express.Router();
+
+router.get(
+    "/",
+    requirePermission("inventory.view"),
+    lowStockController.getLowStockReport
+);
+router.get(
+    "/alerts",
+    requirePermission("inventory.view"),
+    lowStockController.listAlerts
+);
+router.post(
+    "/alerts/run",
+    requirePermission("inventory.reconcile"),
+    lowStockController.runLowStockAlerts
+);
+router.get(
+    "/reorder-suggestions",
+    requirePermission("inventory.view"),
+    lowStockController.getReorderSuggestions
+);
+
+export default router;
@@ -0,0 +1,476 @@
+import LowStockAlert from "./low-stock-alert.model.js";
+import Inventory from "./inventory.model.js";
+import ProductVariant from "../products/product-variant.model.js";
+import Order from "../orders/order.model.js";
+import { getSupplierLookup } from "./supplier.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { notify } from "../../shared/utils/notification.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const LOW_STOCK_STATUSES = ["low-stock", "out-of-stock"];
+
+const DEFAULT_VELOCITY_DAYS = 30;
+const MAX_VELOCITY_DAYS = 365;
+const DEFAULT_COVER_DAYS = 30;
+// Used for stock whose supplier is unknown or has no record
+const DEFAULT_LEAD_TIME_DAYS =
+    parseInt(process.env.REORDER_DEFAULT_LEAD_TIME_DAYS) || 14;
+
+let alertsRunning = false;
+
+async function getLowStockReport(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const filter = {
+        isActive: true,
+        stockStatus: LOW_STOCK_STATUSES.includes(query.stockStatus)
+            ? query.stockStatus
+            : { $in: LOW_STOCK_STATUSES },
+    };
+
+    const [variants, total, statusCounts] = await Promise.all([
+        ProductVariant.find(filter)
+            .select(
+                "product sku variantName stockQuantity stockStatus lowStockThreshold"
+            )
+            .populate("product", "name sku")
+            .sort({ stockQuantity: 1, sku: 1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        ProductVariant.countDocuments(filter),
+        ProductVariant.aggregate([
+            {
+                $match: {
+                    isActive: true,
+                    stockStatus: { $in: LOW_STOCK_STATUSES },
+                },
+            },
+            { $group: { _id: "$stockStatus", count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const alerts = await LowStockAlert.find({
+        variant: { $in: variants.map((variant) => variant._id) },
+        status: "open",
+    })
+        .select("variant level notifiedLevel notifiedAt createdAt")
+        .lean();
+    const alertsByVariant = new Map(
+        alerts.map((alert) => [String(alert.variant), alert])
+    );
+
+    const counts = Object.fromEntries(
+        statusCounts.map(({ _id, count }) => [_id, count])
+    );
+
+    return {
+        data: variants.map((variant) => ({
+            ...variant,
+            alert: alertsByVariant.get(String(variant._id)) || null,
+        })),
+        pagination: buildPagination(page, limit, total),
+        summary: {
+            lowStock: counts["low-stock"] || 0,
+            outOfStock: counts["out-of-stock"] || 0,
+        },
+    };
+}
+
+async function listAlerts(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const filter = {};
+    if (query.status) filter.status = query.status;
+    if (query.level) filter.level = query.level;
+
+    const [alerts, total] = await Promise.all([
+        LowStockAlert.find(filter)
+            .populate("product", "name sku")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        LowStockAlert.countDocuments(filter),
+    ]);
+
+    return {
+        data: alerts,
+        pagination: buildPagination(page, limit, total),
+    };
+}
+
+/**
+ * Opens alerts for variants that dropped below their threshold, notifies
+ * new ones (and escalations to out-of-stock) once, and resolves alerts
+ * for variants that are back in stock
+ */
+async function runLowStockAlerts() {
+    if (alertsRunning) return { opened: 0, notified: 0, resolved: 0 };
+    alertsRunning = true;
+
+    try {
+        const variants = await ProductVariant.find({
+            isActive: true,
+            stockStatus: { $in: LOW_STOCK_STATUSES },
+        })
+            .select("product sku stockQuantity stockStatus lowStockThreshold")
+            .lean();
+        const openAlerts = await LowStockAlert.find({ status: "open" });
+
+        const alertsByVariant = new Map(
+            openAlerts.map((alert) => [String(alert.variant), alert])
+        );
+        const lowVariantIds = new Set(
+            variants.map((variant) => String(variant._id))
+        );
+
+        let opened = 0;
+        const alerts = [];
+
+        for (const variant of variants) {
+            let alert = alertsByVariant.get(String(variant._id));
+
+            if (!alert) {
+                alert = new LowStockAlert({
+                    variant: variant._id,
+                    product: variant.product,
+                    sku: variant.sku,
+                });
+                opened++;
+            }
+
+            alert.level = variant.stockStatus;
+            alert.stockQuantity = variant.stockQuantity;
+            alert.lowStockThreshold = variant.lowStockThreshold;
+            await alert.save();
+            alerts.push(alert);
+        }
+
+        const resolvable = openAlerts.filter(
+            (alert) => !lowVariantIds.has(String(alert.variant))
+        );
+        if (resolvable.length > 0) {
+            await LowStockAlert.updateMany(
+                { _id: { $in: resolvable.map((alert) => alert._id) } },
+                { $set: { status: "resolved", resolvedAt: new Date() } }
+            );
+        }
+
+        const pending = alerts.filter(
+            (alert) =>
+                !alert.notifiedAt ||
+                (alert.level === "out-of-stock" &&
+                    alert.notifiedLevel !== "out-of-stock")
+        );
+        const notified = await notifyAlerts(pending);
+
+        if (opened > 0 || notified > 0 || resolvable.length > 0) {
+            logger.info(
+                `Low-stock alerts: ${opened} opened, ${notified} notified, ${resolvable.length} resolved`
+            );
+        }
+
+        return { opened, notified, resolved: resolvable.length };
+    } finally {
+        alertsRunning = false;
+    }
+}
+
+/**
+ * Suggests purchase quantities from recent sales velocity. Units sold per
+ * variant are the larger of fulfilled "out" movements and ordered items in
+ * the window, so orders that are not fulfilled yet still count as demand
+ * without fulfilled ones being counted twice.
+ */
+async function getReorderSuggestions(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const days = parseDays(query.days, DEFAULT_VELOCITY_DAYS, "days");
+    const coverDays = parseDays(
+        query.coverDays,
+        DEFAULT_COVER_DAYS,
+        "coverDays"
+    );
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [variants, inventory, movementSales, orderSales, findSupplier] =
+        await Promise.all([
+            ProductVariant.find({ isActive: true })
+                .select(
+                    "product sku variantName stockQuantity stockStatus lowStockThreshold"
+                )
+                .populate("product", "name sku")
+                .lean(),
+            Inventory.find()
+                .select(
+                    "variant stockQuantity reservedQuantity inTransitQuantity supplier lastRestocked"
+                )
+                .lean(),
+            Inventory.aggregate([
+                { $match: { "movements.timestamp": { $gte: since } } },
+                { $unwind: "$movements" },
+                {
+                    $match: {
+                        "movements.type": "out",
+                        "movements.timestamp": { $gte: since },
+                    },
+                },
+                {
+                    $group: {
+                        _id: "$variant",
+                        units: { $sum: { $abs: "$movements.quantity" } },
+                    },
+                },
+            ]),
+            Order.aggregate([
+                {
+                    $match: {
+                        createdAt: { $gte: since },
+                        orderStatus: { $ne: "cancelled" },
+                    },
+                },
+                { $unwind: "$items" },
+                {
+                    $group: {
+                        _id: "$items.variant",
+                        units: { $sum: "$items.quantity" },
+                    },
+                },
+            ]),
+            getSupplierLookup(),
+        ]);
+
+    const stockByVariant = groupInventoryByVariant(inventory);
+    const movementUnits = toUnitsMap(movementSales);
+    const orderUnits = toUnitsMap(orderSales);
+    const supplierFilter = query.supplier
+        ? String(query.supplier).trim().toLowerCase()
+        : null;
+
+    const suggestions = variants
+        .map((variant) => {
+            const key = String(variant._id);
+            const stock = stockByVariant.get(key) || {
+                stockQuantity: variant.stockQuantity,
+                reservedQuantity: 0,
+                inTransitQuantity: 0,
+                supplier: null,
+            };
+            const supplier = findSupplier(stock.supplier);
+
+            return buildSuggestion({
+                variant,
+                stock,
+                supplier,
+                supplierName: stock.supplier,
+                unitsSold: Math.max(
+                    movementUnits.get(key) || 0,
+                    orderUnits.get(key) || 0
+                ),
+                days,
+                coverDays,
+            });
+        })
+        .filter(
+            (suggestion) =>
+                (query.all === "true" || suggestion.needsReorder) &&
+                (!supplierFilter ||
+                    suggestion.supplier?.code === supplierFilter ||
+                    suggestion.supplier?.name?.toLowerCase() === supplierFilter)
+        )
+        .sort(
+            (a, b) =>
+                (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) ||
+                b.suggestedQuantity - a.suggestedQuantity
+        );
+
+    return {
+        data: suggestions.slice(skip, skip + limit),
+        pagination: buildPagination(page, limit, suggestions.length),
+        summary: {
+            days,
+            coverDays,
+            defaultLeadTimeDays: DEFAULT_LEAD_TIME_DAYS,
+            needsReorder: suggestions.filter(
+                (suggestion) => suggestion.needsReorder
+            ).length,
+            suggestedUnits: suggestions.reduce(
+                (sum, suggestion) => sum + suggestion.suggestedQuantity,
+                0
+            ),
+        },
+    };
+}
+
+async function notifyAlerts(alerts) {
+    if (alerts.length === 0) return 0;
+
+    const channels = (process.env.LOW_STOCK_ALERT_CHANNELS || "log")
+        .split(",")
+        .map((channel) => channel.trim())
+        .filter(Boolean);
+
+    const outOfStock = alerts.filter((alert) => alert.level === "out-of-stock");
+    const lines = alerts.map(
+        (alert) =>
+            `- ${alert.sku}: ${alert.stockQuantity} left (threshold ${alert.lowStockThreshold})${
+                alert.level === "out-of-stock" ? " - OUT OF STOCK" : ""
+            }`
+    );
+
+    const results = await notify(channels, {
+        type: "low-stock",
+        subject: `Low stock: ${alerts.length} variant(s)${
+            outOfStock.length ? `, ${outOfStock.length} out of stock` : ""
+        }`,
+        text: [
+            "These variants are at or below their threshold:",
+            ...lines,
+        ].join("\n"),
+        data: alerts.map((alert) => ({
+            sku: alert.sku,
+            level: alert.level,
+            stockQuantity: alert.stockQuantity,
+            lowStockThreshold: alert.lowStockThreshold,
+        })),
+    });
+
+    const delivered = results
+        .filter((result) => result.delivered)
+        .map((result) => result.channel);
+
+    // Undelivered alerts stay pending and are retried on the next run
+    if (delivered.length === 0) return 0;
+
+    const notifiedAt = new Date();
+    for (const alert of alerts) {
+        alert.notifiedLevel = alert.level;
+        alert.notifiedAt = notifiedAt;
+        alert.notificationChannels = delivered;
+        await alert.save();
+    }
+
+    return alerts.length;
+}
+
+function buildSuggestion({
+    variant,
+    stock,
+    supplier,
+    supplierName,
+    unitsSold,
+    days,
+    coverDays,
+}) {
+    const dailyVelocity = unitsSold / days;
+    const availableQuantity = Math.max(
+        stock.stockQuantity - stock.reservedQuantity,
+        0
+    );
+    const incomingQuantity = stock.inTransitQuantity;
+    const onHand = availableQuantity + incomingQuantity;
+    const leadTimeDays = supplier?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+
+    // Stock needed to last the lead time, and to last it plus the cover period
+    const reorderPoint =
+        Math.ceil(dailyVelocity * leadTimeDays) + variant.lowStockThreshold;
+    const targetStock =
+        Math.ceil(dailyVelocity * (leadTimeDays + coverDays)) +
+        variant.lowStockThreshold;
+    const suggestedQuantity = Math.max(targetStock - onHand, 0);
+
+    return {
+        variant: {
+            _id: variant._id,
+            sku: variant.sku,
+            variantName: variant.variantName,
+            stockStatus: variant.stockStatus,
+            lowStockThreshold: variant.lowStockThreshold,
+        },
+        product: variant.product,
+        supplier: supplier
+            ? { _id: supplier._id, code: supplier.code, name: supplier.name }
+            : supplierName
+              ? { name: supplierName }
+              : null,
+        unitsSold,
+        dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+        availableQuantity,
+        incomingQuantity,
+        daysOfCover:
+            dailyVelocity > 0
+                ? Math.round((onHand / dailyVelocity) * 10) / 10
+                : null,
+        leadTimeDays,
+        reorderPoint,
+        suggestedQuantity,
+        needsReorder: onHand <= reorderPoint && suggestedQuantity > 0,
+    };
+}
+
+// Sums stock across warehouses; the supplier is taken from the most
+// recently restocked record that names one
+function groupInventoryByVariant(records) {
+    const byVariant = new Map();
+
+    for (const record of records) {
+        if (!record.variant) continue;
+
+        const key = String(record.variant);
+        const totals = byVariant.get(key) || {
+            stockQuantity: 0,
+            reservedQuantity: 0,
+            inTransitQuantity: 0,
+            supplier: null,
+            restockedAt: null,
+        };
+
+        totals.stockQuantity += record.stockQuantity || 0;
+        totals.reservedQuantity += record.reservedQuantity || 0;
+        totals.inTransitQuantity += record.inTransitQuantity || 0;
+
+        if (
+            record.supplier &&
+            (!totals.restockedAt ||
+                (record.lastRestocked &&
+                    record.lastRestocked > totals.restockedAt))
+        ) {
+            totals.supplier = record.supplier;
+            totals.restockedAt = record.lastRestocked || null;
+        }
+
+        byVariant.set(key, totals);
+    }
+
+    return byVariant;
+}
+
+function toUnitsMap(rows) {
+    return new Map(
+        rows.filter((row) => row._id).map((row) => [String(row._id), row.units])
+    );
+}
+
+function parseDays(value, defaultValue, field) {
+    if (value === undefined || value === "") return defaultValue;
+
+    const days = Number(value);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_VELOCITY_DAYS) {
+        throw new Error(
+            `Invalid ${field}: must be a whole number between 1 and ${MAX_VELOCITY_DAYS}`
+        );
+    }
+
+    return days;
+}
+
+export {
+    getLowStockReport,
+    listAlerts,
+    runLowStockAlerts,
+    getReorderSuggestions,
+};
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+
+// Quantity taken out of a lot; kept so stock can be valued as of any date
+const lotConsumptionSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["out", "adjustment", "transfer"],
+            required: true,
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Consumed quantity must be at least 1"],
+        },
+        reference: {
+            type: String,
+        },
+        // Set for order fulfilment, so cost of goods sold can be traced per item
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",
+        },
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        consumedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: true }
+);
+
+// A cost layer: stock that entered one warehouse at one unit cost.
+// Outgoing stock is taken from the oldest layers first (FIFO).
+const stockLotSchema = new mongoose.Schema(
+    {
+        inventory: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Inventory",
+            required: true,
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+        },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ProductVariant",
+            required: true,
+        },
+        sku: {
+            type: String,
+            required: true,
+        },
+        warehouse: {
+            type: String,
+            required: true,
+        },
+        source: {
+            type: String,
+            enum: ["receipt", "return", "adjustment", "transfer", "opening"],
+            required: true,
+        },
+        reference: {
+            type: String,
+        },
+        batchNumber: {
+            type: String,
+        },
+        supplier: {
+            type: String,
+        },
+        unitCost: {
+            type: Number,
+            required: [true, "Unit cost is required"],
+            min: [0, "Unit cost cannot be negative"],
+        },
+        receivedQuantity: {
+            type: Number,
+            required: true,
+            min: [1, "Lot quantity must be at least 1"],
+        },
+        remainingQuantity: {
+            type: Number,
+            required: true,
+            min: [0, "Remaining quantity cannot be negative"],
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        consumptions: {
+            type: [lotConsumptionSchema],
+            default: [],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+stockLotSchema.index({ inventory: 1, remainingQuantity: 1, receivedAt: 1 });
+stockLotSchema.index({ warehouse: 1, receivedAt: 1 });
+stockLotSchema.index({ variant: 1, receivedAt: -1 });
+stockLotSchema.index({ "consumptions.order": 1 });
+stockLotSchema.index({ "consumptions.reference": 1 });
+
+const StockLot = mongoose.model("StockLot", stockLotSchema);
+
+export default StockLot;
@@ -0,0 +1,165 @@
+import StockLot from "./stock-lot.model.js";
+import logger from "../../shared/utils/logger.util.js";
+
+/**
+ * Opens a cost layer for stock entering an inventory record. Callers save
+ * the inventory record themselves; its _id already exists before saving.
+ */
+async function createLot(inventory, data, session) {
+    const [lot] = await StockLot.create(
+        [
+            {
+                inventory: inventory._id,
+                product: inventory.product,
+                variant: inventory.variant,
+                sku: data.sku,
+                warehouse: inventory.warehouse,
+                source: data.source,
+                reference: data.reference,
+                batchNumber: data.batchNumber,
+                supplier: data.supplier,
+                unitCost: data.unitCost,
+                receivedQuantity: data.quantity,
+                remainingQuantity: data.quantity,
+                receivedAt: data.receivedAt || new Date(),
+                createdBy: data.adminId,
+            },
+        ],
+        { session }
+    );
+
+    return lot;
+}
+
+/**
+ * Takes quantity from the oldest open lots first (FIFO) and returns what
+ * it cost. Stock that predates lot tracking has no layer to draw from; it
+ * is reported as uncostedQuantity instead of failing the movement.
+ */
+async function consumeLots(inventory, quantity, details, session) {
+    const lots = await StockLot.find({
+        inventory: inventory._id,
+        remainingQuantity: { $gt: 0 },
+    })
+        .sort({ receivedAt: 1, _id: 1 })
+        .session(session);
+
+    const layers = [];
+    let outstanding = quantity;
+
+    for (const lot of lots) {
+        if (outstanding === 0) break;
+
+        const taken = Math.min(lot.remainingQuantity, outstanding);
+        lot.remainingQuantity -= taken;
+        lot.consumptions.push({
+            type: details.type,
+            quantity: taken,
+            reference: details.reference,
+            order: details.order,
+            orderItem: details.orderItem,
+            performedBy: details.adminId,
+            consumedAt: new Date(),
+        });
+        await lot.save({ session });
+
+        layers.push({
+            lot: lot._id,
+            unitCost: lot.unitCost,
+            quantity: taken,
+            batchNumber: lot.batchNumber,
+            supplier: lot.supplier,
+        });
+        outstanding -= taken;
+    }
+
+    if (outstanding > 0) {
+        logger.warn(
+            `No cost layers left for ${outstanding} unit(s) of ${details.sku} in ${inventory.warehouse}; run inventory:opening-lots`
+        );
+    }
+
+    return {
+        layers,
+        cost: roundCost(
+            layers.reduce(
+                (sum, layer) => sum + layer.unitCost * layer.quantity,
+                0
+            )
+        ),
+        uncostedQuantity: outstanding,
+    };
+}
+
+// Cost for stock that comes back in without a price of its own
+async function getFallbackUnitCost(inventory, { reference } = {}, session) {
+    if (reference) {
+        // Returns go back in at what the original sale cost
+        const [consumed] = await StockLot.aggregate([
+            {
+                $match: {
+                    variant: inventory.variant,
+                    "consumptions.reference": reference,
+                },
+            },
+            { $unwind: "$consumptions" },
+            {
+                $match: {
+                    "consumptions.reference": reference,
+                    "consumptions.type": "out",
+                },
+            },
+            {
+                $group: {
+                    _id: null,
+                    quantity: { $sum: "$consumptions.quantity" },
+                    cost: {
+                        $sum: {
+                            $multiply: ["$consumptions.quantity", "$unitCost"],
+                        },
+                    },
+                },
+            },
+        ]).session(session);
+
+        if (consumed?.quantity > 0) {
+            return roundCost(consumed.cost / consumed.quantity);
+        }
+    }
+
+    const latest = await StockLot.findOne({ variant: inventory.variant })
+        .sort({ receivedAt: -1 })
+        .select("unitCost")
+        .session(session)
+        .lean();
+
+    return latest?.unitCost ?? inventory.purchaseCost ?? 0;
+}
+
+// The part of FIFO-ordered layers after the first `offset` units, e.g. what
+// a transfer's next receipt carries once earlier receipts took the rest
+function sliceLayers(layers, offset, quantity) {
+    const slice = [];
+    let skip = offset;
+    let outstanding = quantity;
+
+    for (const layer of layers) {
+        if (outstanding === 0) break;
+
+        const usable = layer.quantity - Math.min(skip, layer.quantity);
+        skip = Math.max(skip - layer.quantity, 0);
+        if (usable === 0) continue;
+
+        const taken = Math.min(usable, outstanding);
+        slice.push({ ...layer, quantity: taken });
+        outstanding -= taken;
+    }
+
+    return slice;
+}
+
+function roundCost(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export { createLot, consumeLots, getFallbackUnitCost, sliceLayers, roundCost };
@@ -0,0 +1,209 @@
+import * as stockReservationService from "./stock-reservation.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listReservations(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await stockReservationService.listReservations(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Reservations fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listReservations controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getReservation(req, res, next) {
+    try {
+        const { data } = await stockReservationService.getReservationById(
+            req.params.id
+        );
+
+        return apiResponse.success(
+            res,
+            "Reservation fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getReservation controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function createManualHold(req, res, next) {
+    try {
+        const { data } = await stockReservationService.createManualHold(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Stock held successfully", data);
+    } catch (error) {
+        logger.error("Error in createManualHold controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("Insufficient stock")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function reserveOrder(req, res, next) {
+    try {
+        const { data } = await stockReservationService.reserveOrder(
+            req.params.orderId,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(
+            res,
+            "Order stock reserved successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in reserveOrder controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("already has active reservations")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("Insufficient stock")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function releaseReservation(req, res, next) {
+    try {
+        const { data } = await stockReservationService.releaseReservation(
+            req.params.id,
+            req.body.reason,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Reservation released successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in releaseReservation controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function releaseOrderReservations(req, res, next) {
+    try {
+        const { data } = await stockReservationService.releaseOrderReservations(
+            req.params.orderId,
+            req.body.reason,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Order reservations released successfully",
+            data
+        );
+    } catch (error) {
+        logger.error(
+            "Error in releaseOrderReservations controller:",
+            error.message
+        );
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function fulfilReservation(req, res, next) {
+    try {
+        const { data } = await stockReservationService.fulfilReservation(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Reservation fulfilled successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in fulfilReservation controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function fulfilOrderReservations(req, res, next) {
+    try {
+        const { data } = await stockReservationService.fulfilOrderReservations(
+            req.params.orderId,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Order reservations fulfilled successfully",
+            data
+        );
+    } catch (error) {
+        logger.error(
+            "Error in fulfilOrderReservations controller:",
+            error.message
+        );
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    listReservations,
+    getReservation,
+    createManualHold,
+    reserveOrder,
+    releaseReservation,
+    releaseOrderReservations,
+    fulfilReservation,
+    fulfilOrderReservations,
+};
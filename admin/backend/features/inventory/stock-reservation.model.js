@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+// Holds stock against an order (or a manual admin hold) until it is
+// fulfilled, released or it expires
+const stockReservationSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["order", "manual"],
+            required: [true, "Reservation type is required"],
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",
+        },
+        orderNumber: {
+            type: String,
+        },
+        orderItem: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        inventory: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Inventory",
+            required: true,
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+        },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ProductVariant",
+            required: true,
+        },
+        sku: {
+            type: String,
+            required: true,
+        },
+        warehouse: {
+            type: String,
+            required: true,
+        },
+        quantity: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [1, "Quantity must be at least 1"],
+        },
+        // FIFO cost of the stock taken out on fulfilment
+        costOfGoodsSold: {
+            type: Number,
+        },
+        status: {
+            type: String,
+            enum: ["active", "fulfilled", "released", "expired"],
+            default: "active",
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, "Expiry is required"],
+        },
+        note: {
+            type: String,
+            trim: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        fulfilledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        fulfilledAt: {
+            type: Date,
+        },
+        releasedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        releasedAt: {
+            type: Date,
+        },
+        releaseReason: {
+            type: String,
+            trim: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ order: 1, status: 1 });
+stockReservationSchema.index({ variant: 1, status: 1 });
+stockReservationSchema.index({ inventory: 1, status: 1 });
+// An order item is held at most once at a time, even under concurrent requests
+stockReservationSchema.index(
+    { orderItem: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { status: "active", type: "order" },
+    }
+);
+
+const StockReservation = mongoose.model(
+    "StockReservation",
+    stockReservationSchema
+);
+
+export default StockReservation;
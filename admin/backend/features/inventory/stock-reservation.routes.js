@@ -0,0 +1,49 @@
+import express from "express";
+import * as stockReservationController from "./stock-reservation.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/inventory/reservations (auth applied by the parent router)
+const router = express.Router();
+
+router.get(
+    "/",
+    requirePermission("inventory.view"),
+    stockReservationController.listReservations
+);
+router.post(
+    "/",
+    requirePermission("inventory.reserve"),
+    stockReservationController.createManualHold
+);
+router.post(
+    "/orders/:orderId",
+    requirePermission("inventory.reserve"),
+    stockReservationController.reserveOrder
+);
+router.post(
+    "/orders/:orderId/release",
+    requirePermission("inventory.reserve"),
+    stockReservationController.releaseOrderReservations
+);
+router.post(
+    "/orders/:orderId/fulfil",
+    requirePermission("inventory.reserve"),
+    stockReservationController.fulfilOrderReservations
+);
+router.get(
+    "/:id",
+    requirePermission("inventory.view"),
+    stockReservationController.getReservation
+);
+router.post(
+    "/:id/release",
+    requirePermission("inventory.reserve"),
+    stockReservationController.releaseReservation
+);
+router.post(
+    "/:id/fulfil",
+    requirePermission("inventory.reserve"),
+    stockReservationController.fulfilReservation
+);
+
+export default router;
@@ -0,0 +1,580 @@
+import mongoose from "mongoose";
+import StockReservation from "./stock-reservation.model.js";
+import Inventory from "./inventory.model.js";
+import Order from "../orders/order.model.js";
+import { getVariantOrThrow, syncVariantStock } from "./inventory.service.js";
+import { normalizeWarehouseCode } from "./warehouse.service.js";
+import { consumeLots } from "./stock-lot.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+// Default hold times: checkout windows are short, manual holds last a day
+const DEFAULT_TTL_MINUTES = {
+    order: parseInt(process.env.ORDER_RESERVATION_TTL_MINUTES) || 30,
+    manual: 24 * 60,
+};
+const MAX_TTL_DAYS = 30;
+
+const ADMIN_FIELDS = "name email";
+
+let sweepRunning = false;
+
+async function listReservations(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const filter = {};
+    if (query.status) filter.status = query.status;
+    if (query.type) filter.type = query.type;
+    if (query.order) filter.order = query.order;
+    if (query.variant) filter.variant = query.variant;
+    if (query.warehouse) {
+        filter.warehouse = normalizeWarehouseCode(query.warehouse);
+    }
+
+    const [reservations, total, statusCounts] = await Promise.all([
+        StockReservation.find(filter)
+            .populate("createdBy", ADMIN_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        StockReservation.countDocuments(filter),
+        StockReservation.aggregate([
+            { $match: castFilter(filter) },
+            {
+                $group: {
+                    _id: "$status",
+                    count: { $sum: 1 },
+                    quantity: { $sum: "$quantity" },
+                },
+            },
+        ]),
+    ]);
+
+    return {
+        data: reservations,
+        pagination: buildPagination(page, limit, total),
+        summary: {
+            byStatus: statusCounts.reduce((acc, { _id, count, quantity }) => {
+                acc[_id] = { count, quantity };
+                return acc;
+            }, {}),
+        },
+    };
+}
+
+async function getReservationById(reservationId) {
+    const reservation = await StockReservation.findById(reservationId)
+        .populate("createdBy", ADMIN_FIELDS)
+        .populate("fulfilledBy", ADMIN_FIELDS)
+        .populate("releasedBy", ADMIN_FIELDS)
+        .lean();
+
+    if (!reservation) {
+        throw new Error("Reservation not found");
+    }
+
+    return { data: reservation };
+}
+
+// Reserves every item of a pending order, all or nothing
+async function reserveOrder(orderId, options, reservedByAdminId) {
+    const order = await Order.findById(orderId)
+        .select("orderNumber orderStatus items")
+        .lean();
+
+    if (!order) {
+        throw new Error("Order not found");
+    }
+
+    if (order.orderStatus !== "pending") {
+        throw new Error(
+            `Invalid order: stock can only be reserved for pending orders (order is ${order.orderStatus})`
+        );
+    }
+
+    const alreadyReserved = `Order ${order.orderNumber} already has active reservations`;
+    const expiresAt = resolveExpiry(options.expiresAt, "order");
+    const warehouse = options.warehouse
+        ? normalizeWarehouseCode(options.warehouse)
+        : null;
+
+    let reservations;
+    try {
+        reservations = await runInTransaction(async (session) => {
+            const reserved = await StockReservation.exists({
+                order: order._id,
+                status: "active",
+            }).session(session);
+
+            if (reserved) throw new Error(alreadyReserved);
+
+            const records = [];
+
+            for (const item of order.items) {
+                const variant = await getVariantOrThrow(item.variant, session);
+                const inventory = await reserveFromInventory(
+                    variant,
+                    item.quantity,
+                    warehouse,
+                    session
+                );
+
+                records.push({
+                    type: "order",
+                    order: order._id,
+                    orderNumber: order.orderNumber,
+                    orderItem: item._id,
+                    inventory: inventory._id,
+                    product: variant.product,
+                    variant: variant._id,
+                    sku: variant.sku,
+                    warehouse: inventory.warehouse,
+                    quantity: item.quantity,
+                    expiresAt,
+                    createdBy: reservedByAdminId,
+                });
+            }
+
+            return StockReservation.create(records, { session, ordered: true });
+        });
+    } catch (error) {
+        // A concurrent request reserved the same order items first
+        if (error.code === 11000) throw new Error(alreadyReserved);
+        throw error;
+    }
+
+    logger.info(
+        `Stock reserved for order ${order.orderNumber}: ${reservations.length} item(s) until ${expiresAt.toISOString()}`
+    );
+
+    return { data: reservations.map((reservation) => reservation.toObject()) };
+}
+
+async function createManualHold(data, reservedByAdminId) {
+    const quantity = Number(data.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new Error(
+            "Invalid reservation: quantity must be a positive whole number"
+        );
+    }
+
+    if (!data.note || !String(data.note).trim()) {
+        throw new Error(
+            "Invalid reservation: a note is required for manual holds"
+        );
+    }
+
+    const expiresAt = resolveExpiry(data.expiresAt, "manual");
+    const warehouse = data.warehouse
+        ? normalizeWarehouseCode(data.warehouse)
+        : null;
+
+    const reservation = await runInTransaction(async (session) => {
+        const variant = await getVariantOrThrow(data.variantId, session);
+        const inventory = await reserveFromInventory(
+            variant,
+            quantity,
+            warehouse,
+            session
+        );
+
+        const [created] = await StockReservation.create(
+            [
+                {
+                    type: "manual",
+                    inventory: inventory._id,
+                    product: variant.product,
+                    variant: variant._id,
+                    sku: variant.sku,
+                    warehouse: inventory.warehouse,
+                    quantity,
+                    expiresAt,
+                    note: String(data.note).trim(),
+                    createdBy: reservedByAdminId,
+                },
+            ],
+            { session }
+        );
+
+        return created;
+    });
+
+    logger.info(
+        `Manual hold created: ${quantity} x ${reservation.sku} in ${reservation.warehouse} by admin: ${reservedByAdminId}`
+    );
+
+    return { data: reservation.toObject() };
+}
+
+async function releaseReservation(reservationId, reason, releasedByAdminId) {
+    const reservation = await runInTransaction(async (session) => {
+        const reservation = await getActiveReservation(reservationId, session);
+        await releaseHeldStock(reservation, "released", session, {
+            adminId: releasedByAdminId,
+            reason,
+        });
+        return reservation;
+    });
+
+    logger.info(
+        `Reservation released: ${reservation.quantity} x ${reservation.sku} by admin: ${releasedByAdminId}`
+    );
+
+    return { data: reservation.toObject() };
+}
+
+async function releaseOrderReservations(orderId, reason, releasedByAdminId) {
+    const reservations = await runInTransaction(async (session) => {
+        const reservations = await getActiveOrderReservations(orderId, session);
+
+        for (const reservation of reservations) {
+            await releaseHeldStock(reservation, "released", session, {
+                adminId: releasedByAdminId,
+                reason,
+            });
+        }
+
+        return reservations;
+    });
+
+    logger.info(
+        `Order reservations released: ${reservations[0].orderNumber} (${reservations.length}) by admin: ${releasedByAdminId}`
+    );
+
+    return { data: reservations.map((reservation) => reservation.toObject()) };
+}
+
+async function fulfilReservation(reservationId, fulfilledByAdminId) {
+    const reservation = await runInTransaction(async (session) => {
+        const reservation = await getActiveReservation(reservationId, session);
+        await convertToMovement(reservation, fulfilledByAdminId, session);
+        return reservation;
+    });
+
+    logger.info(
+        `Reservation fulfilled: ${reservation.quantity} x ${reservation.sku} by admin: ${fulfilledByAdminId}`
+    );
+
+    return { data: reservation.toObject() };
+}
+
+async function fulfilOrderReservations(orderId, fulfilledByAdminId) {
+    const reservations = await runInTransaction(async (session) => {
+        const reservations = await getActiveOrderReservations(orderId, session);
+
+        for (const reservation of reservations) {
+            await convertToMovement(reservation, fulfilledByAdminId, session);
+        }
+
+        return reservations;
+    });
+
+    logger.info(
+        `Order reservations fulfilled: ${reservations[0].orderNumber} (${reservations.length}) by admin: ${fulfilledByAdminId}`
+    );
+
+    return { data: reservations.map((reservation) => reservation.toObject()) };
+}
+
+/**
+ * Releases expired reservations. Order reservations are only released
+ * while the order is still unpaid and pending (or was cancelled); stock
+ * held for paid orders stays reserved until fulfilment.
+ */
+async function releaseExpiredReservations() {
+    if (sweepRunning) return { released: 0, kept: 0 };
+    sweepRunning = true;
+
+    try {
+        const expired = await StockReservation.find({
+            status: "active",
+            expiresAt: { $lte: new Date() },
+        })
+            .select("_id type order")
+            .lean();
+
+        const orderIds = expired
+            .filter((reservation) => reservation.order)
+            .map((reservation) => reservation.order);
+        const orders = await Order.find({ _id: { $in: orderIds } })
+            .select("orderStatus payment.status")
+            .lean();
+        const ordersById = new Map(
+            orders.map((order) => [String(order._id), order])
+        );
+
+        let released = 0;
+        let kept = 0;
+
+        for (const { _id, type, order } of expired) {
+            if (
+                type === "order" &&
+                !isReleasableOrder(ordersById.get(String(order)))
+            ) {
+                kept++;
+                continue;
+            }
+
+            try {
+                await runInTransaction(async (session) => {
+                    const reservation = await StockReservation.findOne({
+                        _id,
+                        status: "active",
+                    }).session(session);
+                    if (!reservation) return;
+
+                    await releaseHeldStock(reservation, "expired", session, {
+                        reason: "Reservation expired",
+                    });
+                });
+                released++;
+            } catch (error) {
+                logger.error(
+                    `Failed to release expired reservation ${_id}:`,
+                    error.message
+                );
+            }
+        }
+
+        if (released > 0 || kept > 0) {
+            logger.info(
+                `Expired reservations: ${released} released, ${kept} kept for paid or progressing orders`
+            );
+        }
+
+        return { released, kept };
+    } finally {
+        sweepRunning = false;
+    }
+}
+
+// Atomic check-and-reserve: only matches a record whose available
+// (stock - reserved) quantity covers the request
+async function reserveFromInventory(variant, quantity, warehouse, session) {
+    const filter = {
+        variant: variant._id,
+        $expr: {
+            $gte: [
+                { $subtract: ["$stockQuantity", "$reservedQuantity"] },
+                quantity,
+            ],
+        },
+    };
+    if (warehouse) filter.warehouse = warehouse;
+
+    const inventory = await Inventory.findOneAndUpdate(
+        filter,
+        { $inc: { reservedQuantity: quantity } },
+        { new: true, sort: { stockQuantity: -1 }, session }
+    );
+
+    if (!inventory) {
+        const [stock] = await Inventory.aggregate([
+            {
+                $match: {
+                    variant: variant._id,
+                    ...(warehouse && { warehouse }),
+                },
+            },
+            {
+                $group: {
+                    _id: null,
+                    available: {
+                        $max: {
+                            $subtract: ["$stockQuantity", "$reservedQuantity"],
+                        },
+                    },
+                },
+            },
+        ]).session(session);
+
+        throw new Error(
+            `Insufficient stock: ${Math.max(stock?.available || 0, 0)} of ${
+                variant.sku
+            } available${warehouse ? ` in ${warehouse}` : " in any one warehouse"}, ${quantity} requested`
+        );
+    }
+
+    return inventory;
+}
+
+async function releaseHeldStock(
+    reservation,
+    status,
+    session,
+    { adminId, reason } = {}
+) {
+    await Inventory.updateOne(
+        {
+            _id: reservation.inventory,
+            reservedQuantity: { $gte: reservation.quantity },
+        },
+        { $inc: { reservedQuantity: -reservation.quantity } }
+    ).session(session);
+
+    reservation.status = status;
+    reservation.releasedBy = adminId;
+    reservation.releasedAt = new Date();
+    reservation.releaseReason = reason;
+    await reservation.save({ session });
+}
+
+// Fulfilment turns the hold into an "out" movement and lowers variant stock
+async function convertToMovement(reservation, adminId, session) {
+    const inventory = await Inventory.findById(reservation.inventory).session(
+        session
+    );
+
+    if (!inventory) {
+        throw new Error(`Inventory record for ${reservation.sku} not found`);
+    }
+
+    inventory.reservedQuantity = Math.max(
+        inventory.reservedQuantity - reservation.quantity,
+        0
+    );
+    inventory.stockQuantity -= reservation.quantity;
+    inventory.addMovement(
+        "out",
+        -reservation.quantity,
+        reservation.type === "order"
+            ? "Order fulfilment"
+            : "Manual hold fulfilled",
+        reservation.orderNumber || String(reservation._id),
+        adminId
+    );
+
+    const { cost } = await consumeLots(
+        inventory,
+        reservation.quantity,
+        {
+            type: "out",
+            reference: reservation.orderNumber || String(reservation._id),
+            order: reservation.order,
+            orderItem: reservation.orderItem,
+            sku: reservation.sku,
+            adminId,
+        },
+        session
+    );
+    await inventory.save({ session });
+
+    if (reservation.order) {
+        // Reservations from before cost tracking have no orderItem
+        await Order.updateOne(
+            { _id: reservation.order },
+            { $inc: { "items.$[item].costOfGoodsSold": cost } },
+            {
+                arrayFilters: [
+                    reservation.orderItem
+                        ? { "item._id": reservation.orderItem }
+                        : { "item.variant": reservation.variant },
+                ],
+                session,
+            }
+        );
+    }
+
+    const variant = await getVariantOrThrow(reservation.variant, session);
+    await syncVariantStock(variant, session);
+
+    reservation.costOfGoodsSold = cost;
+    reservation.status = "fulfilled";
+    reservation.fulfilledBy = adminId;
+    reservation.fulfilledAt = new Date();
+    await reservation.save({ session });
+}
+
+async function getActiveReservation(reservationId, session) {
+    const reservation =
+        await StockReservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+        throw new Error("Reservation not found");
+    }
+
+    if (reservation.status !== "active") {
+        throw new Error(
+            `Invalid reservation state: reservation is already ${reservation.status}`
+        );
+    }
+
+    return reservation;
+}
+
+async function getActiveOrderReservations(orderId, session) {
+    const reservations = await StockReservation.find({
+        order: orderId,
+        status: "active",
+    }).session(session);
+
+    if (reservations.length === 0) {
+        throw new Error(
+            "Invalid order state: order has no active reservations"
+        );
+    }
+
+    return reservations;
+}
+
+function isReleasableOrder(order) {
+    if (!order) return true;
+    if (order.orderStatus === "cancelled") return true;
+    return order.orderStatus === "pending" && order.payment?.status !== "paid";
+}
+
+function resolveExpiry(expiresAt, type) {
+    const now = Date.now();
+    const maxExpiry = now + MAX_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+    if (expiresAt === undefined || expiresAt === null || expiresAt === "") {
+        return new Date(now + DEFAULT_TTL_MINUTES[type] * 60 * 1000);
+    }
+
+    const date = new Date(expiresAt);
+
+    if (
+        Number.isNaN(date.getTime()) ||
+        date.getTime() <= now ||
+        date.getTime() > maxExpiry
+    ) {
+        throw new Error(
+            `Invalid expiresAt: must be a future date within ${MAX_TTL_DAYS} days`
+        );
+    }
+
+    return date;
+}
+
+// Aggregations do not cast query values, so ids are cast up front
+function castFilter(filter) {
+    const cast = { ...filter };
+
+    for (const field of ["order", "variant"]) {
+        if (cast[field] === undefined) continue;
+        if (!mongoose.isValidObjectId(cast[field])) {
+            throw new Error(`Invalid ID: ${cast[field]}`);
+        }
+        cast[field] = new mongoose.Types.ObjectId(String(cast[field]));
+    }
+
+    return cast;
+}
+
+export {
+    listReservations,
+    getReservationById,
+    reserveOrder,
+    createManualHold,
+    releaseReservation,
+    releaseOrderReservations,
+    fulfilReservation,
+    fulfilOrderReservations,
+    releaseExpiredReservations,
+};
@@ -0,0 +1,166 @@
+import * as stockTransferService from "./stock-transfer.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listTransfers(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await stockTransferService.listTransfers(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Transfers fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listTransfers controller:", error.message);
+        next(error);
+    }
+}
+
+async function getTransfer(req, res, next) {
+    try {
+        const { data } = await stockTransferService.getTransferById(
+            req.params.id
+        );
+
+        return apiResponse.success(res, "Transfer fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getTransfer controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function createTransfer(req, res, next) {
+    try {
+        const { data } = await stockTransferService.createTransfer(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Transfer created successfully", data);
+    } catch (error) {
+        logger.error("Error in createTransfer controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateTransfer(req, res, next) {
+    try {
+        const { data } = await stockTransferService.updateTransfer(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Transfer updated successfully", data);
+    } catch (error) {
+        logger.error("Error in updateTransfer controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function dispatchTransfer(req, res, next) {
+    try {
+        const { data } = await stockTransferService.dispatchTransfer(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Transfer dispatched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in dispatchTransfer controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("Insufficient stock")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function receiveTransfer(req, res, next) {
+    try {
+        const { data } = await stockTransferService.receiveTransfer(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            data.status === "received"
+                ? "Transfer received successfully"
+                : "Partial receipt recorded successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in receiveTransfer controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function cancelTransfer(req, res, next) {
+    try {
+        const { data } = await stockTransferService.cancelTransfer(
+            req.params.id,
+            req.body.reason,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Transfer cancelled successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in cancelTransfer controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    listTransfers,
+    getTransfer,
+    createTransfer,
+    updateTransfer,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+};
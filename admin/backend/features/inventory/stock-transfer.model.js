@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+
+const transferItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ProductVariant",
+        required: true,
+    },
+    sku: {
+        type: String,
+        required: true,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, "Transfer quantity must be at least 1"],
+    },
+    receivedQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, "Received quantity cannot be negative"],
+    },
+    // Dispatched but written off when the transfer was closed short
+    shortQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, "Short quantity cannot be negative"],
+    },
+    discrepancyNote: {
+        type: String,
+        trim: true,
+    },
+    // FIFO cost layers taken from the source at dispatch, oldest first;
+    // receipts open destination lots from them in the same order
+    costLayers: [
+        {
+            _id: false,
+            unitCost: {
+                type: Number,
+            },
+            quantity: {
+                type: Number,
+            },
+            batchNumber: {
+                type: String,
+            },
+            supplier: {
+                type: String,
+            },
+        },
+    ],
+});
+
+const transferReceiptSchema = new mongoose.Schema(
+    {
+        items: [
+            {
+                _id: false,
+                variant: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "ProductVariant",
+                },
+                sku: {
+                    type: String,
+                },
+                quantity: {
+                    type: Number,
+                },
+            },
+        ],
+        note: {
+            type: String,
+            trim: true,
+        },
+        receivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: true }
+);
+
+// Moves variant quantities between warehouses: draft -> in-transit -> received
+const stockTransferSchema = new mongoose.Schema(
+    {
+        transferNumber: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        fromWarehouse: {
+            type: String,
+            required: [true, "Source warehouse is required"],
+            lowercase: true,
+            trim: true,
+        },
+        toWarehouse: {
+            type: String,
+            required: [true, "Destination warehouse is required"],
+            lowercase: true,
+            trim: true,
+        },
+        status: {
+            type: String,
+            enum: [
+                "draft",
+                "in-transit",
+                "partially-received",
+                "received",
+                "cancelled",
+            ],
+            default: "draft",
+        },
+        items: {
+            type: [transferItemSchema],
+            validate: {
+                validator: (items) => items.length > 0,
+                message: "A transfer needs at least one item",
+            },
+        },
+        receipts: {
+            type: [transferReceiptSchema],
+            default: [],
+        },
+        hasDiscrepancy: {
+            type: Boolean,
+            default: false,
+        },
+        notes: {
+            type: String,
+            trim: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        dispatchedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        dispatchedAt: {
+            type: Date,
+        },
+        completedAt: {
+            type: Date,
+        },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        cancelledAt: {
+            type: Date,
+        },
+        cancelReason: {
+            type: String,
+            trim: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromWarehouse: 1, status: 1 });
+stockTransferSchema.index({ toWarehouse: 1, status: 1 });
+stockTransferSchema.index({ "items.variant": 1 });
+
+const StockTransfer = mongoose.model("StockTransfer", stockTransferSchema);
+
+export default StockTransfer;
@@ -0,0 +1,44 @@
+import express from "express";
+import * as stockTransferController from "./stock-transfer.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/inventory/transfers (auth applied by the parent router)
+const router = express.Router();
+
+router.get(
+    "/",
+    requirePermission("inventory.view"),
+    stockTransferController.listTransfers
+);
+router.post(
+    "/",
+    requirePermission("inventory.transfer"),
+    stockTransferController.createTransfer
+);
+router.get(
+    "/:id",
+    requirePermission("inventory.view"),
+    stockTransferController.getTransfer
+);
+router.put(
+    "/:id",
+    requirePermission("inventory.transfer"),
+    stockTransferController.updateTransfer
+);
+router.post(
+    "/:id/dispatch",
+    requirePermission("inventory.transfer"),
+    stockTransferController.dispatchTransfer
+);
+router.post(
+    "/:id/receive",
+    requirePermission("inventory.transfer"),
+    stockTransferController.receiveTransfer
+);
+router.post(
+    "/:id/cancel",
+    requirePermission("inventory.transfer"),
+    stockTransferController.cancelTransfer
+);
+
+export default router;
@@ -0,0 +1,514 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import StockTransfer from "./stock-transfer.model.js";
+import Inventory from "./inventory.model.js";
+import ProductVariant from "../products/product-variant.model.js";
+import {
+    findOrCreateInventory,
+    getVariantOrThrow,
+    syncVariantStock,
+} from "./inventory.service.js";
+import {
+    assertWarehouseActive,
+    normalizeWarehouseCode,
+} from "./warehouse.service.js";
+import {
+    createLot,
+    consumeLots,
+    getFallbackUnitCost,
+    sliceLayers,
+} from "./stock-lot.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const RECEIVABLE_STATUSES = ["in-transit", "partially-received"];
+
+const ADMIN_FIELDS = "name email";
+
+async function listTransfers(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const filter = {};
+    if (query.status) filter.status = query.status;
+    if (query.fromWarehouse) {
+        filter.fromWarehouse = normalizeWarehouseCode(query.fromWarehouse);
+    }
+    if (query.toWarehouse) {
+        filter.toWarehouse = normalizeWarehouseCode(query.toWarehouse);
+    }
+    if (query.warehouse) {
+        const code = normalizeWarehouseCode(query.warehouse);
+        filter.$or = [{ fromWarehouse: code }, { toWarehouse: code }];
+    }
+    if (query.variant) filter["items.variant"] = query.variant;
+
+    const [transfers, total, statusCounts] = await Promise.all([
+        StockTransfer.find(filter)
+            .select("-receipts")
+            .populate("createdBy", ADMIN_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        StockTransfer.countDocuments(filter),
+        StockTransfer.aggregate([
+            { $match: filter },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    return {
+        data: transfers,
+        pagination: buildPagination(page, limit, total),
+        summary: {
+            byStatus: statusCounts.reduce((acc, { _id, count }) => {
+                acc[_id] = count;
+                return acc;
+            }, {}),
+        },
+    };
+}
+
+async function getTransferById(transferId) {
+    const transfer = await StockTransfer.findById(transferId)
+        .populate("createdBy", ADMIN_FIELDS)
+        .populate("dispatchedBy", ADMIN_FIELDS)
+        .populate("cancelledBy", ADMIN_FIELDS)
+        .populate("receipts.receivedBy", ADMIN_FIELDS)
+        .lean();
+
+    if (!transfer) {
+        throw new Error("Transfer not found");
+    }
+
+    return { data: transfer };
+}
+
+async function createTransfer(data, createdByAdminId) {
+    const { fromWarehouse, toWarehouse } = await resolveWarehouses(data);
+    const items = await buildTransferItems(data.items);
+
+    const transfer = await StockTransfer.create({
+        transferNumber: generateTransferNumber(),
+        fromWarehouse,
+        toWarehouse,
+        items,
+        notes: data.notes,
+        createdBy: createdByAdminId,
+    });
+
+    logger.info(
+        `Transfer created: ${transfer.transferNumber} (${fromWarehouse} -> ${toWarehouse}) by admin: ${createdByAdminId}`
+    );
+
+    return getTransferById(transfer._id);
+}
+
+// Drafts can be edited freely; nothing has moved yet
+async function updateTransfer(transferId, updates, updatedByAdminId) {
+    const transfer = await getTransferOrThrow(transferId);
+    assertStatus(transfer, ["draft"], "edited");
+
+    const { fromWarehouse, toWarehouse } = await resolveWarehouses({
+        fromWarehouse: updates.fromWarehouse ?? transfer.fromWarehouse,
+        toWarehouse: updates.toWarehouse ?? transfer.toWarehouse,
+    });
+
+    transfer.fromWarehouse = fromWarehouse;
+    transfer.toWarehouse = toWarehouse;
+    if (updates.items !== undefined) {
+        transfer.items = await buildTransferItems(updates.items);
+    }
+    if (updates.notes !== undefined) transfer.notes = updates.notes;
+
+    await transfer.save();
+
+    logger.info(
+        `Transfer updated: ${transfer.transferNumber} by admin: ${updatedByAdminId}`
+    );
+
+    return getTransferById(transfer._id);
+}
+
+// Takes the stock out of the source warehouse and books it as in transit
+// at the destination, with a "transfer" movement on each side
+async function dispatchTransfer(transferId, dispatchedByAdminId) {
+    const transfer = await runInTransaction(async (session) => {
+        const transfer = await getTransferOrThrow(transferId, session);
+        assertStatus(transfer, ["draft"], "dispatched");
+
+        await assertWarehouseActive(transfer.fromWarehouse, session);
+        await assertWarehouseActive(transfer.toWarehouse, session);
+
+        for (const item of transfer.items) {
+            const variant = await getVariantOrThrow(item.variant, session);
+
+            const source = await Inventory.findOne({
+                variant: item.variant,
+                warehouse: transfer.fromWarehouse,
+            }).session(session);
+            const available = source
+                ? source.stockQuantity - source.reservedQuantity
+                : 0;
+
+            if (available < item.quantity) {
+                throw new Error(
+                    `Insufficient stock: ${transfer.fromWarehouse} has ${available} of ${item.sku} available, transfer needs ${item.quantity}`
+                );
+            }
+
+            source.stockQuantity -= item.quantity;
+            source.addMovement(
+                "transfer",
+                -item.quantity,
+                `Dispatched to ${transfer.toWarehouse}`,
+                transfer.transferNumber,
+                dispatchedByAdminId
+            );
+
+            // The cost travels with the stock; untracked units take the fallback cost
+            const { layers, uncostedQuantity } = await consumeLots(
+                source,
+                item.quantity,
+                {
+                    type: "transfer",
+                    reference: transfer.transferNumber,
+                    sku: item.sku,
+                    adminId: dispatchedByAdminId,
+                },
+                session
+            );
+            item.costLayers = layers.map(
+                ({ unitCost, quantity, batchNumber, supplier }) => ({
+                    unitCost,
+                    quantity,
+                    batchNumber,
+                    supplier,
+                })
+            );
+            if (uncostedQuantity > 0) {
+                item.costLayers.push({
+                    unitCost: await getFallbackUnitCost(source, {}, session),
+                    quantity: uncostedQuantity,
+                });
+            }
+            await source.save({ session });
+
+            const destination = await findOrCreateInventory(
+                variant,
+                transfer.toWarehouse,
+                session
+            );
+            destination.inTransitQuantity += item.quantity;
+            await destination.save({ session });
+
+            await syncVariantStock(variant, session);
+        }
+
+        transfer.status = "in-transit";
+        transfer.dispatchedBy = dispatchedByAdminId;
+        transfer.dispatchedAt = new Date();
+        await transfer.save({ session });
+
+        return transfer;
+    });
+
+    logger.info(
+        `Transfer dispatched: ${transfer.transferNumber} by admin: ${dispatchedByAdminId}`
+    );
+
+    return getTransferById(transfer._id);
+}
+
+/**
+ * Books received quantities into the destination's stock. Receipts may be
+ * partial; "close" finishes the transfer and writes off whatever is still
+ * outstanding, which needs a discrepancy note per short item.
+ */
+async function receiveTransfer(transferId, data, receivedByAdminId) {
+    const receivedItems = parseReceivedItems(data.items);
+    const close = data.close === true || data.close === "true";
+
+    const transfer = await runInTransaction(async (session) => {
+        const transfer = await getTransferOrThrow(transferId, session);
+        assertStatus(transfer, RECEIVABLE_STATUSES, "received");
+
+        const receipt = { items: [], note: data.note };
+
+        for (const received of receivedItems) {
+            const item = transfer.items.find(
+                (transferItem) =>
+                    String(transferItem.variant) === received.variantId
+            );
+
+            if (!item) {
+                throw new Error(
+                    `Invalid receipt: variant ${received.variantId} is not part of this transfer`
+                );
+            }
+
+            if (received.discrepancyNote) {
+                item.discrepancyNote = received.discrepancyNote;
+            }
+
+            if (received.quantity === 0) continue;
+
+            const outstanding = getOutstandingQuantity(item);
+            if (received.quantity > outstanding) {
+                throw new Error(
+                    `Invalid receipt: only ${outstanding} of ${item.sku} are still in transit`
+                );
+            }
+
+            const variant = await getVariantOrThrow(item.variant, session);
+            const destination = await findOrCreateInventory(
+                variant,
+                transfer.toWarehouse,
+                session
+            );
+
+            destination.inTransitQuantity -= received.quantity;
+            destination.stockQuantity += received.quantity;
+            destination.lastRestocked = new Date();
+            destination.addMovement(
+                "transfer",
+                received.quantity,
+                `Received from ${transfer.fromWarehouse}`,
+                transfer.transferNumber,
+                receivedByAdminId
+            );
+            for (const layer of sliceLayers(
+                item.costLayers,
+                item.receivedQuantity,
+                received.quantity
+            )) {
+                await createLot(
+                    destination,
+                    {
+                        sku: item.sku,
+                        source: "transfer",
+                        reference: transfer.transferNumber,
+                        batchNumber: layer.batchNumber,
+                        supplier: layer.supplier,
+                        unitCost: layer.unitCost,
+                        quantity: layer.quantity,
+                        adminId: receivedByAdminId,
+                    },
+                    session
+                );
+            }
+            await destination.save({ session });
+            await syncVariantStock(variant, session);
+
+            item.receivedQuantity += received.quantity;
+            receipt.items.push({
+                variant: item.variant,
+                sku: item.sku,
+                quantity: received.quantity,
+            });
+        }
+
+        if (close) {
+            await writeOffOutstanding(transfer, session);
+        }
+
+        if (receipt.items.length === 0 && !close) {
+            throw new Error("Invalid receipt: no quantities received");
+        }
+
+        const isComplete = transfer.items.every(
+            (item) => getOutstandingQuantity(item) === 0
+        );
+
+        transfer.receipts.push({ ...receipt, receivedBy: receivedByAdminId });
+        transfer.status = isComplete ? "received" : "partially-received";
+        transfer.hasDiscrepancy = transfer.items.some(
+            (item) => item.shortQuantity > 0
+        );
+        if (isComplete) transfer.completedAt = new Date();
+        await transfer.save({ session });
+
+        return transfer;
+    });
+
+    logger.info(
+        `Transfer ${transfer.status}: ${transfer.transferNumber}${
+            transfer.hasDiscrepancy ? " (with discrepancies)" : ""
+        } by admin: ${receivedByAdminId}`
+    );
+
+    return getTransferById(transfer._id);
+}
+
+async function cancelTransfer(transferId, reason, cancelledByAdminId) {
+    const transfer = await getTransferOrThrow(transferId);
+    assertStatus(transfer, ["draft"], "cancelled");
+
+    transfer.status = "cancelled";
+    transfer.cancelledBy = cancelledByAdminId;
+    transfer.cancelledAt = new Date();
+    transfer.cancelReason = reason;
+    await transfer.save();
+
+    logger.info(
+        `Transfer cancelled: ${transfer.transferNumber} by admin: ${cancelledByAdminId}`
+    );
+
+    return getTransferById(transfer._id);
+}
+
+// Outstanding quantities leave the destination's in-transit total for good
+async function writeOffOutstanding(transfer, session) {
+    for (const item of transfer.items) {
+        const outstanding = getOutstandingQuantity(item);
+        if (outstanding === 0) continue;
+
+        if (!item.discrepancyNote) {
+            throw new Error(
+                `Invalid receipt: a discrepancy note is required for ${item.sku} (${outstanding} not received)`
+            );
+        }
+
+        const destination = await Inventory.findOne({
+            variant: item.variant,
+            warehouse: transfer.toWarehouse,
+        }).session(session);
+
+        destination.inTransitQuantity -= outstanding;
+        await destination.save({ session });
+
+        item.shortQuantity += outstanding;
+    }
+}
+
+async function resolveWarehouses(data) {
+    if (!data.fromWarehouse || !data.toWarehouse) {
+        throw new Error(
+            "Invalid transfer: fromWarehouse and toWarehouse are required"
+        );
+    }
+
+    const fromWarehouse = normalizeWarehouseCode(data.fromWarehouse);
+    const toWarehouse = normalizeWarehouseCode(data.toWarehouse);
+
+    if (fromWarehouse === toWarehouse) {
+        throw new Error(
+            "Invalid transfer: source and destination warehouses must differ"
+        );
+    }
+
+    await assertWarehouseActive(fromWarehouse);
+    await assertWarehouseActive(toWarehouse);
+
+    return { fromWarehouse, toWarehouse };
+}
+
+async function buildTransferItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error("Invalid transfer: at least one item is required");
+    }
+
+    const variantIds = items.map((item) => String(item.variantId));
+
+    if (new Set(variantIds).size !== variantIds.length) {
+        throw new Error("Invalid transfer: each variant may only appear once");
+    }
+
+    if (!variantIds.every((id) => mongoose.isValidObjectId(id))) {
+        throw new Error("Invalid transfer: every item needs a valid variantId");
+    }
+
+    const variants = await ProductVariant.find({ _id: { $in: variantIds } })
+        .select("product sku")
+        .lean();
+    const variantsById = new Map(
+        variants.map((variant) => [String(variant._id), variant])
+    );
+
+    return items.map((item) => {
+        const variant = variantsById.get(String(item.variantId));
+
+        if (!variant) {
+            throw new Error(`Variant ${item.variantId} not found`);
+        }
+
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(
+                `Invalid transfer: quantity for ${variant.sku} must be a positive whole number`
+            );
+        }
+
+        return {
+            product: variant.product,
+            variant: variant._id,
+            sku: variant.sku,
+            quantity,
+        };
+    });
+}
+
+function parseReceivedItems(items) {
+    if (!Array.isArray(items)) {
+        return [];
+    }
+
+    return items.map((item) => {
+        const quantity = Number(item.quantity ?? 0);
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw new Error(
+                "Invalid receipt: quantities must be non-negative whole numbers"
+            );
+        }
+
+        return {
+            variantId: String(item.variantId),
+            quantity,
+            discrepancyNote: item.discrepancyNote?.trim(),
+        };
+    });
+}
+
+function getOutstandingQuantity(item) {
+    return item.quantity - item.receivedQuantity - item.shortQuantity;
+}
+
+function assertStatus(transfer, allowedStatuses, action) {
+    if (!allowedStatuses.includes(transfer.status)) {
+        throw new Error(
+            `Invalid transfer state: a ${transfer.status} transfer cannot be ${action}`
+        );
+    }
+}
+
+async function getTransferOrThrow(transferId, session = null) {
+    const transfer = await StockTransfer.findById(transferId).session(session);
+
+    if (!transfer) {
+        throw new Error("Transfer not found");
+    }
+
+    return transfer;
+}
+
+// e.g. TRF-20240517-3FA9C1
+function generateTransferNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const suffix = crypto.randomBytes(3).toString("hex").toUpperCase();
+    return `TRF-${date}-${suffix}`;
+}
+
+export {
+    listTransfers,
+    getTransferById,
+    createTransfer,
+    updateTransfer,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+};
@@ -0,0 +1,71 @@
+import * as supplierService from "./supplier.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listSuppliers(req, res, next) {
+    try {
+        const { data } = await supplierService.listSuppliers(req.query);
+
+        return apiResponse.success(res, "Suppliers fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in listSuppliers controller:", error.message);
+        next(error);
+    }
+}
+
+async function getSupplier(req, res, next) {
+    try {
+        const { data } = await supplierService.getSupplierById(req.params.id);
+
+        return apiResponse.success(res, "Supplier fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getSupplier controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function createSupplier(req, res, next) {
+    try {
+        const { data } = await supplierService.createSupplier(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Supplier created successfully", data);
+    } catch (error) {
+        logger.error("Error in createSupplier controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateSupplier(req, res, next) {
+    try {
+        const { data } = await supplierService.updateSupplier(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Supplier updated successfully", data);
+    } catch (error) {
+        logger.error("Error in updateSupplier controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { listSuppliers, getSupplier, createSupplier, updateSupplier };
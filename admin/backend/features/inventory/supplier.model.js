@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+// Inventory.supplier holds a supplier's code (or, for older records, its name)
+const supplierSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, "Supplier code is required"],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [
+                /^[a-z0-9-]+$/,
+                "Supplier code may only contain letters, numbers and hyphens",
+            ],
+        },
+        name: {
+            type: String,
+            required: [true, "Supplier name is required"],
+            trim: true,
+        },
+        // Days between placing a purchase order and receiving the stock
+        leadTimeDays: {
+            type: Number,
+            required: [true, "Lead time is required"],
+            min: [0, "Lead time cannot be negative"],
+        },
+        contactName: {
+            type: String,
+            trim: true,
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true,
+        },
+        phone: {
+            type: String,
+            trim: true,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+supplierSchema.index({ isActive: 1 });
+
+supplierSchema.plugin(auditPlugin);
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+export default Supplier;
@@ -0,0 +1,29 @@
+import express from "express";
+import * as supplierController from "./supplier.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/inventory/suppliers (auth applied by the parent router)
+const router = express.Router();
+
+router.get(
+    "/",
+    requirePermission("suppliers.view"),
+    supplierController.listSuppliers
+);
+router.post(
+    "/",
+    requirePermission("suppliers.create"),
+    supplierController.createSupplier
+);
+router.get(
+    "/:id",
+    requirePermission("suppliers.view"),
+    supplierController.getSupplier
+);
+router.put(
+    "/:id",
+    requirePermission("suppliers.edit"),
+    supplierController.updateSupplier
+);
+
+export default router;
@@ -0,0 +1,116 @@
+import Supplier from "./supplier.model.js";
+import logger from "../../shared/utils/logger.util.js";
+
+const EDITABLE_FIELDS = [
+    "name",
+    "leadTimeDays",
+    "contactName",
+    "email",
+    "phone",
+    "isActive",
+];
+
+async function listSuppliers(query) {
+    const filter = {};
+    if (query.isActive !== undefined)
+        filter.isActive = query.isActive === "true";
+
+    const suppliers = await Supplier.find(filter)
+        .sort({ isActive: -1, code: 1 })
+        .lean();
+
+    return { data: suppliers };
+}
+
+async function getSupplierById(supplierId) {
+    const supplier = await Supplier.findById(supplierId).lean();
+
+    if (!supplier) {
+        throw new Error("Supplier not found");
+    }
+
+    return { data: supplier };
+}
+
+async function createSupplier(data, createdByAdminId) {
+    if (!data.code) {
+        throw new Error("Invalid supplier: code is required");
+    }
+
+    const code = normalizeSupplierCode(data.code);
+
+    if (await Supplier.exists({ code })) {
+        throw new Error(`Supplier with code "${code}" already exists`);
+    }
+
+    const supplier = await Supplier.create({
+        ...pickEditableFields(data),
+        code,
+    });
+
+    logger.info(
+        `Supplier created: ${supplier.code} by admin: ${createdByAdminId}`
+    );
+
+    return { data: supplier.toObject() };
+}
+
+// The code is stored on inventory records, so it never changes
+async function updateSupplier(supplierId, updates, updatedByAdminId) {
+    const supplier = await Supplier.findById(supplierId);
+
+    if (!supplier) {
+        throw new Error("Supplier not found");
+    }
+
+    if (
+        updates.code !== undefined &&
+        normalizeSupplierCode(updates.code) !== supplier.code
+    ) {
+        throw new Error("Invalid update: supplier code cannot be changed");
+    }
+
+    supplier.set(pickEditableFields(updates));
+    await supplier.save();
+
+    logger.info(
+        `Supplier updated: ${supplier.code} by admin: ${updatedByAdminId}`
+    );
+
+    return { data: supplier.toObject() };
+}
+
+// Maps Inventory.supplier values (code or name, any case) to suppliers
+async function getSupplierLookup() {
+    const suppliers = await Supplier.find().lean();
+    const lookup = new Map();
+
+    for (const supplier of suppliers) {
+        lookup.set(supplier.code, supplier);
+        lookup.set(supplier.name.trim().toLowerCase(), supplier);
+    }
+
+    return (value) =>
+        value ? lookup.get(String(value).trim().toLowerCase()) || null : null;
+}
+
+function normalizeSupplierCode(code) {
+    return String(code).trim().toLowerCase();
+}
+
+function pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+        if (data[field] !== undefined) {
+            acc[field] = data[field];
+        }
+        return acc;
+    }, {});
+}
+
+export {
+    listSuppliers,
+    getSupplierById,
+    createSupplier,
+    updateSupplier,
+    getSupplierLookup,
+};
@@ -0,0 +1,69 @@
+import * as valuationService from "./valuation.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function getValuationReport(req, res, next) {
+    try {
+        const { data, summary } = await valuationService.getValuationReport(
+            req.query
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Inventory valuation fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in getValuationReport controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function exportValuation(req, res, next) {
+    try {
+        const { data } = await valuationService.exportValuation(
+            req.query,
+            req.admin._id
+        );
+
+        res.set("Content-Type", data.contentType);
+        res.set(
+            "Content-Disposition",
+            `attachment; filename="${data.fileName}"`
+        );
+        return res.send(data.buffer);
+    } catch (error) {
+        logger.error("Error in exportValuation controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getOrderCosts(req, res, next) {
+    try {
+        const { data, summary } = await valuationService.getOrderCosts(
+            req.params.orderId
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Order costs fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in getOrderCosts controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { getValuationReport, exportValuation, getOrderCosts };
@@ -0,0 +1,24 @@
+import express from "express";
+import * as valuationController from "./valuation.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/inventory/valuation (auth applied by the parent router)
+const router = express.Router();
+
+router.get(
+    "/",
+    requirePermission("inventory.valuation"),
+    valuationController.getValuationReport
+);
+router.get(
+    "/export",
+    requirePermission("inventory.valuation"),
+    valuationController.exportValuation
+);
+router.get(
+    "/orders/:orderId",
+    requirePermission("inventory.valuation"),
+    valuationController.getOrderCosts
+);
+
+export default router;
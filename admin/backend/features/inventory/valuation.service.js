@@ -0,0 +1,342 @@
+import StockLot from "./stock-lot.model.js";
+import StockTransfer from "./stock-transfer.model.js";
+import Product from "../products/product.model.js";
+import Category from "../products/category.model.js";
+import Order from "../orders/order.model.js";
+import { normalizeWarehouseCode } from "./warehouse.service.js";
+import { sliceLayers, roundCost } from "./stock-lot.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { writeSpreadsheet } from "../../shared/utils/spreadsheet.util.js";
+
+const VALUATION_COLUMNS = [
+    { header: "Warehouse", key: "warehouse" },
+    { header: "SKU", key: "sku" },
+    { header: "Product", key: "productName" },
+    { header: "Category", key: "category" },
+    { header: "Purity", key: "purity" },
+    { header: "Quantity", key: "quantity" },
+    { header: "Average Unit Cost", key: "averageUnitCost" },
+    { header: "Value", key: "value" },
+];
+
+/**
+ * Values stock at FIFO cost as of a date: every lot received by then, less
+ * what had been consumed from it by then. Stock dispatched between
+ * warehouses belongs to neither until it is received, so it is reported
+ * separately as in transit.
+ */
+async function getValuationReport(query) {
+    const asOf = parseAsOf(query.asOf);
+    const warehouse = query.warehouse
+        ? normalizeWarehouseCode(query.warehouse)
+        : null;
+
+    const [rows, inTransit] = await Promise.all([
+        buildValuationRows(asOf, warehouse),
+        warehouse ? null : getInTransitValue(asOf),
+    ]);
+
+    const totals = sumRows(rows);
+
+    return {
+        data: rows,
+        summary: {
+            asOf,
+            totalQuantity: totals.quantity + (inTransit?.quantity || 0),
+            totalValue: roundCost(totals.value + (inTransit?.value || 0)),
+            byWarehouse: groupRows(rows, "warehouse"),
+            byCategory: groupRows(rows, "category"),
+            byPurity: groupRows(rows, "purity"),
+            inTransit,
+        },
+    };
+}
+
+async function exportValuation(query, exportedByAdminId) {
+    const format = query.format === "xlsx" ? "xlsx" : "csv";
+    const { data: rows, summary } = await getValuationReport(query);
+
+    const { buffer, contentType } = await writeSpreadsheet(
+        VALUATION_COLUMNS,
+        rows.map((row) => ({ ...row, category: row.category ?? "" })),
+        format,
+        "Valuation"
+    );
+
+    logger.info(
+        `Inventory valuation exported: ${rows.length} rows as of ${summary.asOf.toISOString()} (${format}) by admin: ${exportedByAdminId}`
+    );
+
+    const date = summary.asOf.toISOString().slice(0, 10);
+
+    return {
+        data: {
+            buffer,
+            contentType,
+            fileName: `inventory-valuation-${date}.${format}`,
+        },
+    };
+}
+
+// Cost of goods sold per order item, from the lots its fulfilment consumed
+async function getOrderCosts(orderId) {
+    const order = await Order.findById(orderId)
+        .select("orderNumber orderStatus items")
+        .lean();
+
+    if (!order) {
+        throw new Error("Order not found");
+    }
+
+    const consumptions = await StockLot.aggregate([
+        { $match: { "consumptions.order": order._id } },
+        { $unwind: "$consumptions" },
+        {
+            $match: {
+                "consumptions.order": order._id,
+                "consumptions.type": "out",
+            },
+        },
+        { $sort: { receivedAt: 1 } },
+        {
+            $project: {
+                _id: 0,
+                variant: 1,
+                warehouse: 1,
+                batchNumber: 1,
+                supplier: 1,
+                unitCost: 1,
+                orderItem: "$consumptions.orderItem",
+                quantity: "$consumptions.quantity",
+                consumedAt: "$consumptions.consumedAt",
+            },
+        },
+    ]);
+
+    const items = order.items.map((item) => {
+        const layers = consumptions.filter((layer) =>
+            layer.orderItem
+                ? String(layer.orderItem) === String(item._id)
+                : String(layer.variant) === String(item.variant)
+        );
+        const costedQuantity = layers.reduce(
+            (sum, layer) => sum + layer.quantity,
+            0
+        );
+        const costOfGoodsSold = roundCost(
+            layers.reduce(
+                (sum, layer) => sum + layer.quantity * layer.unitCost,
+                0
+            )
+        );
+
+        return {
+            _id: item._id,
+            sku: item.sku,
+            productName: item.productName,
+            quantity: item.quantity,
+            revenue: item.subtotal,
+            costedQuantity,
+            costOfGoodsSold,
+            grossMargin:
+                costedQuantity > 0
+                    ? roundCost(item.subtotal - costOfGoodsSold)
+                    : null,
+            layers,
+        };
+    });
+
+    const costOfGoodsSold = roundCost(
+        items.reduce((sum, item) => sum + item.costOfGoodsSold, 0)
+    );
+    const revenue = items.reduce((sum, item) => sum + item.revenue, 0);
+
+    return {
+        data: {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            items,
+        },
+        summary: {
+            revenue,
+            costOfGoodsSold,
+            grossMargin: roundCost(revenue - costOfGoodsSold),
+            fullyCosted: items.every(
+                (item) => item.costedQuantity === item.quantity
+            ),
+        },
+    };
+}
+
+async function buildValuationRows(asOf, warehouse) {
+    const rows = await StockLot.aggregate([
+        {
+            $match: {
+                receivedAt: { $lte: asOf },
+                ...(warehouse && { warehouse }),
+            },
+        },
+        {
+            $project: {
+                product: 1,
+                variant: 1,
+                sku: 1,
+                warehouse: 1,
+                unitCost: 1,
+                quantity: {
+                    $subtract: [
+                        "$receivedQuantity",
+                        {
+                            $sum: {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: "$consumptions",
+                                            cond: {
+                                                $lte: [
+                                                    "$$this.consumedAt",
+                                                    asOf,
+                                                ],
+                                            },
+                                        },
+                                    },
+                                    in: "$$this.quantity",
+                                },
+                            },
+                        },
+                    ],
+                },
+            },
+        },
+        { $match: { quantity: { $gt: 0 } } },
+        {
+            $group: {
+                _id: { variant: "$variant", warehouse: "$warehouse" },
+                product: { $first: "$product" },
+                sku: { $first: "$sku" },
+                quantity: { $sum: "$quantity" },
+                value: { $sum: { $multiply: ["$quantity", "$unitCost"] } },
+            },
+        },
+        {
+            $lookup: {
+                from: Product.collection.name,
+                localField: "product",
+                foreignField: "_id",
+                as: "product",
+            },
+        },
+        { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+        {
+            $lookup: {
+                from: Category.collection.name,
+                localField: "product.category",
+                foreignField: "_id",
+                as: "category",
+            },
+        },
+        { $sort: { "_id.warehouse": 1, sku: 1 } },
+    ]);
+
+    return rows.map((row) => ({
+        warehouse: row._id.warehouse,
+        variant: row._id.variant,
+        product: row.product?._id || null,
+        productName: row.product?.name || null,
+        sku: row.sku,
+        category: row.category[0]?.name || null,
+        purity: row.product?.purity || null,
+        quantity: row.quantity,
+        averageUnitCost: roundCost(row.value / row.quantity),
+        value: roundCost(row.value),
+    }));
+}
+
+// Dispatched units not yet received (or written off) by the date
+async function getInTransitValue(asOf) {
+    const transfers = await StockTransfer.find({
+        dispatchedAt: { $lte: asOf },
+        status: { $in: ["in-transit", "partially-received", "received"] },
+        $or: [{ completedAt: null }, { completedAt: { $gt: asOf } }],
+    })
+        .select("items receipts")
+        .lean();
+
+    let quantity = 0;
+    let value = 0;
+
+    for (const transfer of transfers) {
+        for (const item of transfer.items) {
+            const received = transfer.receipts
+                .filter((receipt) => receipt.receivedAt <= asOf)
+                .flatMap((receipt) => receipt.items)
+                .filter(
+                    (receiptItem) =>
+                        String(receiptItem.variant) === String(item.variant)
+                )
+                .reduce((sum, receiptItem) => sum + receiptItem.quantity, 0);
+            const outstanding = item.quantity - received;
+
+            if (outstanding <= 0) continue;
+
+            quantity += outstanding;
+            value += sliceLayers(
+                item.costLayers || [],
+                received,
+                outstanding
+            ).reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+        }
+    }
+
+    return { quantity, value: roundCost(value) };
+}
+
+function groupRows(rows, field) {
+    const groups = new Map();
+
+    for (const row of rows) {
+        const key = row[field] ?? "Unassigned";
+        const group = groups.get(key) || {
+            [field]: key,
+            quantity: 0,
+            value: 0,
+        };
+        group.quantity += row.quantity;
+        group.value += row.value;
+        groups.set(key, group);
+    }
+
+    return [...groups.values()]
+        .map((group) => ({ ...group, value: roundCost(group.value) }))
+        .sort((a, b) => b.value - a.value);
+}
+
+function sumRows(rows) {
+    return rows.reduce(
+        (totals, row) => ({
+            quantity: totals.quantity + row.quantity,
+            value: totals.value + row.value,
+        }),
+        { quantity: 0, value: 0 }
+    );
+}
+
+function parseAsOf(value) {
+    if (value === undefined || value === "") return new Date();
+
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error("Invalid asOf: must be a valid date");
+    }
+
+    // A bare date means the end of that day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+
+    return date;
+}
+
+export { getValuationReport, exportValuation, getOrderCosts };
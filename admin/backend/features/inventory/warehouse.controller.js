@@ -0,0 +1,141 @@
+import * as warehouseService from "./warehouse.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listWarehouses(req, res, next) {
+    try {
+        const { data, summary } = await warehouseService.listWarehouses(
+            req.query
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Warehouses fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listWarehouses controller:", error.message);
+        next(error);
+    }
+}
+
+async function getWarehouse(req, res, next) {
+    try {
+        const { data } = await warehouseService.getWarehouseById(req.params.id);
+
+        return apiResponse.success(res, "Warehouse fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getWarehouse controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function createWarehouse(req, res, next) {
+    try {
+        const { data } = await warehouseService.createWarehouse(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Warehouse created successfully", data);
+    } catch (error) {
+        logger.error("Error in createWarehouse controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateWarehouse(req, res, next) {
+    try {
+        const { data } = await warehouseService.updateWarehouse(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Warehouse updated successfully", data);
+    } catch (error) {
+        logger.error("Error in updateWarehouse controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function activateWarehouse(req, res, next) {
+    try {
+        const { data } = await warehouseService.setWarehouseActive(
+            req.params.id,
+            true,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Warehouse activated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in activateWarehouse controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("already")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deactivateWarehouse(req, res, next) {
+    try {
+        const { data } = await warehouseService.setWarehouseActive(
+            req.params.id,
+            false,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Warehouse deactivated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in deactivateWarehouse controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("already")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (
+            error.message.includes("still holds stock") ||
+            error.message.includes("open transfers")
+        ) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    listWarehouses,
+    getWarehouse,
+    createWarehouse,
+    updateWarehouse,
+    activateWarehouse,
+    deactivateWarehouse,
+};
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+// Inventory.warehouse and stock transfers refer to warehouses by code
+const warehouseSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, "Warehouse code is required"],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [
+                /^[a-z0-9-]+$/,
+                "Warehouse code may only contain letters, numbers and hyphens",
+            ],
+        },
+        name: {
+            type: String,
+            required: [true, "Warehouse name is required"],
+            trim: true,
+        },
+        address: {
+            line1: {
+                type: String,
+                trim: true,
+            },
+            line2: {
+                type: String,
+                trim: true,
+            },
+            city: {
+                type: String,
+                trim: true,
+            },
+            state: {
+                type: String,
+                trim: true,
+            },
+            postalCode: {
+                type: String,
+                trim: true,
+            },
+            country: {
+                type: String,
+                trim: true,
+                default: "India",
+            },
+        },
+        contactPhone: {
+            type: String,
+            trim: true,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+warehouseSchema.index({ isActive: 1 });
+
+warehouseSchema.plugin(auditPlugin);
+
+const Warehouse = mongoose.model("Warehouse", warehouseSchema);
+
+export default Warehouse;
@@ -0,0 +1,39 @@
+import express from "express";
+import * as warehouseController from "./warehouse.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/inventory/warehouses (auth applied by the parent router)
+const router = express.Router();
+
+router.get(
+    "/",
+    requirePermission("warehouses.view"),
+    warehouseController.listWarehouses
+);
+router.post(
+    "/",
+    requirePermission("warehouses.create"),
+    warehouseController.createWarehouse
+);
+router.get(
+    "/:id",
+    requirePermission("warehouses.view"),
+    warehouseController.getWarehouse
+);
+router.put(
+    "/:id",
+    requirePermission("warehouses.edit"),
+    warehouseController.updateWarehouse
+);
+router.put(
+    "/:id/activate",
+    requirePermission("warehouses.edit"),
+    warehouseController.activateWarehouse
+);
+router.put(
+    "/:id/deactivate",
+    requirePermission("warehouses.edit"),
+    warehouseController.deactivateWarehouse
+);
+
+export default router;
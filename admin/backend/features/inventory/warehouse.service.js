@@ -0,0 +1,239 @@
+import Warehouse from "./warehouse.model.js";
+import Inventory from "./inventory.model.js";
+import StockTransfer from "./stock-transfer.model.js";
+import logger from "../../shared/utils/logger.util.js";
+
+// Inventory created before warehouses existed defaults to this code
+const DEFAULT_WAREHOUSE_CODE = "main";
+
+const EDITABLE_FIELDS = ["name", "address", "contactPhone"];
+
+const OPEN_TRANSFER_STATUSES = ["draft", "in-transit", "partially-received"];
+
+async function listWarehouses(query) {
+    const filter = {};
+    if (query.isActive !== undefined)
+        filter.isActive = query.isActive === "true";
+
+    const [warehouses, stock] = await Promise.all([
+        Warehouse.find(filter).sort({ isActive: -1, code: 1 }).lean(),
+        Inventory.aggregate([
+            {
+                $group: {
+                    _id: "$warehouse",
+                    stockQuantity: { $sum: "$stockQuantity" },
+                    reservedQuantity: { $sum: "$reservedQuantity" },
+                    inTransitQuantity: { $sum: "$inTransitQuantity" },
+                },
+            },
+        ]),
+    ]);
+
+    const stockByWarehouse = new Map(stock.map((item) => [item._id, item]));
+
+    const data = warehouses.map((warehouse) => {
+        const totals = stockByWarehouse.get(warehouse.code);
+        return {
+            ...warehouse,
+            stockQuantity: totals?.stockQuantity || 0,
+            reservedQuantity: totals?.reservedQuantity || 0,
+            inTransitQuantity: totals?.inTransitQuantity || 0,
+        };
+    });
+
+    return {
+        data,
+        summary: {
+            total: data.length,
+            active: data.filter((warehouse) => warehouse.isActive).length,
+        },
+    };
+}
+
+async function getWarehouseById(warehouseId) {
+    const warehouse = await Warehouse.findById(warehouseId).lean();
+
+    if (!warehouse) {
+        throw new Error("Warehouse not found");
+    }
+
+    return { data: warehouse };
+}
+
+async function createWarehouse(data, createdByAdminId) {
+    if (!data.code) {
+        throw new Error("Invalid warehouse: code is required");
+    }
+
+    const code = normalizeWarehouseCode(data.code);
+
+    if (await Warehouse.exists({ code })) {
+        throw new Error(`Warehouse with code "${code}" already exists`);
+    }
+
+    const warehouse = await Warehouse.create({
+        ...pickEditableFields(data),
+        code,
+    });
+
+    logger.info(
+        `Warehouse created: ${warehouse.code} by admin: ${createdByAdminId}`
+    );
+
+    return { data: warehouse.toObject() };
+}
+
+// The code is referenced by inventory and transfers, so it never changes
+async function updateWarehouse(warehouseId, updates, updatedByAdminId) {
+    const warehouse = await Warehouse.findById(warehouseId);
+
+    if (!warehouse) {
+        throw new Error("Warehouse not found");
+    }
+
+    if (
+        updates.code !== undefined &&
+        normalizeWarehouseCode(updates.code) !== warehouse.code
+    ) {
+        throw new Error("Invalid update: warehouse code cannot be changed");
+    }
+
+    warehouse.set(pickEditableFields(updates));
+    await warehouse.save();
+
+    logger.info(
+        `Warehouse updated: ${warehouse.code} by admin: ${updatedByAdminId}`
+    );
+
+    return { data: warehouse.toObject() };
+}
+
+async function setWarehouseActive(warehouseId, isActive, updatedByAdminId) {
+    const warehouse = await Warehouse.findById(warehouseId);
+
+    if (!warehouse) {
+        throw new Error("Warehouse not found");
+    }
+
+    if (warehouse.isActive === isActive) {
+        throw new Error(
+            `Warehouse is already ${isActive ? "active" : "inactive"}`
+        );
+    }
+
+    if (!isActive) {
+        await assertWarehouseEmpty(warehouse.code);
+    }
+
+    warehouse.isActive = isActive;
+    await warehouse.save();
+
+    logger.info(
+        `Warehouse ${isActive ? "activated" : "deactivated"}: ${
+            warehouse.code
+        } by admin: ${updatedByAdminId}`
+    );
+
+    return { data: warehouse.toObject() };
+}
+
+async function assertWarehouseActive(code, session = null) {
+    const warehouse = await Warehouse.findOne({ code }).session(session).lean();
+
+    if (!warehouse) {
+        throw new Error(`Warehouse "${code}" not found`);
+    }
+
+    if (!warehouse.isActive) {
+        throw new Error(`Invalid warehouse: "${code}" is inactive`);
+    }
+
+    return warehouse;
+}
+
+// Creates the default warehouse and any codes already used by Inventory
+async function ensureWarehouses() {
+    const codes = await Inventory.distinct("warehouse");
+    const allCodes = [...new Set([DEFAULT_WAREHOUSE_CODE, ...codes])].filter(
+        Boolean
+    );
+
+    const result = await Warehouse.bulkWrite(
+        allCodes.map((code) => ({
+            updateOne: {
+                filter: { code },
+                update: {
+                    $setOnInsert: {
+                        code,
+                        name:
+                            code === DEFAULT_WAREHOUSE_CODE
+                                ? "Main Warehouse"
+                                : code,
+                        isActive: true,
+                    },
+                },
+                upsert: true,
+            },
+        }))
+    );
+
+    if (result.upsertedCount > 0) {
+        logger.info(`Created ${result.upsertedCount} missing warehouses`);
+    }
+}
+
+async function assertWarehouseEmpty(code) {
+    const [holdsStock, openTransfer] = await Promise.all([
+        Inventory.exists({
+            warehouse: code,
+            $or: [
+                { stockQuantity: { $gt: 0 } },
+                { inTransitQuantity: { $gt: 0 } },
+            ],
+        }),
+        StockTransfer.exists({
+            status: { $in: OPEN_TRANSFER_STATUSES },
+            $or: [{ fromWarehouse: code }, { toWarehouse: code }],
+        }),
+    ]);
+
+    if (holdsStock) {
+        throw new Error(
+            "Warehouse still holds stock. Transfer it out before deactivating"
+        );
+    }
+
+    if (openTransfer) {
+        throw new Error(
+            "Warehouse has open transfers. Complete or cancel them before deactivating"
+        );
+    }
+}
+
+function normalizeWarehouseCode(code) {
+    return String(code || DEFAULT_WAREHOUSE_CODE)
+        .trim()
+        .toLowerCase();
+}
+
+function pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+        if (data[field] !== undefined) {
+            acc[field] = data[field];
+        }
+        return acc;
+    }, {});
+}
+
+export {
+    listWarehouses,
+    getWarehouseById,
+    createWarehouse,
+    updateWarehouse,
+    setWarehouseActive,
+    assertWarehouseActive,
+    ensureWarehouses,
+    normalizeWarehouseCode,
+    DEFAULT_WAREHOUSE_CODE,
+    OPEN_TRANSFER_STATUSES,
+};
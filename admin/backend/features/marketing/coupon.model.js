@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
 
 const couponSchema = new mongoose.Schema(
     {
@@ -100,6 +101,8 @@ couponSchema.virtual("isCurrentlyValid").get(function () {
     );
 });
 
+couponSchema.plugin(auditPlugin);
+
 const Coupon = mongoose.model("Coupon", couponSchema);
 
 export default Coupon;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
 
 const orderItemSchema = new mongoose.Schema(
     {
@@ -52,6 +53,11 @@ const orderItemSchema = new mongoose.Schema(
             required: [true, "Subtotal is required"],
             min: [0, "Subtotal cannot be negative"],
         },
+        // FIFO cost of the stock shipped for this item, set on fulfilment
+        costOfGoodsSold: {
+            type: Number,
+            min: [0, "Cost of goods sold cannot be negative"],
+        },
     },
     { _id: true }
 );
@@ -276,6 +282,8 @@ orderSchema.pre("save", function (next) {
     next();
 });
 
+orderSchema.plugin(auditPlugin, { exclude: ["statusHistory"] });
+
 const Order = mongoose.model("Order", orderSchema);
 
 export default Order;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+// Published silver rates. Rates are never edited in place: each publish adds
+// a new dated entry, and the latest effective entry per purity is current.
+const metalRateSchema = new mongoose.Schema(
+    {
+        purity: {
+            type: String,
+            enum: ["925", "999"],
+            required: [true, "Purity is required"],
+        },
+        ratePerGram: {
+            type: Number,
+            required: [true, "Rate per gram is required"],
+            min: [0, "Rate cannot be negative"],
+        },
+        effectiveDate: {
+            type: Date,
+            required: [true, "Effective date is required"],
+            default: Date.now,
+        },
+        source: {
+            type: String,
+            trim: true,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Notes cannot exceed 500 characters"],
+        },
+        publishedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+metalRateSchema.index({ purity: 1, effectiveDate: -1, createdAt: -1 });
+
+metalRateSchema.plugin(auditPlugin);
+
+const MetalRate = mongoose.model("MetalRate", metalRateSchema);
+
+export default MetalRate;
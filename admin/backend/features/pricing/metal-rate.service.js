@@ -0,0 +1,157 @@
+import MetalRate from "./metal-rate.model.js";
+import { startRepriceJob } from "./pricing-job.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const PURITIES = ["925", "999"];
+
+// Latest rate per purity; ties on the same date go to the later publish
+const CURRENT_RATE_SORT = { effectiveDate: -1, createdAt: -1 };
+
+async function getCurrentRates() {
+    const rates = await Promise.all(
+        PURITIES.map((purity) => getCurrentRate(purity))
+    );
+
+    return {
+        data: PURITIES.reduce((acc, purity, index) => {
+            acc[purity] = rates[index];
+            return acc;
+        }, {}),
+    };
+}
+
+async function getCurrentRate(purity) {
+    return MetalRate.findOne({ purity, effectiveDate: { $lte: new Date() } })
+        .sort(CURRENT_RATE_SORT)
+        .lean();
+}
+
+async function listRateHistory(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const { purity, from, to } = query;
+
+    const filter = {};
+    if (purity) filter.purity = purity;
+    if (from || to) {
+        filter.effectiveDate = {};
+        if (from) filter.effectiveDate.$gte = new Date(from);
+        if (to) filter.effectiveDate.$lte = new Date(to);
+    }
+
+    const [rates, total, [summary]] = await Promise.all([
+        MetalRate.find(filter)
+            .populate("publishedBy", "name email")
+            .sort(CURRENT_RATE_SORT)
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        MetalRate.countDocuments(filter),
+        MetalRate.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: null,
+                    minRate: { $min: "$ratePerGram" },
+                    maxRate: { $max: "$ratePerGram" },
+                    averageRate: { $avg: "$ratePerGram" },
+                },
+            },
+            { $project: { _id: 0 } },
+        ]),
+    ]);
+
+    return {
+        data: rates,
+        pagination: buildPagination(page, limit, total),
+        summary: summary || { minRate: null, maxRate: null, averageRate: null },
+    };
+}
+
+async function publishRate(
+    { purity, ratePerGram, effectiveDate, source, notes, reprice = true },
+    publishedByAdminId
+) {
+    if (!PURITIES.includes(String(purity))) {
+        throw new Error(
+            `Invalid purity: must be one of ${PURITIES.join(", ")}`
+        );
+    }
+
+    const rate = Number(ratePerGram);
+    if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error("Invalid rate: ratePerGram must be a positive number");
+    }
+
+    const effectiveAt = effectiveDate ? new Date(effectiveDate) : new Date();
+    if (Number.isNaN(effectiveAt.getTime()) || effectiveAt > new Date()) {
+        throw new Error(
+            "Invalid effective date: must be a valid date that is not in the future"
+        );
+    }
+
+    const previousRate = await getCurrentRate(String(purity));
+
+    const metalRate = await MetalRate.create({
+        purity: String(purity),
+        ratePerGram: rate,
+        effectiveDate: effectiveAt,
+        source,
+        notes,
+        publishedBy: publishedByAdminId,
+    });
+
+    logger.info(
+        `Metal rate published: ${metalRate.purity} at ${metalRate.ratePerGram}/g by admin: ${publishedByAdminId}`
+    );
+
+    // Backdated entries only fill in history; the catalogue follows the current rate
+    const current = await getCurrentRate(metalRate.purity);
+    const isCurrent = String(current?._id) === String(metalRate._id);
+
+    const pricingJob =
+        reprice && isCurrent
+            ? await startRepriceJob(
+                  metalRate,
+                  "rate-published",
+                  publishedByAdminId
+              )
+            : null;
+
+    return {
+        data: {
+            rate: metalRate.toObject(),
+            previousRate,
+            isCurrent,
+            pricingJob,
+        },
+    };
+}
+
+async function repriceWithCurrentRate(purity, triggeredByAdminId) {
+    const metalRate = await getCurrentRate(purity);
+
+    if (!metalRate) {
+        throw new Error(`No silver rate has been published for ${purity}`);
+    }
+
+    const pricingJob = await startRepriceJob(
+        metalRate,
+        "manual",
+        triggeredByAdminId
+    );
+
+    return { data: pricingJob };
+}
+
+export {
+    PURITIES,
+    getCurrentRates,
+    getCurrentRate,
+    listRateHistory,
+    publishRate,
+    repriceWithCurrentRate,
+};
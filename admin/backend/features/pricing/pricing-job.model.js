@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// Background catalogue repricing runs, kept for progress reporting and history
+const pricingJobSchema = new mongoose.Schema(
+    {
+        purity: {
+            type: String,
+            enum: ["925", "999"],
+            required: [true, "Purity is required"],
+        },
+        metalRate: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "MetalRate",
+            required: [true, "Metal rate is required"],
+        },
+        ratePerGram: {
+            type: Number,
+            required: [true, "Rate per gram is required"],
+            min: [0, "Rate cannot be negative"],
+        },
+        trigger: {
+            type: String,
+            enum: ["rate-published", "manual"],
+            required: [true, "Trigger is required"],
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed", "superseded"],
+            default: "queued",
+        },
+        stats: {
+            productsProcessed: { type: Number, default: 0 },
+            productsUpdated: { type: Number, default: 0 },
+            variantsUpdated: { type: Number, default: 0 },
+            fixedPriceSkipped: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 },
+        },
+        error: {
+            type: String,
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        startedAt: {
+            type: Date,
+        },
+        finishedAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+pricingJobSchema.index({ purity: 1, status: 1 });
+pricingJobSchema.index({ createdAt: -1 });
+
+const PricingJob = mongoose.model("PricingJob", pricingJobSchema);
+
+export default PricingJob;
@@ -0,0 +1,277 @@
+import PricingJob from "./pricing-job.model.js";
+import Product from "../products/product.model.js";
+import ProductVariant from "../products/product-variant.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import {
+    calculatePrice,
+    calculateVariantPrice,
+} from "../../shared/utils/pricing.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+// Progress is saved (and supersession checked) every N products
+const PROGRESS_INTERVAL = 50;
+
+const PRICING_FIELDS =
+    "sku purity weight makingCharges makingChargesType gstRate basePrice isFixedPrice draft";
+
+// Draft fields that mean the draft carries its own price
+const DRAFT_PRICING_FIELDS = [
+    "purity",
+    "weight",
+    "makingCharges",
+    "makingChargesType",
+    "gstRate",
+    "basePrice",
+    "isFixedPrice",
+];
+
+async function startRepriceJob(metalRate, trigger, triggeredByAdminId) {
+    // Only the newest rate matters; older runs for the same purity stop early
+    await PricingJob.updateMany(
+        { purity: metalRate.purity, status: { $in: ["queued", "running"] } },
+        { $set: { status: "superseded", finishedAt: new Date() } }
+    );
+
+    const job = await PricingJob.create({
+        purity: metalRate.purity,
+        metalRate: metalRate._id,
+        ratePerGram: metalRate.ratePerGram,
+        trigger,
+        triggeredBy: triggeredByAdminId,
+    });
+
+    logger.info(
+        `Reprice job queued: ${job._id} for ${job.purity} at ${job.ratePerGram}/g (${trigger})`
+    );
+
+    setImmediate(() => {
+        runRepriceJob(job._id).catch((error) =>
+            logger.error(`Reprice job ${job._id} crashed:`, error.message)
+        );
+    });
+
+    return job.toObject();
+}
+
+async function listPricingJobs(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const filter = {};
+    if (query.purity) filter.purity = query.purity;
+    if (query.status) filter.status = query.status;
+
+    const [jobs, total] = await Promise.all([
+        PricingJob.find(filter)
+            .populate("triggeredBy", "name email")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        PricingJob.countDocuments(filter),
+    ]);
+
+    return { data: jobs, pagination: buildPagination(page, limit, total) };
+}
+
+async function getPricingJobById(jobId) {
+    const job = await PricingJob.findById(jobId)
+        .populate("triggeredBy", "name email")
+        .populate("metalRate")
+        .lean();
+
+    if (!job) {
+        throw new Error("Pricing job not found");
+    }
+
+    return { data: job };
+}
+
+// Jobs run in-process; any left running by a previous server process are dead
+async function failInterruptedJobs() {
+    const { modifiedCount } = await PricingJob.updateMany(
+        { status: { $in: ["queued", "running"] } },
+        {
+            $set: {
+                status: "failed",
+                error: "Interrupted by server restart",
+                finishedAt: new Date(),
+            },
+        }
+    );
+
+    if (modifiedCount > 0) {
+        logger.warn(
+            `Marked ${modifiedCount} interrupted pricing jobs as failed`
+        );
+    }
+}
+
+async function runRepriceJob(jobId) {
+    const job = await PricingJob.findOneAndUpdate(
+        { _id: jobId, status: "queued" },
+        { $set: { status: "running", startedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!job) return;
+
+    const stats = {
+        productsProcessed: 0,
+        productsUpdated: 0,
+        variantsUpdated: 0,
+        fixedPriceSkipped: 0,
+        failed: 0,
+    };
+
+    // Drafts can move a product onto this purity before it is published
+    const cursor = Product.find({
+        $or: [{ purity: job.purity }, { "draft.purity": job.purity }],
+    })
+        .select(PRICING_FIELDS)
+        .lean()
+        .cursor();
+
+    try {
+        for await (const product of cursor) {
+            stats.productsProcessed++;
+
+            try {
+                const result = await repriceProduct(
+                    product,
+                    job.purity,
+                    job.ratePerGram
+                );
+                if (result.fixedPrice) stats.fixedPriceSkipped++;
+                if (result.productUpdated) stats.productsUpdated++;
+                stats.variantsUpdated += result.variantsUpdated;
+            } catch (error) {
+                stats.failed++;
+                logger.warn(
+                    `Reprice failed for product ${product.sku}: ${error.message}`
+                );
+            }
+
+            if (stats.productsProcessed % PROGRESS_INTERVAL === 0) {
+                const stillRunning = await PricingJob.findOneAndUpdate(
+                    { _id: job._id, status: "running" },
+                    { $set: { stats } }
+                );
+
+                if (!stillRunning) {
+                    logger.info(`Reprice job ${job._id} superseded, stopping`);
+                    return;
+                }
+            }
+        }
+
+        await PricingJob.updateOne(
+            { _id: job._id, status: "running" },
+            { $set: { status: "completed", stats, finishedAt: new Date() } }
+        );
+
+        logger.info(
+            `Reprice job ${job._id} completed: ${stats.productsUpdated} products and ${stats.variantsUpdated} variants repriced`
+        );
+    } catch (error) {
+        logger.error(`Reprice job ${job._id} failed:`, error.message);
+        await PricingJob.updateOne(
+            { _id: job._id },
+            {
+                $set: {
+                    status: "failed",
+                    error: error.message,
+                    stats,
+                    finishedAt: new Date(),
+                },
+            }
+        );
+    } finally {
+        await cursor.close();
+    }
+}
+
+// Reprices the live product and, when it stages pricing changes, its
+// draft, so publishing the draft doesn't bring back an outdated price
+async function repriceProduct(product, purity, ratePerGram) {
+    const $set = {};
+    let productUpdated = false;
+
+    const pricesLive = product.purity === purity && !product.isFixedPrice;
+    if (pricesLive) {
+        const breakdown = calculatePrice(product, ratePerGram);
+        $set.basePrice = breakdown.total;
+        $set.priceBreakdown = buildPriceBreakdown(breakdown, ratePerGram);
+        productUpdated = breakdown.total !== product.basePrice;
+    }
+
+    const { draft } = product;
+    const draftPriced =
+        draft &&
+        DRAFT_PRICING_FIELDS.some((field) => draft[field] !== undefined);
+    const workingCopy = { ...product, ...(draft || {}) };
+
+    if (
+        draftPriced &&
+        workingCopy.purity === purity &&
+        !workingCopy.isFixedPrice
+    ) {
+        const breakdown = calculatePrice(workingCopy, ratePerGram);
+        $set["draft.basePrice"] = breakdown.total;
+        $set["draft.priceBreakdown"] = buildPriceBreakdown(
+            breakdown,
+            ratePerGram
+        );
+        productUpdated ||= breakdown.total !== workingCopy.basePrice;
+    }
+
+    if (Object.keys($set).length === 0) {
+        return { fixedPrice: true, productUpdated: false, variantsUpdated: 0 };
+    }
+
+    await Product.updateOne({ _id: product._id }, { $set });
+
+    // Variants follow the live product; publishing a draft reprices them
+    if (!pricesLive) return { productUpdated, variantsUpdated: 0 };
+
+    const variants = await ProductVariant.find({
+        product: product._id,
+        isFixedPrice: { $ne: true },
+    })
+        .select("weight additionalPrice sellingPrice")
+        .lean();
+
+    let variantsUpdated = 0;
+    for (const variant of variants) {
+        const { total } = calculateVariantPrice(product, variant, ratePerGram);
+
+        if (total === variant.sellingPrice) continue;
+
+        await ProductVariant.updateOne(
+            { _id: variant._id },
+            { $set: { sellingPrice: total } }
+        );
+        variantsUpdated++;
+    }
+
+    return { productUpdated, variantsUpdated };
+}
+
+function buildPriceBreakdown(breakdown, ratePerGram) {
+    return {
+        ratePerGram,
+        metalValue: breakdown.metalValue,
+        makingAmount: breakdown.makingAmount,
+        gstAmount: breakdown.gstAmount,
+        pricedAt: new Date(),
+    };
+}
+
+export {
+    startRepriceJob,
+    listPricingJobs,
+    getPricingJobById,
+    failInterruptedJobs,
+};
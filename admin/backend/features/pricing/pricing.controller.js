@@ -0,0 +1,201 @@
+import * as metalRateService from "./metal-rate.service.js";
+import * as pricingService from "./pricing.service.js";
+import * as pricingJobService from "./pricing-job.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function getCurrentRates(req, res, next) {
+    try {
+        const { data } = await metalRateService.getCurrentRates();
+
+        return apiResponse.success(
+            res,
+            "Current rates fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getCurrentRates controller:", error.message);
+        next(error);
+    }
+}
+
+async function listRateHistory(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await metalRateService.listRateHistory(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Rate history fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listRateHistory controller:", error.message);
+        next(error);
+    }
+}
+
+async function publishRate(req, res, next) {
+    try {
+        const { purity, ratePerGram, effectiveDate, source, notes, reprice } =
+            req.body;
+
+        if (!purity || ratePerGram === undefined) {
+            return apiResponse.badRequest(
+                res,
+                "Purity and ratePerGram are required"
+            );
+        }
+
+        const { data } = await metalRateService.publishRate(
+            { purity, ratePerGram, effectiveDate, source, notes, reprice },
+            req.admin._id
+        );
+
+        return apiResponse.created(
+            res,
+            data.pricingJob
+                ? "Rate published. Catalogue repricing started"
+                : "Rate published successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in publishRate controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function previewRateChange(req, res, next) {
+    try {
+        const { purity, ratePerGram } = req.body;
+
+        if (!purity || ratePerGram === undefined) {
+            return apiResponse.badRequest(
+                res,
+                "Purity and ratePerGram are required"
+            );
+        }
+
+        const { data, pagination, summary } =
+            await pricingService.previewRateChange(
+                { purity, ratePerGram },
+                req.query
+            );
+
+        return apiResponse.successWithMeta(
+            res,
+            "Rate change preview generated successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in previewRateChange controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getProductPricing(req, res, next) {
+    try {
+        const { data } = await pricingService.getProductPricing(
+            req.params.productId,
+            req.query.ratePerGram
+        );
+
+        return apiResponse.success(
+            res,
+            "Product pricing calculated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getProductPricing controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("No silver rate")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function repriceCatalogue(req, res, next) {
+    try {
+        const { purity } = req.body;
+
+        if (!metalRateService.PURITIES.includes(String(purity))) {
+            return apiResponse.badRequest(
+                res,
+                `Purity must be one of ${metalRateService.PURITIES.join(", ")}`
+            );
+        }
+
+        const { data } = await metalRateService.repriceWithCurrentRate(
+            String(purity),
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Catalogue repricing started", data);
+    } catch (error) {
+        logger.error("Error in repriceCatalogue controller:", error.message);
+        if (error.message.includes("No silver rate")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function listPricingJobs(req, res, next) {
+    try {
+        const { data, pagination } = await pricingJobService.listPricingJobs(
+            req.query
+        );
+
+        return apiResponse.successWithMeta(
+            res,
+            "Pricing jobs fetched successfully",
+            data,
+            { pagination }
+        );
+    } catch (error) {
+        logger.error("Error in listPricingJobs controller:", error.message);
+        next(error);
+    }
+}
+
+async function getPricingJob(req, res, next) {
+    try {
+        const { data } = await pricingJobService.getPricingJobById(
+            req.params.id
+        );
+
+        return apiResponse.success(
+            res,
+            "Pricing job fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getPricingJob controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    getCurrentRates,
+    listRateHistory,
+    publishRate,
+    previewRateChange,
+    getProductPricing,
+    repriceCatalogue,
+    listPricingJobs,
+    getPricingJob,
+};
@@ -0,0 +1,51 @@
+import express from "express";
+import * as pricingController from "./pricing.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get(
+    "/rates/current",
+    requirePermission("pricing.view"),
+    pricingController.getCurrentRates
+);
+router.get(
+    "/rates",
+    requirePermission("pricing.view"),
+    pricingController.listRateHistory
+);
+router.post(
+    "/rates",
+    requirePermission("pricing.publish"),
+    pricingController.publishRate
+);
+router.post(
+    "/preview",
+    requirePermission("pricing.view"),
+    pricingController.previewRateChange
+);
+router.get(
+    "/products/:productId",
+    requirePermission("pricing.view"),
+    pricingController.getProductPricing
+);
+router.post(
+    "/reprice",
+    requirePermission("pricing.publish"),
+    pricingController.repriceCatalogue
+);
+router.get(
+    "/jobs",
+    requirePermission("pricing.view"),
+    pricingController.listPricingJobs
+);
+router.get(
+    "/jobs/:id",
+    requirePermission("pricing.view"),
+    pricingController.getPricingJob
+);
+
+export default router;
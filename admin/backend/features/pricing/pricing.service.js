@@ -0,0 +1,182 @@
+import Product from "../products/product.model.js";
+import ProductVariant from "../products/product-variant.model.js";
+import { PURITIES, getCurrentRate } from "./metal-rate.service.js";
+import {
+    calculatePrice,
+    calculateVariantPrice,
+    roundCurrency,
+} from "../../shared/utils/pricing.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const PRICING_FIELDS =
+    "name sku purity weight makingCharges makingChargesType gstRate basePrice isFixedPrice";
+
+async function getProductPricing(productId, ratePerGram) {
+    const product = await Product.findById(productId)
+        .select(PRICING_FIELDS)
+        .lean();
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    const rate =
+        ratePerGram !== undefined
+            ? Number(ratePerGram)
+            : (await getCurrentRate(product.purity))?.ratePerGram;
+
+    if (!rate) {
+        throw new Error(
+            `No silver rate has been published for ${product.purity}`
+        );
+    }
+
+    const variants = await ProductVariant.find({ product: product._id })
+        .select(
+            "sku variantName weight additionalPrice sellingPrice isFixedPrice"
+        )
+        .lean();
+
+    return {
+        data: {
+            product: {
+                ...product,
+                pricing: calculatePrice(product, rate),
+            },
+            variants: variants.map((variant) => ({
+                ...variant,
+                pricing: calculateVariantPrice(product, variant, rate),
+            })),
+        },
+    };
+}
+
+async function previewRateChange({ purity, ratePerGram }, query) {
+    if (!PURITIES.includes(String(purity))) {
+        throw new Error(
+            `Invalid purity: must be one of ${PURITIES.join(", ")}`
+        );
+    }
+
+    const newRate = Number(ratePerGram);
+    if (!Number.isFinite(newRate) || newRate <= 0) {
+        throw new Error("Invalid rate: ratePerGram must be a positive number");
+    }
+
+    const { page, limit, skip } = getPaginationParams(query);
+    const currentRate = await getCurrentRate(String(purity));
+
+    const products = await Product.find({ purity: String(purity) })
+        .select(PRICING_FIELDS)
+        .lean();
+    const variants = await ProductVariant.find({
+        product: { $in: products.map((product) => product._id) },
+        isFixedPrice: { $ne: true },
+    })
+        .select("product weight additionalPrice sellingPrice")
+        .lean();
+
+    const variantsByProduct = variants.reduce((acc, variant) => {
+        const key = String(variant.product);
+        (acc[key] = acc[key] || []).push(variant);
+        return acc;
+    }, {});
+
+    const summary = {
+        purity: String(purity),
+        currentRatePerGram: currentRate?.ratePerGram ?? null,
+        newRatePerGram: newRate,
+        rateChangePercent: currentRate
+            ? roundCurrency(
+                  ((newRate - currentRate.ratePerGram) /
+                      currentRate.ratePerGram) *
+                      100
+              )
+            : null,
+        productsAffected: 0,
+        variantsAffected: 0,
+        fixedPriceSkipped: 0,
+        increased: 0,
+        decreased: 0,
+        unchanged: 0,
+        currentCatalogueValue: 0,
+        newCatalogueValue: 0,
+    };
+
+    const changes = [];
+
+    for (const product of products) {
+        if (product.isFixedPrice) {
+            summary.fixedPriceSkipped++;
+            continue;
+        }
+
+        const { total: newPrice } = calculatePrice(product, newRate);
+        const change = newPrice - product.basePrice;
+
+        summary.productsAffected++;
+        summary.currentCatalogueValue += product.basePrice;
+        summary.newCatalogueValue += newPrice;
+        if (change > 0) summary.increased++;
+        else if (change < 0) summary.decreased++;
+        else summary.unchanged++;
+
+        summary.variantsAffected += (
+            variantsByProduct[String(product._id)] || []
+        ).filter(
+            (variant) =>
+                calculateVariantPrice(product, variant, newRate).total !==
+                variant.sellingPrice
+        ).length;
+
+        changes.push({
+            _id: product._id,
+            name: product.name,
+            sku: product.sku,
+            currentPrice: product.basePrice,
+            newPrice,
+            change,
+            changePercent: product.basePrice
+                ? roundCurrency((change / product.basePrice) * 100)
+                : null,
+        });
+    }
+
+    // Biggest movers first
+    changes.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return {
+        data: changes.slice(skip, skip + limit),
+        pagination: buildPagination(page, limit, changes.length),
+        summary,
+    };
+}
+
+// Rate-linked products created without a price start at the current silver rate
+async function priceFromCurrentRate(productData) {
+    const metalRate = await getCurrentRate(productData.purity);
+
+    if (!metalRate) {
+        throw new Error(
+            `Invalid basePrice: required until a ${productData.purity} silver rate is published`
+        );
+    }
+
+    const breakdown = calculatePrice(productData, metalRate.ratePerGram);
+
+    return {
+        basePrice: breakdown.total,
+        priceBreakdown: {
+            ratePerGram: metalRate.ratePerGram,
+            metalValue: breakdown.metalValue,
+            makingAmount: breakdown.makingAmount,
+            gstAmount: breakdown.gstAmount,
+            pricedAt: new Date(),
+        },
+    };
+}
+
+export { getProductPricing, previewRateChange, priceFromCurrentRate };
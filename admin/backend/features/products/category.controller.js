@@ -0,0 +1,194 @@
+import * as categoryService from "./category.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function getCategoryTree(req, res, next) {
+    try {
+        const { data, summary } = await categoryService.getCategoryTree({
+            includeInactive: req.query.includeInactive === "true",
+        });
+
+        return apiResponse.successWithSummary(
+            res,
+            "Category tree fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in getCategoryTree controller:", error.message);
+        next(error);
+    }
+}
+
+async function getCategory(req, res, next) {
+    try {
+        const { data } = await categoryService.getCategoryById(req.params.id);
+
+        return apiResponse.success(res, "Category fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getCategory controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Category not found");
+        }
+        next(error);
+    }
+}
+
+async function getBreadcrumbs(req, res, next) {
+    try {
+        const { data } = await categoryService.getCategoryBreadcrumbs(
+            req.params.id
+        );
+
+        return apiResponse.success(
+            res,
+            "Breadcrumbs fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getBreadcrumbs controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Category not found");
+        }
+        next(error);
+    }
+}
+
+async function createCategory(req, res, next) {
+    try {
+        if (!req.body.name) {
+            return apiResponse.badRequest(res, "Category name is required");
+        }
+
+        const { data } = await categoryService.createCategory(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Category created successfully", data);
+    } catch (error) {
+        logger.error("Error in createCategory controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateCategory(req, res, next) {
+    try {
+        const { data } = await categoryService.updateCategory(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Category updated successfully", data);
+    } catch (error) {
+        logger.error("Error in updateCategory controller:", error.message);
+        if (error.message.includes("Category not found")) {
+            return apiResponse.notFound(res, "Category not found");
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function moveCategory(req, res, next) {
+    try {
+        const { parentCategory, displayOrder } = req.body;
+
+        const { data } = await categoryService.moveCategory(
+            req.params.id,
+            { parentCategory, displayOrder },
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Category moved successfully", data);
+    } catch (error) {
+        logger.error("Error in moveCategory controller:", error.message);
+        if (error.message.includes("Category not found")) {
+            return apiResponse.notFound(res, "Category not found");
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("cycle")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function reorderCategories(req, res, next) {
+    try {
+        const { parentCategory, categoryIds } = req.body;
+
+        const { data, summary } = await categoryService.reorderCategories(
+            { parentCategory, categoryIds },
+            req.admin._id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Categories reordered successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in reorderCategories controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deleteCategory(req, res, next) {
+    try {
+        const targetCategoryId =
+            req.body?.targetCategoryId || req.query.targetCategoryId;
+
+        const { data } = await categoryService.deleteCategory(
+            req.params.id,
+            targetCategoryId,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, data.message, data);
+    } catch (error) {
+        logger.error("Error in deleteCategory controller:", error.message);
+        if (error.message.includes("Category not found")) {
+            return apiResponse.notFound(res, "Category not found");
+        }
+        if (error.message.includes("Provide a target")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("cycle")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    getCategoryTree,
+    getCategory,
+    getBreadcrumbs,
+    createCategory,
+    updateCategory,
+    moveCategory,
+    reorderCategories,
+    deleteCategory,
+};
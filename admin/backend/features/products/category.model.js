@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
 
 const categorySchema = new mongoose.Schema(
     {
@@ -15,6 +16,16 @@ const categorySchema = new mongoose.Schema(
             lowercase: true,
             trim: true,
         },
+        // Code used in product SKUs (SS-<CODE>-NAME-001); derived from the name when empty
+        skuCode: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            match: [
+                /^[A-Z0-9]{2,12}$/,
+                "SKU code must be 2-12 letters or numbers",
+            ],
+        },
         description: {
             type: String,
             trim: true,
@@ -58,6 +69,8 @@ categorySchema.index({ slug: 1 });
 categorySchema.index({ parentCategory: 1 });
 categorySchema.index({ isActive: 1, displayOrder: 1 });
 
+categorySchema.plugin(auditPlugin);
+
 const Category = mongoose.model("Category", categorySchema);
 
 export default Category;
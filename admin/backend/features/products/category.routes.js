@@ -0,0 +1,51 @@
+import express from "express";
+import * as categoryController from "./category.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get(
+    "/tree",
+    requirePermission("categories.view"),
+    categoryController.getCategoryTree
+);
+router.post(
+    "/",
+    requirePermission("categories.create"),
+    categoryController.createCategory
+);
+router.put(
+    "/reorder",
+    requirePermission("categories.edit"),
+    categoryController.reorderCategories
+);
+router.get(
+    "/:id",
+    requirePermission("categories.view"),
+    categoryController.getCategory
+);
+router.get(
+    "/:id/breadcrumbs",
+    requirePermission("categories.view"),
+    categoryController.getBreadcrumbs
+);
+router.put(
+    "/:id",
+    requirePermission("categories.edit"),
+    categoryController.updateCategory
+);
+router.put(
+    "/:id/move",
+    requirePermission("categories.edit"),
+    categoryController.moveCategory
+);
+router.delete(
+    "/:id",
+    requirePermission("categories.delete"),
+    categoryController.deleteCategory
+);
+
+export default router;
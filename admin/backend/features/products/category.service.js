@@ -0,0 +1,464 @@
+import mongoose from "mongoose";
+import Category from "./category.model.js";
+import Product from "./product.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import { resolveCategorySlug } from "./product-identifier.service.js";
+
+const EDITABLE_FIELDS = [
+    "name",
+    "slug",
+    "skuCode",
+    "description",
+    "image",
+    "isActive",
+    "seo",
+];
+
+// Guards ancestor walks against corrupt data that already contains a cycle
+const MAX_CATEGORY_DEPTH = 20;
+
+async function getCategoryTree({ includeInactive = false } = {}) {
+    const filter = includeInactive ? {} : { isActive: true };
+
+    const [categories, categoryCounts, subcategoryCounts] = await Promise.all([
+        Category.find(filter).sort({ displayOrder: 1, name: 1 }).lean(),
+        Product.aggregate([
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+        ]),
+        Product.aggregate([
+            { $match: { subcategory: { $ne: null } } },
+            { $group: { _id: "$subcategory", count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const productCounts = new Map();
+    for (const { _id, count } of [...categoryCounts, ...subcategoryCounts]) {
+        const key = String(_id);
+        productCounts.set(key, (productCounts.get(key) || 0) + count);
+    }
+
+    const nodes = new Map(
+        categories.map((category) => [
+            String(category._id),
+            {
+                ...category,
+                productCount: productCounts.get(String(category._id)) || 0,
+                children: [],
+            },
+        ])
+    );
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parentCategory
+            ? nodes.get(String(node.parentCategory))
+            : null;
+
+        // Children of filtered-out parents surface at the root
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return {
+        data: roots,
+        summary: {
+            totalCategories: categories.length,
+            rootCategories: roots.length,
+        },
+    };
+}
+
+async function getCategoryById(categoryId) {
+    const category = await Category.findById(categoryId)
+        .populate("parentCategory", "name slug")
+        .lean();
+
+    if (!category) {
+        throw new Error("Category not found");
+    }
+
+    return { data: category };
+}
+
+async function getCategoryBreadcrumbs(categoryId) {
+    const category = await Category.findById(categoryId).lean();
+
+    if (!category) {
+        throw new Error("Category not found");
+    }
+
+    const ancestors = await getAncestors(category);
+    const breadcrumbs = [...ancestors.reverse(), category].map(
+        ({ _id, name, slug }) => ({ _id, name, slug })
+    );
+
+    return { data: breadcrumbs };
+}
+
+async function createCategory(data, createdByAdminId) {
+    const categoryData = pickEditableFields(data);
+
+    categoryData.slug = await resolveCategorySlug(
+        categoryData.name,
+        categoryData.slug
+    );
+
+    const category = await runInTransaction(async (session) => {
+        if (data.parentCategory) {
+            const parent = await assertCategoryExists(
+                data.parentCategory,
+                "parent",
+                session
+            );
+            // Conflicts with a concurrent delete of the parent
+            await lockCategories([parent._id], session);
+            categoryData.parentCategory = parent._id;
+        }
+
+        categoryData.displayOrder =
+            data.displayOrder ??
+            (await getNextDisplayOrder(
+                categoryData.parentCategory || null,
+                session
+            ));
+
+        const [created] = await Category.create([categoryData], { session });
+        return created;
+    });
+
+    logger.info(
+        `Category created: ${category.name} (${category._id}) by admin: ${createdByAdminId}`
+    );
+
+    return { data: category.toObject() };
+}
+
+async function updateCategory(categoryId, updates, updatedByAdminId) {
+    const category = await Category.findById(categoryId);
+
+    if (!category) {
+        throw new Error("Category not found");
+    }
+
+    const categoryUpdates = pickEditableFields(updates);
+
+    if (categoryUpdates.slug !== undefined) {
+        categoryUpdates.slug = await resolveCategorySlug(
+            categoryUpdates.name || category.name,
+            categoryUpdates.slug,
+            category._id
+        );
+    }
+
+    category.set(categoryUpdates);
+    await category.save();
+
+    logger.info(
+        `Category updated: ${category.name} (${category._id}) by admin: ${updatedByAdminId}`
+    );
+
+    return { data: category.toObject() };
+}
+
+async function moveCategory(
+    categoryId,
+    { parentCategory = null, displayOrder },
+    movedByAdminId
+) {
+    const category = await Category.findById(categoryId);
+
+    if (!category) {
+        throw new Error("Category not found");
+    }
+
+    let newParentId = null;
+
+    // The descendant check reads the transaction's snapshot after both sides
+    // are locked, so opposite concurrent moves conflict instead of forming a cycle
+    await runInTransaction(async (session) => {
+        await lockCategories([category._id], session);
+
+        const parent = parentCategory
+            ? await assertNotDescendant(category._id, parentCategory, session)
+            : null;
+        newParentId = parent?._id || null;
+
+        category.parentCategory = newParentId;
+        category.displayOrder =
+            displayOrder ?? (await getNextDisplayOrder(newParentId, session));
+        await category.save({ session });
+
+        await Product.updateMany(
+            { subcategory: category._id },
+            subcategoryReassignment(category)
+        ).session(session);
+    });
+
+    logger.info(
+        `Category moved: ${category.name} under ${
+            newParentId || "root"
+        } by admin: ${movedByAdminId}`
+    );
+
+    return { data: category.toObject() };
+}
+
+async function reorderCategories(
+    { parentCategory = null, categoryIds },
+    reorderedByAdminId
+) {
+    if (!Array.isArray(categoryIds) || categoryIds.length === 0) {
+        throw new Error("Invalid order: categoryIds must be a non-empty array");
+    }
+
+    if (new Set(categoryIds.map(String)).size !== categoryIds.length) {
+        throw new Error("Invalid order: categoryIds contains duplicates");
+    }
+
+    const siblings = await Category.find({
+        parentCategory: parentCategory || null,
+    })
+        .select("_id displayOrder")
+        .lean();
+
+    const siblingIds = new Set(siblings.map((sibling) => String(sibling._id)));
+    const foreignIds = categoryIds.filter((id) => !siblingIds.has(String(id)));
+
+    if (foreignIds.length > 0) {
+        throw new Error(
+            `Invalid order: categories ${foreignIds.join(
+                ", "
+            )} are not children of the given parent`
+        );
+    }
+
+    const currentOrder = new Map(
+        siblings.map((sibling) => [String(sibling._id), sibling.displayOrder])
+    );
+
+    await runInTransaction(async (session) => {
+        for (const [index, id] of categoryIds.entries()) {
+            if (currentOrder.get(String(id)) === index) continue;
+
+            await Category.updateOne(
+                { _id: id },
+                { $set: { displayOrder: index } }
+            ).session(session);
+        }
+    });
+
+    logger.info(
+        `Categories reordered under ${
+            parentCategory || "root"
+        } by admin: ${reorderedByAdminId}`
+    );
+
+    return getCategoryTree({ includeInactive: true });
+}
+
+async function deleteCategory(categoryId, targetCategoryId, deletedByAdminId) {
+    const category = await Category.findById(categoryId);
+
+    if (!category) {
+        throw new Error("Category not found");
+    }
+
+    let childCount = 0;
+    let productCount = 0;
+    let targetId = null;
+
+    // Counted after locking the category, so children moved or created under
+    // it concurrently conflict with this delete rather than being orphaned
+    await runInTransaction(async (session) => {
+        await lockCategories([category._id], session);
+
+        [childCount, productCount] = await Promise.all([
+            Category.countDocuments({ parentCategory: category._id }).session(
+                session
+            ),
+            Product.countDocuments({
+                $or: [
+                    { category: category._id },
+                    { subcategory: category._id },
+                ],
+            }).session(session),
+        ]);
+
+        if ((childCount > 0 || productCount > 0) && !targetCategoryId) {
+            throw new Error(
+                `Category has ${childCount} child categories and ${productCount} products. Provide a target category to reassign them`
+            );
+        }
+
+        const target = targetCategoryId
+            ? await assertNotDescendant(category._id, targetCategoryId, session)
+            : null;
+        targetId = target?._id || null;
+
+        if (targetId) {
+            await Category.updateMany(
+                { parentCategory: category._id },
+                { $set: { parentCategory: targetId } }
+            ).session(session);
+            await Product.updateMany(
+                { category: category._id },
+                { $set: { category: targetId } }
+            ).session(session);
+            await Product.updateMany(
+                { subcategory: category._id },
+                subcategoryReassignment(target)
+            ).session(session);
+        }
+
+        await category.deleteOne({ session });
+    });
+
+    logger.info(
+        `Category deleted: ${category.name} (${category._id}); ${childCount} children and ${productCount} products moved to ${targetId} by admin: ${deletedByAdminId}`
+    );
+
+    return {
+        data: {
+            message: "Category deleted successfully",
+            reassignedChildren: childCount,
+            reassignedProducts: productCount,
+        },
+    };
+}
+
+// Walk up from a category to the root; returns parent, grandparent, ...
+async function getAncestors(category, session = null) {
+    const ancestors = [];
+    const visited = new Set([String(category._id)]);
+    let parentId = category.parentCategory;
+
+    while (parentId) {
+        if (
+            visited.has(String(parentId)) ||
+            ancestors.length >= MAX_CATEGORY_DEPTH
+        ) {
+            throw new Error("Category hierarchy contains a cycle");
+        }
+        visited.add(String(parentId));
+
+        const parent = await Category.findById(parentId)
+            .session(session)
+            .lean();
+        if (!parent) break;
+
+        ancestors.push(parent);
+        parentId = parent.parentCategory;
+    }
+
+    return ancestors;
+}
+
+// Rejects targets that are the category itself or sit anywhere beneath it.
+// In a transaction the target's chain is locked, so a concurrent move that
+// changes it conflicts with this one.
+async function assertNotDescendant(categoryId, targetId, session = null) {
+    if (String(categoryId) === String(targetId)) {
+        throw new Error("Invalid target: a category cannot be its own parent");
+    }
+
+    const target = await assertCategoryExists(targetId, "target", session);
+    const ancestors = await getAncestors(target, session);
+
+    if (session) {
+        await lockCategories(
+            [target, ...ancestors].map((ancestor) => ancestor._id),
+            session
+        );
+    }
+
+    if (
+        ancestors.some(
+            (ancestor) => String(ancestor._id) === String(categoryId)
+        )
+    ) {
+        throw new Error(
+            "Invalid target: a category cannot be moved under its own descendant"
+        );
+    }
+
+    return target;
+}
+
+// Products keep category = parent of their subcategory; a root category has no parent,
+// so products pointing at it as a subcategory are promoted to it as their category
+function subcategoryReassignment(subcategory) {
+    if (subcategory.parentCategory) {
+        return {
+            $set: {
+                category: subcategory.parentCategory,
+                subcategory: subcategory._id,
+            },
+        };
+    }
+
+    return {
+        $set: { category: subcategory._id },
+        $unset: { subcategory: "" },
+    };
+}
+
+async function assertCategoryExists(categoryId, label, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+        throw new Error(`Invalid ${label} category ID`);
+    }
+
+    const category = await Category.findById(categoryId)
+        .session(session)
+        .lean();
+
+    if (!category) {
+        throw new Error(`Invalid ${label} category: category not found`);
+    }
+
+    return category;
+}
+
+async function getNextDisplayOrder(parentCategory, session = null) {
+    const last = await Category.findOne({ parentCategory })
+        .sort({ displayOrder: -1 })
+        .select("displayOrder")
+        .session(session)
+        .lean();
+
+    return last ? last.displayOrder + 1 : 0;
+}
+
+// A write to each category, so concurrent transactions touching the same ones
+// hit a write conflict and retry on fresh data. The raw driver call keeps these
+// bookkeeping writes out of the audit log.
+async function lockCategories(categoryIds, session) {
+    await Category.collection.updateMany(
+        { _id: { $in: categoryIds } },
+        { $currentDate: { updatedAt: true } },
+        { session }
+    );
+}
+
+function pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+        if (data[field] !== undefined) {
+            acc[field] = data[field];
+        }
+        return acc;
+    }, {});
+}
+
+export {
+    getCategoryTree,
+    getCategoryById,
+    getCategoryBreadcrumbs,
+    createCategory,
+    updateCategory,
+    moveCategory,
+    reorderCategories,
+    deleteCategory,
+};
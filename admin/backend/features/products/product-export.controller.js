@@ -0,0 +1,42 @@
+import * as productExportService from "./product-export.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listExportColumns(req, res, next) {
+    try {
+        const { data } = productExportService.getExportColumns();
+
+        return apiResponse.success(
+            res,
+            "Export columns fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in listExportColumns controller:", error.message);
+        next(error);
+    }
+}
+
+async function exportProducts(req, res, next) {
+    try {
+        const { data } = await productExportService.exportProducts(
+            req.query,
+            req.admin._id
+        );
+
+        res.set("Content-Type", data.contentType);
+        res.set(
+            "Content-Disposition",
+            `attachment; filename="${data.fileName}"`
+        );
+        return res.send(data.buffer);
+    } catch (error) {
+        logger.error("Error in exportProducts controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { listExportColumns, exportProducts };
@@ -0,0 +1,220 @@
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import { buildProductFilter } from "./product.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { writeSpreadsheet } from "../../shared/utils/spreadsheet.util.js";
+
+// Headers match the import columns so an export can be edited and re-imported
+const EXPORT_COLUMNS = {
+    sku: { header: "SKU", get: ({ product }) => product.sku },
+    name: { header: "Name", get: ({ product }) => product.name },
+    slug: { header: "Slug", get: ({ product }) => product.slug },
+    category: {
+        header: "Category",
+        get: ({ product }) => product.category?.slug,
+    },
+    subcategory: {
+        header: "Subcategory",
+        get: ({ product }) => product.subcategory?.slug,
+    },
+    purity: { header: "Purity", get: ({ product }) => product.purity },
+    weight: { header: "Weight", get: ({ product }) => product.weight },
+    makingCharges: {
+        header: "Making Charges",
+        get: ({ product }) => product.makingCharges,
+    },
+    makingChargesType: {
+        header: "Making Charges Type",
+        get: ({ product }) => product.makingChargesType,
+    },
+    gstRate: { header: "GST Rate", get: ({ product }) => product.gstRate },
+    basePrice: {
+        header: "Base Price",
+        get: ({ product }) => product.basePrice,
+    },
+    isFixedPrice: {
+        header: "Is Fixed Price",
+        get: ({ product }) => product.isFixedPrice,
+    },
+    isFeatured: {
+        header: "Is Featured",
+        get: ({ product }) => product.isFeatured,
+    },
+    isActive: { header: "Is Active", get: ({ product }) => product.isActive },
+    collections: {
+        header: "Collections",
+        get: ({ product }) => product.collections?.join("|"),
+    },
+    tags: { header: "Tags", get: ({ product }) => product.tags?.join("|") },
+    images: {
+        header: "Images",
+        get: ({ product }) =>
+            product.images?.map((image) => image.url).join("|"),
+    },
+    shortDescription: {
+        header: "Short Description",
+        get: ({ product }) => product.shortDescription,
+    },
+    description: {
+        header: "Description",
+        get: ({ product }) => product.description,
+    },
+    variantSku: { header: "Variant SKU", get: ({ variant }) => variant?.sku },
+    variantName: {
+        header: "Variant Name",
+        get: ({ variant }) => variant?.variantName,
+    },
+    size: { header: "Size", get: ({ variant }) => variant?.size },
+    color: { header: "Color", get: ({ variant }) => variant?.color },
+    length: { header: "Length", get: ({ variant }) => variant?.length },
+    variantPlating: {
+        header: "Variant Plating",
+        get: ({ variant }) => variant?.plating,
+    },
+    variantWeight: {
+        header: "Variant Weight",
+        get: ({ variant }) => variant?.weight,
+    },
+    additionalPrice: {
+        header: "Additional Price",
+        get: ({ variant }) => variant?.additionalPrice,
+    },
+    sellingPrice: {
+        header: "Selling Price",
+        get: ({ variant }) => variant?.sellingPrice,
+    },
+    stockQuantity: {
+        header: "Stock Quantity",
+        get: ({ variant }) => variant?.stockQuantity,
+    },
+    stockStatus: {
+        header: "Stock Status",
+        get: ({ variant }) => variant?.stockStatus,
+    },
+    variantIsActive: {
+        header: "Variant Is Active",
+        get: ({ variant }) => variant?.isActive,
+    },
+};
+
+const VARIANT_COLUMNS = [
+    "variantSku",
+    "variantName",
+    "size",
+    "color",
+    "length",
+    "variantPlating",
+    "variantWeight",
+    "additionalPrice",
+    "sellingPrice",
+    "stockQuantity",
+    "stockStatus",
+    "variantIsActive",
+];
+
+const DEFAULT_EXPORT_COLUMNS = [
+    "sku",
+    "name",
+    "category",
+    "purity",
+    "weight",
+    "basePrice",
+    "isActive",
+    "variantSku",
+    "variantName",
+    "size",
+    "sellingPrice",
+    "stockQuantity",
+    "stockStatus",
+];
+
+function getExportColumns() {
+    return {
+        data: Object.entries(EXPORT_COLUMNS).map(([key, { header }]) => ({
+            key,
+            header,
+            isDefault: DEFAULT_EXPORT_COLUMNS.includes(key),
+        })),
+    };
+}
+
+async function exportProducts(query, exportedByAdminId) {
+    const format = query.format === "xlsx" ? "xlsx" : "csv";
+    const columnKeys = query.columns
+        ? String(query.columns)
+              .split(",")
+              .map((key) => key.trim())
+              .filter(Boolean)
+        : DEFAULT_EXPORT_COLUMNS;
+
+    const unknownColumns = columnKeys.filter((key) => !EXPORT_COLUMNS[key]);
+    if (unknownColumns.length > 0) {
+        throw new Error(`Invalid columns: ${unknownColumns.join(", ")}`);
+    }
+
+    // One row per variant unless only product columns were requested
+    const includeVariants =
+        query.variants !== "false" &&
+        columnKeys.some((key) => VARIANT_COLUMNS.includes(key));
+
+    const products = await Product.find(buildProductFilter(query))
+        .populate("category", "slug")
+        .populate("subcategory", "slug")
+        .sort({ sku: 1 })
+        .lean();
+
+    const variantsByProduct = includeVariants
+        ? await loadVariantsByProduct(products)
+        : {};
+
+    const rows = products.flatMap((product) => {
+        const variants = variantsByProduct[String(product._id)] || [];
+        const entries = variants.length
+            ? variants.map((variant) => ({ product, variant }))
+            : [{ product, variant: null }];
+
+        return entries.map((entry) =>
+            columnKeys.reduce((row, key) => {
+                row[key] = EXPORT_COLUMNS[key].get(entry) ?? "";
+                return row;
+            }, {})
+        );
+    });
+
+    const { buffer, contentType } = await writeSpreadsheet(
+        columnKeys.map((key) => ({ header: EXPORT_COLUMNS[key].header, key })),
+        rows,
+        format,
+        "Products"
+    );
+
+    logger.info(
+        `Products exported: ${products.length} products, ${rows.length} rows (${format}) by admin: ${exportedByAdminId}`
+    );
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    return {
+        data: {
+            buffer,
+            contentType,
+            fileName: `products-${date}.${format}`,
+        },
+    };
+}
+
+async function loadVariantsByProduct(products) {
+    const variants = await ProductVariant.find({
+        product: { $in: products.map((product) => product._id) },
+    })
+        .sort({ isDefault: -1, sku: 1 })
+        .lean();
+
+    return variants.reduce((acc, variant) => {
+        const key = String(variant.product);
+        (acc[key] = acc[key] || []).push(variant);
+        return acc;
+    }, {});
+}
+
+export { getExportColumns, exportProducts };
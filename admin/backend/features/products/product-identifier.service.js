@@ -0,0 +1,235 @@
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import Category from "./category.model.js";
+import SkuSequence from "./sku-sequence.model.js";
+import { slugify, toSkuSegment } from "../../shared/utils/slug.util.js";
+
+const SKU_PREFIX = "SS";
+const SKU_NUMBER_PADDING = 3;
+const MAX_ALLOCATION_ATTEMPTS = 5;
+const PRODUCT_SKU_PATTERN = /^SS-([A-Z0-9]+)-([A-Z0-9]+)-(\d{3,})$/;
+const VARIANT_SKU_PATTERN = /^SS-[A-Z0-9]+-[A-Z0-9]+-\d{3,}-.+$/;
+
+// Variant attributes in the order they appear in a variant SKU suffix
+const VARIANT_SKU_SEGMENTS = [
+    { field: "size", prefix: "S" },
+    { field: "length", prefix: "L" },
+    { field: "color", prefix: "" },
+    { field: "plating", prefix: "" },
+];
+
+async function resolveProductSlug(name, requestedSlug, excludeProductId) {
+    return resolveUniqueSlug(Product, name, requestedSlug, excludeProductId);
+}
+
+async function resolveCategorySlug(name, requestedSlug, excludeCategoryId) {
+    return resolveUniqueSlug(Category, name, requestedSlug, excludeCategoryId);
+}
+
+async function resolveProductSku({ sku, name, category }, excludeProductId) {
+    if (sku) {
+        const normalizedSku = assertValidProductSku(sku);
+
+        const existing = await Product.exists({
+            sku: normalizedSku,
+            _id: { $ne: excludeProductId },
+        });
+
+        if (existing) {
+            throw new Error("SKU already exists");
+        }
+
+        await reserveSkuNumber(normalizedSku);
+
+        return normalizedSku;
+    }
+
+    const categoryCode = await getCategoryCode(category);
+    const nameCode =
+        toSkuSegment(String(name).trim().split(/\s+/)[0]) || "ITEM";
+
+    for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+        const number = await allocateSequenceNumber(categoryCode);
+        const candidate = [
+            SKU_PREFIX,
+            categoryCode,
+            nameCode,
+            String(number).padStart(SKU_NUMBER_PADDING, "0"),
+        ].join("-");
+
+        if (!(await Product.exists({ sku: candidate }))) {
+            return candidate;
+        }
+    }
+
+    throw new Error("Could not allocate a unique SKU. Please try again");
+}
+
+// Normalizes a supplied product SKU, rejecting anything off the SKU format
+function assertValidProductSku(sku) {
+    const normalizedSku = String(sku).trim().toUpperCase();
+
+    if (!PRODUCT_SKU_PATTERN.test(normalizedSku)) {
+        throw new Error(
+            "Invalid SKU: must follow SS-CATEGORY-NAME-NUMBER (e.g., SS-RING-LOTUS-001)"
+        );
+    }
+
+    return normalizedSku;
+}
+
+// Keep the counter ahead of manual numbers so generated SKUs never reuse them
+async function reserveSkuNumber(sku, session = null) {
+    const [, categoryCode, , number] = sku.match(PRODUCT_SKU_PATTERN);
+
+    await SkuSequence.updateOne(
+        { code: categoryCode },
+        { $max: { lastNumber: parseInt(number, 10) } },
+        { upsert: true, session }
+    );
+}
+
+async function resolveVariantSku(productSku, variant, excludeVariantId) {
+    if (variant.sku) {
+        const normalizedSku = String(variant.sku).trim().toUpperCase();
+
+        if (
+            !normalizedSku.startsWith(`${productSku}-`) ||
+            !VARIANT_SKU_PATTERN.test(normalizedSku)
+        ) {
+            throw new Error(
+                `Invalid variant SKU: must start with ${productSku}- followed by a variant code`
+            );
+        }
+
+        const existing = await ProductVariant.exists({
+            sku: normalizedSku,
+            _id: { $ne: excludeVariantId },
+        });
+
+        if (existing) {
+            throw new Error("Variant SKU already exists");
+        }
+
+        return normalizedSku;
+    }
+
+    const baseSku = `${productSku}-${buildVariantSuffix(variant)}`;
+
+    const taken = await ProductVariant.find({
+        sku: new RegExp(`^${baseSku}(-\\d+)?$`),
+        _id: { $ne: excludeVariantId },
+    })
+        .select("sku")
+        .lean();
+
+    return withCollisionSuffix(
+        baseSku,
+        taken.map((existing) => existing.sku)
+    );
+}
+
+async function resolveUniqueSlug(Model, name, requestedSlug, excludeId) {
+    if (requestedSlug) {
+        const slug = slugify(requestedSlug);
+
+        if (!slug) {
+            throw new Error("Invalid slug: must contain letters or numbers");
+        }
+
+        const existing = await Model.exists({ slug, _id: { $ne: excludeId } });
+
+        if (existing) {
+            throw new Error("Slug already exists");
+        }
+
+        return slug;
+    }
+
+    const baseSlug = slugify(name);
+
+    if (!baseSlug) {
+        throw new Error("Invalid name: cannot generate a slug from it");
+    }
+
+    const taken = await Model.find({
+        slug: new RegExp(`^${baseSlug}(-\\d+)?$`),
+        _id: { $ne: excludeId },
+    })
+        .select("slug")
+        .lean();
+
+    return withCollisionSuffix(
+        baseSlug,
+        taken.map((doc) => doc.slug)
+    );
+}
+
+// e.g. { size: "7", color: "Rose Gold" } -> "S7-ROSEGOLD"
+function buildVariantSuffix(variant) {
+    const segments = VARIANT_SKU_SEGMENTS.map(({ field, prefix }) => {
+        const segment = toSkuSegment(variant[field], 8);
+        return segment ? `${prefix}${segment}` : "";
+    }).filter(Boolean);
+
+    return segments.join("-") || "STD";
+}
+
+async function getCategoryCode(categoryId) {
+    const category = await Category.findById(categoryId)
+        .select("name skuCode")
+        .lean();
+
+    if (!category) {
+        throw new Error("Invalid category: category not found");
+    }
+
+    if (category.skuCode) {
+        return category.skuCode;
+    }
+
+    // "Rings" -> "RING", "Toe Rings" -> "TOERING"
+    const code = toSkuSegment(category.name, 12);
+    return code.length > 3 && /[^S]S$/.test(code) ? code.slice(0, -1) : code;
+}
+
+async function allocateSequenceNumber(code) {
+    const increment = () =>
+        SkuSequence.findOneAndUpdate(
+            { code },
+            { $inc: { lastNumber: 1 } },
+            { upsert: true, new: true }
+        );
+
+    try {
+        const sequence = await increment();
+        return sequence.lastNumber;
+    } catch (error) {
+        // Two first-time upserts for the same code race on the unique index
+        if (error.code !== 11000) throw error;
+        const sequence = await increment();
+        return sequence.lastNumber;
+    }
+}
+
+function withCollisionSuffix(base, taken) {
+    if (!taken.includes(base)) {
+        return base;
+    }
+
+    const highestSuffix = taken.reduce((highest, value) => {
+        const suffix = parseInt(value.slice(base.length + 1), 10);
+        return Number.isNaN(suffix) ? highest : Math.max(highest, suffix);
+    }, 1);
+
+    return `${base}-${highestSuffix + 1}`;
+}
+
+export {
+    resolveProductSlug,
+    resolveCategorySlug,
+    resolveProductSku,
+    resolveVariantSku,
+    assertValidProductSku,
+    reserveSkuNumber,
+};
@@ -0,0 +1,142 @@
+import * as productImageService from "./product-image.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listImages(req, res, next) {
+    try {
+        const { data, summary } = await productImageService.listProductImages(
+            req.params.productId
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Product images fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listImages controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function uploadImages(req, res, next) {
+    try {
+        const { data, summary } = await productImageService.uploadProductImages(
+            req.params.productId,
+            req.files,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(
+            res,
+            "Product images uploaded successfully",
+            data,
+            { summary }
+        );
+    } catch (error) {
+        logger.error("Error in uploadImages controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("changed by another request")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateImage(req, res, next) {
+    try {
+        const { data, summary } = await productImageService.updateProductImage(
+            req.params.productId,
+            req.params.imageId,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Product image updated successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in updateImage controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("changed by another request")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function reorderImages(req, res, next) {
+    try {
+        const { data, summary } =
+            await productImageService.reorderProductImages(
+                req.params.productId,
+                req.body.imageIds,
+                req.admin._id
+            );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Product images reordered successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in reorderImages controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("changed by another request")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deleteImage(req, res, next) {
+    try {
+        const { data, summary } = await productImageService.deleteProductImage(
+            req.params.productId,
+            req.params.imageId,
+            req.admin._id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Product image deleted successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in deleteImage controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("changed by another request")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { listImages, uploadImages, updateImage, reorderImages, deleteImage };
@@ -0,0 +1,42 @@
+import express from "express";
+import * as productImageController from "./product-image.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+import {
+    uploadMultiple,
+    validateImageUpload,
+    handleUploadError,
+} from "../../shared/middlewares/upload.middleware.js";
+
+// Mounted under /api/products/:productId/images (auth applied by the parent router)
+const router = express.Router({ mergeParams: true });
+
+router.get(
+    "/",
+    requirePermission("products.view"),
+    productImageController.listImages
+);
+router.post(
+    "/",
+    requirePermission("products.edit"),
+    uploadMultiple("images", 10),
+    handleUploadError,
+    validateImageUpload({ required: true, minFiles: 1, uploadType: "product" }),
+    productImageController.uploadImages
+);
+router.put(
+    "/reorder",
+    requirePermission("products.edit"),
+    productImageController.reorderImages
+);
+router.put(
+    "/:imageId",
+    requirePermission("products.edit"),
+    productImageController.updateImage
+);
+router.delete(
+    "/:imageId",
+    requirePermission("products.edit"),
+    productImageController.deleteImage
+);
+
+export default router;
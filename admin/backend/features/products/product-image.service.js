@@ -0,0 +1,322 @@
+import mongoose from "mongoose";
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import ProductRevision from "./product-revision.model.js";
+import {
+    updateProduct,
+    getWorkingCopy,
+    formatProductImages,
+    CONCURRENT_EDIT_ERROR,
+} from "./product.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import {
+    uploadMultipleImages,
+    deleteMultipleImages,
+} from "../../shared/utils/cloudinary.util.js";
+
+const PRODUCT_IMAGE_FOLDER = "products";
+const MAX_PRODUCT_IMAGES = 20;
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Image changes go through updateProduct, so published products get them as a draft
+const IMAGE_FIELDS = ["images"];
+
+async function listProductImages(productId) {
+    const product = await getProductOrThrow(productId);
+    const images = getWorkingCopy(product).images || [];
+
+    return {
+        data: formatProductImages({ images }).images,
+        summary: {
+            total: images.length,
+            hasUnpublishedChanges: Boolean(product.draft?.images),
+        },
+    };
+}
+
+async function uploadProductImages(productId, files, data, uploadedByAdminId) {
+    const product = await getProductOrThrow(productId);
+    const currentCount = (getWorkingCopy(product).images || []).length;
+
+    if (currentCount + files.length > MAX_PRODUCT_IMAGES) {
+        throw new Error(
+            `Invalid upload: a product can have at most ${MAX_PRODUCT_IMAGES} images`
+        );
+    }
+
+    const variant = await resolveVariant(product._id, data.variant);
+    const altTexts = [].concat(data.altText ?? []);
+
+    const uploads = await uploadMultipleImages(
+        files.map((file) => file.buffer),
+        PRODUCT_IMAGE_FOLDER,
+        `${product.sku.toLowerCase()}_${Date.now()}`
+    );
+
+    const uploadedImages = uploads.map((upload, index) => ({
+        _id: new mongoose.Types.ObjectId(),
+        publicId: upload.publicId,
+        url: upload.secureUrl,
+        width: upload.width,
+        height: upload.height,
+        // One alt text per file, or a single one for all of them
+        altText: altTexts.length > 1 ? altTexts[index] : altTexts[0],
+        variant,
+    }));
+
+    const primaryImageId =
+        String(data.isPrimary) === "true" ? uploadedImages[0]._id : null;
+
+    try {
+        await saveImages(product._id, uploadedByAdminId, (images) => {
+            // Re-checked: a concurrent upload may have added images meanwhile
+            if (images.length + uploadedImages.length > MAX_PRODUCT_IMAGES) {
+                throw new Error(
+                    `Invalid upload: a product can have at most ${MAX_PRODUCT_IMAGES} images`
+                );
+            }
+
+            return normalizeImages(
+                [...images, ...uploadedImages],
+                primaryImageId
+            );
+        });
+    } catch (error) {
+        // Nothing references the new uploads, so don't leave them behind
+        await deleteMultipleImages(uploads.map((upload) => upload.publicId));
+        throw error;
+    }
+
+    logger.info(
+        `${uploads.length} image(s) uploaded for product ${product.sku} by admin: ${uploadedByAdminId}`
+    );
+
+    return listProductImages(product._id);
+}
+
+async function updateProductImage(productId, imageId, updates, adminId) {
+    const product = await getProductOrThrow(productId);
+    const variant =
+        updates.variant !== undefined
+            ? await resolveVariant(product._id, updates.variant)
+            : undefined;
+
+    await saveImages(product._id, adminId, (images) => {
+        const image = findImage(images, imageId);
+
+        if (updates.altText !== undefined) {
+            image.altText = updates.altText;
+        }
+
+        if (updates.variant !== undefined) {
+            image.variant = variant;
+        }
+
+        return normalizeImages(
+            images,
+            updates.isPrimary === true ? image._id : null
+        );
+    });
+
+    logger.info(
+        `Image ${imageId} updated for product ${product.sku} by admin: ${adminId}`
+    );
+
+    return listProductImages(product._id);
+}
+
+async function reorderProductImages(productId, imageIds, adminId) {
+    const product = await getProductOrThrow(productId);
+    const requestedIds = (Array.isArray(imageIds) ? imageIds : []).map(String);
+
+    await saveImages(product._id, adminId, (images) => {
+        const isPermutation =
+            requestedIds.length === images.length &&
+            new Set(requestedIds).size === images.length &&
+            images.every((image) => requestedIds.includes(String(image._id)));
+
+        if (!isPermutation) {
+            throw new Error(
+                "Invalid image order: imageIds must list every image of the product exactly once"
+            );
+        }
+
+        const imagesById = new Map(
+            images.map((image) => [String(image._id), image])
+        );
+
+        return normalizeImages(requestedIds.map((id) => imagesById.get(id)));
+    });
+
+    logger.info(
+        `Images reordered for product ${product.sku} by admin: ${adminId}`
+    );
+
+    return listProductImages(product._id);
+}
+
+async function deleteProductImage(productId, imageId, deletedByAdminId) {
+    const product = await getProductOrThrow(productId);
+
+    const savedFrom = await saveImages(
+        product._id,
+        deletedByAdminId,
+        (images) => {
+            const image = findImage(images, imageId);
+
+            return normalizeImages(
+                images.filter((item) => String(item._id) !== String(image._id))
+            );
+        }
+    );
+
+    // Still live on a published product until its draft is published
+    await releaseImages(
+        await Product.findById(product._id),
+        collectImages(savedFrom)
+    );
+
+    logger.info(
+        `Image ${imageId} deleted from product ${product.sku} by admin: ${deletedByAdminId}`
+    );
+
+    return listProductImages(product._id);
+}
+
+// Every image record the product still references, live or in its draft
+function collectImages(product) {
+    return [...(product.images || []), ...(product.draft?.images || [])];
+}
+
+// Deletes Cloudinary assets of previous images the product no longer
+// references. Assets in revision snapshots are kept so rollbacks still
+// restore working images; they go when the product is deleted.
+async function releaseImages(product, previousImages) {
+    const inUse = new Set([
+        ...collectImages(product).map((image) => image.publicId),
+        ...(await getRevisionImageIds(product._id)),
+    ]);
+    const releasedIds = [
+        ...new Set(
+            previousImages
+                .map((image) => image.publicId)
+                .filter((publicId) => publicId && !inUse.has(publicId))
+        ),
+    ];
+
+    if (releasedIds.length === 0) return;
+
+    try {
+        const { failed } = await deleteMultipleImages(releasedIds);
+        if (failed.length > 0) {
+            logger.warn(
+                `Could not delete ${failed.length} Cloudinary image(s): ${failed.join(", ")}`
+            );
+        }
+    } catch (error) {
+        logger.error("Error releasing product images:", error.message);
+    }
+}
+
+async function getRevisionImageIds(productId) {
+    const [liveIds, draftIds] = await Promise.all([
+        ProductRevision.distinct("snapshot.live.images.publicId", {
+            product: productId,
+        }),
+        ProductRevision.distinct("snapshot.draft.images.publicId", {
+            product: productId,
+        }),
+    ]);
+
+    return [...liveIds, ...draftIds];
+}
+
+// Every image edit rewrites the whole images array, so it is saved only if
+// the product is unchanged since it was read; otherwise the edit is
+// re-applied to a fresh read. Returns the product the edit was applied to.
+async function saveImages(productId, adminId, buildImages) {
+    for (let attempt = 1; ; attempt++) {
+        const product = await getProductOrThrow(productId);
+        const images = await buildImages(getWorkingCopy(product).images || []);
+
+        try {
+            await updateProduct(productId, { images }, adminId, {
+                fields: IMAGE_FIELDS,
+                expectedUpdatedAt: product.updatedAt,
+            });
+            return product;
+        } catch (error) {
+            if (
+                error.message !== CONCURRENT_EDIT_ERROR ||
+                attempt >= MAX_SAVE_ATTEMPTS
+            ) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Rewrites sortOrder from array position and keeps exactly one primary image
+function normalizeImages(images, primaryImageId = null) {
+    const primaryId =
+        primaryImageId ||
+        images.find((image) => image.isPrimary)?._id ||
+        images[0]?._id;
+
+    return images.map((image, index) => ({
+        ...image,
+        sortOrder: index,
+        isPrimary: String(image._id) === String(primaryId),
+    }));
+}
+
+function findImage(images, imageId) {
+    const image = images.find((item) => String(item._id) === String(imageId));
+
+    if (!image) {
+        throw new Error("Image not found");
+    }
+
+    return image;
+}
+
+async function resolveVariant(productId, variantId) {
+    if (!variantId) {
+        return undefined;
+    }
+
+    if (!mongoose.isValidObjectId(variantId)) {
+        throw new Error(`Invalid variant ID: ${variantId}`);
+    }
+
+    const exists = await ProductVariant.exists({
+        _id: variantId,
+        product: productId,
+    });
+
+    if (!exists) {
+        throw new Error("Invalid variant: it does not belong to this product");
+    }
+
+    return new mongoose.Types.ObjectId(String(variantId));
+}
+
+async function getProductOrThrow(productId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    return product;
+}
+
+export {
+    listProductImages,
+    uploadProductImages,
+    updateProductImage,
+    reorderProductImages,
+    deleteProductImage,
+    collectImages,
+    releaseImages,
+};
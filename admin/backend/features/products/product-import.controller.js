@@ -0,0 +1,98 @@
+import * as productImportService from "./product-import.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function importProducts(req, res, next) {
+    try {
+        if (!req.file) {
+            return apiResponse.badRequest(
+                res,
+                "A CSV or XLSX file is required"
+            );
+        }
+
+        // Dry run unless explicitly disabled, so a stray upload never writes
+        const dryRun = req.query.dryRun !== "false";
+
+        const { data } = await productImportService.importProducts(
+            req.file,
+            { dryRun },
+            req.admin._id
+        );
+
+        const message = dryRun
+            ? `Dry run complete: ${data.summary.invalidRows} of ${data.summary.totalRows} rows have errors`
+            : data.status === "completed"
+              ? "Import completed successfully"
+              : `Import failed: ${data.error}`;
+
+        return apiResponse.success(res, message, data);
+    } catch (error) {
+        logger.error("Error in importProducts controller:", error.message);
+        if (error.message.includes("Invalid file")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function listImports(req, res, next) {
+    try {
+        const { data, pagination } = await productImportService.listImports(
+            req.query
+        );
+
+        return apiResponse.successWithMeta(
+            res,
+            "Imports fetched successfully",
+            data,
+            { pagination }
+        );
+    } catch (error) {
+        logger.error("Error in listImports controller:", error.message);
+        next(error);
+    }
+}
+
+async function getImport(req, res, next) {
+    try {
+        const { data } = await productImportService.getImportById(
+            req.params.id
+        );
+
+        return apiResponse.success(res, "Import fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getImport controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Import not found");
+        }
+        next(error);
+    }
+}
+
+async function downloadImportResult(req, res, next) {
+    try {
+        const { data } = await productImportService.getImportResultFile(
+            req.params.id,
+            req.query.format
+        );
+
+        res.set("Content-Type", data.contentType);
+        res.set(
+            "Content-Disposition",
+            `attachment; filename="${data.fileName}"`
+        );
+        return res.send(data.buffer);
+    } catch (error) {
+        logger.error(
+            "Error in downloadImportResult controller:",
+            error.message
+        );
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Import not found");
+        }
+        next(error);
+    }
+}
+
+export { importProducts, listImports, getImport, downloadImportResult };
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+// Per-row outcome of an import, used for the downloadable result file
+const importRowSchema = new mongoose.Schema(
+    {
+        rowNumber: {
+            type: Number,
+            required: true,
+        },
+        entity: {
+            type: String,
+            enum: ["product", "variant"],
+            required: true,
+        },
+        sku: {
+            type: String,
+        },
+        variantSku: {
+            type: String,
+        },
+        action: {
+            type: String,
+            enum: ["create", "update", "none"],
+            default: "none",
+        },
+        status: {
+            type: String,
+            enum: ["valid", "invalid", "created", "updated", "failed"],
+            required: true,
+        },
+        messages: {
+            type: [String],
+            default: [],
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+        },
+    },
+    { _id: false }
+);
+
+const productImportSchema = new mongoose.Schema(
+    {
+        fileName: {
+            type: String,
+            required: [true, "File name is required"],
+        },
+        format: {
+            type: String,
+            enum: ["csv", "xlsx"],
+            required: [true, "File format is required"],
+        },
+        dryRun: {
+            type: Boolean,
+            default: true,
+        },
+        status: {
+            type: String,
+            enum: ["validated", "completed", "failed"],
+            required: [true, "Import status is required"],
+        },
+        summary: {
+            totalRows: { type: Number, default: 0 },
+            validRows: { type: Number, default: 0 },
+            invalidRows: { type: Number, default: 0 },
+            productsCreated: { type: Number, default: 0 },
+            productsUpdated: { type: Number, default: 0 },
+            variantsCreated: { type: Number, default: 0 },
+            variantsUpdated: { type: Number, default: 0 },
+        },
+        unknownColumns: {
+            type: [String],
+            default: [],
+        },
+        rows: {
+            type: [importRowSchema],
+            default: [],
+        },
+        error: {
+            type: String,
+        },
+        importedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        // Reports are only needed while staff fix and re-import a sheet
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+productImportSchema.index({ createdAt: -1 });
+productImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ProductImport = mongoose.model("ProductImport", productImportSchema);
+
+export default ProductImport;
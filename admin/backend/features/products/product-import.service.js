@@ -0,0 +1,762 @@
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import Category from "./category.model.js";
+import ProductImport from "./product-import.model.js";
+import {
+    buildVariantData,
+    resolveUpdatedSellingPrice,
+    repriceVariants,
+    getCombinationKey,
+} from "./product-variant.service.js";
+import {
+    stageDraft,
+    buildRevisionSnapshot,
+    pickEditableFields,
+    CONTENT_FIELDS,
+    PRICE_INPUT_FIELDS,
+} from "./product.service.js";
+import { recordRevision } from "./product-revision.service.js";
+import {
+    assertValidProductSku,
+    reserveSkuNumber,
+} from "./product-identifier.service.js";
+import { priceFromCurrentRate } from "../pricing/pricing.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import { slugify } from "../../shared/utils/slug.util.js";
+import { extractPublicId } from "../../shared/utils/cloudinary.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+import {
+    getSpreadsheetFormat,
+    readSpreadsheet,
+    writeSpreadsheet,
+} from "../../shared/utils/spreadsheet.util.js";
+
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_RETENTION_DAYS = 30;
+
+// Normalized sheet header -> document path. Variant columns are prefixed
+// with "variant." so product and variant fields never collide.
+const IMPORT_COLUMNS = {
+    sku: "sku",
+    name: "name",
+    slug: "slug",
+    description: "description",
+    shortdescription: "shortDescription",
+    category: "category",
+    subcategory: "subcategory",
+    collections: "collections",
+    purity: "purity",
+    weight: "weight",
+    makingcharges: "makingCharges",
+    makingchargestype: "makingChargesType",
+    gstrate: "gstRate",
+    images: "images",
+    baseprice: "basePrice",
+    isfixedprice: "isFixedPrice",
+    isfeatured: "isFeatured",
+    isactive: "isActive",
+    tags: "tags",
+    gemstone: "attributes.gemstone",
+    occasion: "attributes.occasion",
+    gender: "attributes.gender",
+    plating: "attributes.plating",
+    metatitle: "seo.metaTitle",
+    metadescription: "seo.metaDescription",
+    variantsku: "variant.sku",
+    variantname: "variant.variantName",
+    size: "variant.size",
+    variantsize: "variant.size",
+    color: "variant.color",
+    variantcolor: "variant.color",
+    length: "variant.length",
+    variantlength: "variant.length",
+    variantplating: "variant.plating",
+    variantweight: "variant.weight",
+    additionalprice: "variant.additionalPrice",
+    sellingprice: "variant.sellingPrice",
+    variantisfixedprice: "variant.isFixedPrice",
+    variantisactive: "variant.isActive",
+};
+
+const NUMBER_FIELDS = [
+    "weight",
+    "makingCharges",
+    "gstRate",
+    "basePrice",
+    "variant.weight",
+    "variant.additionalPrice",
+    "variant.sellingPrice",
+];
+
+const BOOLEAN_FIELDS = [
+    "isFixedPrice",
+    "isFeatured",
+    "isActive",
+    "variant.isFixedPrice",
+    "variant.isActive",
+];
+
+// Image URLs may contain commas (Cloudinary transformations), so only "|" or
+// new lines separate them; tags and collections also accept commas
+const LIST_SEPARATORS = {
+    images: /[|\n]/,
+    tags: /[|,\n]/,
+    collections: /[|,\n]/,
+};
+
+const RESULT_COLUMNS = [
+    { header: "Row", key: "rowNumber", width: 8 },
+    { header: "Entity", key: "entity" },
+    { header: "SKU", key: "sku", width: 24 },
+    { header: "Variant SKU", key: "variantSku", width: 28 },
+    { header: "Action", key: "action" },
+    { header: "Status", key: "status" },
+    { header: "Errors", key: "messages", width: 60 },
+    { header: "Product ID", key: "product", width: 26 },
+];
+
+async function importProducts(file, { dryRun = true }, importedByAdminId) {
+    const format = getSpreadsheetFormat(file.originalname);
+
+    if (!format) {
+        throw new Error("Invalid file: only CSV and XLSX files are supported");
+    }
+
+    const { rows, unknownColumns } = await readSpreadsheet(
+        file.buffer,
+        format,
+        IMPORT_COLUMNS
+    );
+
+    if (rows.length === 0) {
+        throw new Error("Invalid file: no data rows found");
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(
+            `Invalid file: ${rows.length} rows exceed the limit of ${MAX_IMPORT_ROWS}`
+        );
+    }
+
+    const results = [];
+    const groups = new Map();
+
+    for (const row of rows) {
+        const sku = row.values.sku
+            ? String(row.values.sku).trim().toUpperCase()
+            : null;
+
+        if (!sku) {
+            results.push(
+                createRowResult(row, "product", null, ["SKU is required"])
+            );
+            continue;
+        }
+
+        if (!groups.has(sku)) groups.set(sku, []);
+        groups.get(sku).push(row);
+    }
+
+    const categories = await loadCategoriesBySlug(rows);
+    const batch = { slugs: new Set(), variantSkus: new Set() };
+
+    const plans = [];
+    for (const [sku, groupRows] of groups) {
+        const plan = await prepareProductGroup(
+            sku,
+            groupRows,
+            categories,
+            batch
+        );
+        plans.push(plan);
+        results.push(...plan.results);
+    }
+
+    const validPlans = plans.filter((plan) => plan.isValid);
+    let importError = null;
+
+    if (!dryRun && validPlans.length > 0) {
+        try {
+            await commitPlans(validPlans, importedByAdminId);
+        } catch (error) {
+            importError = error.message;
+            logger.error("Product import transaction failed:", error.message);
+        }
+    }
+
+    if (!dryRun) {
+        for (const result of validPlans.flatMap((plan) => plan.results)) {
+            result.status = importError
+                ? "failed"
+                : result.action === "create"
+                  ? "created"
+                  : "updated";
+            if (importError) result.messages.push(importError);
+        }
+    }
+
+    results.sort((a, b) => a.rowNumber - b.rowNumber);
+
+    const productImport = await ProductImport.create({
+        fileName: file.originalname,
+        format,
+        dryRun,
+        status: dryRun ? "validated" : importError ? "failed" : "completed",
+        summary: buildSummary(results, validPlans, dryRun || importError),
+        unknownColumns,
+        rows: results,
+        error: importError,
+        importedBy: importedByAdminId,
+        expiresAt: new Date(
+            Date.now() + IMPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        ),
+    });
+
+    logger.info(
+        `Product import ${dryRun ? "dry run" : "committed"}: ${
+            file.originalname
+        } (${productImport.status}, ${rows.length} rows) by admin: ${importedByAdminId}`
+    );
+
+    return { data: productImport.toObject() };
+}
+
+async function listImports(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const [imports, total] = await Promise.all([
+        ProductImport.find()
+            .select("-rows")
+            .populate("importedBy", "name email")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        ProductImport.countDocuments(),
+    ]);
+
+    return { data: imports, pagination: buildPagination(page, limit, total) };
+}
+
+async function getImportById(importId) {
+    const productImport = await ProductImport.findById(importId)
+        .populate("importedBy", "name email")
+        .lean();
+
+    if (!productImport) {
+        throw new Error("Import not found");
+    }
+
+    return { data: productImport };
+}
+
+async function getImportResultFile(importId, format = "csv") {
+    const { data: productImport } = await getImportById(importId);
+
+    const rows = productImport.rows.map((row) => ({
+        ...row,
+        variantSku: row.variantSku || "",
+        messages: row.messages.join("; "),
+        product: row.product ? String(row.product) : "",
+    }));
+
+    const { buffer, contentType } = await writeSpreadsheet(
+        RESULT_COLUMNS,
+        rows,
+        format,
+        "Import result"
+    );
+
+    const baseName = productImport.fileName.replace(/\.[^.]+$/, "");
+
+    return {
+        data: {
+            buffer,
+            contentType,
+            fileName: `${baseName}-result.${format === "xlsx" ? "xlsx" : "csv"}`,
+        },
+    };
+}
+
+// Builds (but does not save) the product and variant documents for one SKU,
+// validating them with the model validators
+async function prepareProductGroup(sku, groupRows, categories, batch) {
+    const rowMessages = new Map(groupRows.map((row) => [row.rowNumber, []]));
+    const addMessage = (row, message) =>
+        rowMessages.get(row.rowNumber).push(message);
+
+    const existing = await Product.findOne({ sku });
+    // New products arrive as drafts, like those created through the API
+    const product = existing || new Product({ sku, status: "draft" });
+    const before = existing ? buildRevisionSnapshot(existing) : {};
+
+    // Published products take the sheet's changes as a draft, like API
+    // edits; rows are applied to their working copy (live + draft)
+    const isStaged = existing?.status === "published";
+    const target = isStaged
+        ? Product.hydrate({
+              ...existing.toObject({ depopulate: true }),
+              ...(existing.draft || {}),
+          })
+        : product;
+
+    // Product fields may be spread over several rows but must agree
+    const productFields = {};
+    const productRows = [];
+    const variantRows = [];
+
+    for (const row of groupRows) {
+        const { product: fields, variant, errors } = parseRow(row.values);
+        errors.forEach((message) => addMessage(row, message));
+
+        if (Object.keys(fields).length > 0) productRows.push(row);
+        if (Object.keys(variant).length > 0) variantRows.push({ row, variant });
+
+        for (const [path, value] of Object.entries(fields)) {
+            if (
+                path in productFields &&
+                String(productFields[path]) !== String(value)
+            ) {
+                addMessage(row, `Conflicting ${path} for SKU ${sku}`);
+                continue;
+            }
+            productFields[path] = value;
+        }
+    }
+
+    const productRow = productRows[0] || groupRows[0];
+
+    // New SKUs get the same format check as API-created ones; the sequence
+    // is bumped past them on commit
+    if (product.isNew) {
+        try {
+            assertValidProductSku(sku);
+        } catch (error) {
+            addMessage(productRow, error.message);
+        }
+    }
+
+    resolveCategoryFields(productFields, categories, (message) =>
+        addMessage(productRow, message)
+    );
+
+    if (productFields.images) {
+        productFields.images = buildImageRecords(
+            productFields.images,
+            target.images,
+            (message) => addMessage(productRow, message)
+        );
+    }
+
+    // Edited pricing inputs reprice the product (and its variants on commit)
+    // unless the sheet sets basePrice itself, like updateProduct
+    const priceInputsChanged =
+        !product.isNew &&
+        PRICE_INPUT_FIELDS.some(
+            (field) =>
+                productFields[field] !== undefined &&
+                String(productFields[field]) !== String(target.get(field))
+        );
+
+    for (const [path, value] of Object.entries(productFields)) {
+        if (path !== "slug") target.set(path, value);
+    }
+
+    if (product.isNew || productFields.slug) {
+        const slug = await allocateSlug(
+            productFields.slug || target.name,
+            product._id,
+            batch.slugs
+        );
+        if (slug) target.slug = slug;
+    }
+
+    const repricesProduct =
+        (product.isNew || priceInputsChanged) &&
+        productFields.basePrice === undefined &&
+        !target.isFixedPrice &&
+        target.purity;
+
+    if (repricesProduct) {
+        try {
+            target.set(await priceFromCurrentRate(target.toObject()));
+        } catch (error) {
+            addMessage(productRow, error.message);
+        }
+    }
+
+    (await getValidationMessages(target)).forEach((message) =>
+        addMessage(productRow, message)
+    );
+
+    const variants = await prepareVariants(
+        target,
+        variantRows,
+        batch,
+        addMessage
+    );
+
+    const isValid = [...rowMessages.values()].every(
+        (messages) => messages.length === 0
+    );
+
+    // A SKU's rows are imported together or not at all
+    if (!isValid) {
+        for (const messages of rowMessages.values()) {
+            if (messages.length === 0) {
+                messages.push(`Skipped: another row for SKU ${sku} has errors`);
+            }
+        }
+    }
+
+    const variantByRow = new Map(
+        variants.map((variant) => [variant.rowNumber, variant])
+    );
+    const variantRowNumbers = new Set(
+        variantRows.map(({ row }) => row.rowNumber)
+    );
+
+    const results = groupRows.map((row) => {
+        const variant = variantByRow.get(row.rowNumber);
+        const messages = rowMessages.get(row.rowNumber);
+
+        return {
+            rowNumber: row.rowNumber,
+            entity: variantRowNumbers.has(row.rowNumber)
+                ? "variant"
+                : "product",
+            sku,
+            variantSku: variant?.doc.sku,
+            action: (variant ? variant.doc.isNew : product.isNew)
+                ? "create"
+                : "update",
+            status: messages.length === 0 ? "valid" : "invalid",
+            messages,
+            product: product._id,
+        };
+    });
+
+    // Top-level fields the sheet touched, staged on top of any existing draft
+    const touchedFields = new Set(
+        Object.keys(productFields).map((path) => path.split(".")[0])
+    );
+    if (repricesProduct) touchedFields.add("basePrice");
+
+    const targetValues = target.toObject({ depopulate: true });
+
+    return {
+        product,
+        variants,
+        results,
+        isValid,
+        isNewProduct: product.isNew,
+        before,
+        draftUpdates: isStaged
+            ? {
+                  ...pickEditableFields(
+                      targetValues,
+                      CONTENT_FIELDS.filter((field) => touchedFields.has(field))
+                  ),
+                  ...(repricesProduct && {
+                      priceBreakdown: targetValues.priceBreakdown,
+                  }),
+              }
+            : null,
+        // Variants follow the live product, so staged changes wait for publish
+        repricesVariants: !isStaged && priceInputsChanged,
+    };
+}
+
+async function prepareVariants(product, variantRows, batch, addMessage) {
+    if (variantRows.length === 0) return [];
+
+    const existingVariants = product.isNew
+        ? []
+        : await ProductVariant.find({ product: product._id });
+    const variantsByKey = new Map(
+        existingVariants.map((variant) => [getCombinationKey(variant), variant])
+    );
+    const variantsBySku = new Map(
+        existingVariants.map((variant) => [variant.sku, variant])
+    );
+
+    const seenKeys = new Set();
+    const prepared = [];
+
+    for (const { row, variant: fields } of variantRows) {
+        const key = getCombinationKey(fields);
+
+        if (seenKeys.has(key)) {
+            addMessage(row, "Duplicate variant options for this SKU");
+            continue;
+        }
+        seenKeys.add(key);
+
+        const requestedSku = fields.sku
+            ? String(fields.sku).trim().toUpperCase()
+            : null;
+        let variant = requestedSku
+            ? variantsBySku.get(requestedSku)
+            : variantsByKey.get(key);
+
+        try {
+            if (variant) {
+                const { sku, ...updates } = fields;
+                const sellingPrice = await resolveUpdatedSellingPrice(
+                    product,
+                    variant,
+                    updates
+                );
+                variant.set(updates);
+                if (sellingPrice !== undefined) {
+                    variant.sellingPrice = sellingPrice;
+                }
+            } else {
+                variant = new ProductVariant(
+                    await buildVariantData(product, fields)
+                );
+            }
+        } catch (error) {
+            addMessage(row, error.message);
+            continue;
+        }
+
+        if (variant.isNew && batch.variantSkus.has(variant.sku)) {
+            addMessage(row, `Variant SKU ${variant.sku} appears twice in file`);
+            continue;
+        }
+        batch.variantSkus.add(variant.sku);
+
+        (await getValidationMessages(variant)).forEach((message) =>
+            addMessage(row, message)
+        );
+
+        prepared.push({ rowNumber: row.rowNumber, doc: variant });
+    }
+
+    return prepared;
+}
+
+// One transaction for the whole file so a failure leaves the catalogue unchanged
+async function commitPlans(plans, adminId) {
+    await runInTransaction(async (session) => {
+        for (const plan of plans) {
+            const { product, variants } = plan;
+
+            let hasDefault =
+                !product.isNew &&
+                (await ProductVariant.exists({
+                    product: product._id,
+                    isDefault: true,
+                }).session(session));
+
+            for (const { doc } of variants) {
+                if (doc.isNew && !hasDefault && doc.isActive) {
+                    doc.isDefault = true;
+                    hasDefault = true;
+                }
+                if (doc.isNew) product.variants.addToSet(doc._id);
+            }
+
+            if (plan.isNewProduct) {
+                await reserveSkuNumber(product.sku, session);
+            }
+
+            if (plan.draftUpdates) {
+                await stageDraft(product, plan.draftUpdates, adminId, session);
+            } else {
+                await product.save({ session });
+            }
+
+            for (const { doc } of variants) {
+                await doc.save({ session });
+            }
+
+            if (plan.repricesVariants) {
+                await repriceVariants(product, session);
+            }
+
+            await recordRevision(
+                product._id,
+                {
+                    action: plan.isNewProduct ? "create" : "update",
+                    before: plan.before,
+                    after: buildRevisionSnapshot(product),
+                    adminId,
+                },
+                session
+            );
+        }
+    });
+}
+
+function parseRow(values) {
+    const product = {};
+    const variant = {};
+    const errors = [];
+
+    for (const [path, raw] of Object.entries(values)) {
+        if (path === "sku") continue;
+
+        let value = raw;
+
+        if (NUMBER_FIELDS.includes(path)) {
+            value = Number(raw);
+            if (Number.isNaN(value)) {
+                errors.push(`${path} must be a number`);
+                continue;
+            }
+        } else if (BOOLEAN_FIELDS.includes(path)) {
+            value = ["true", "yes", "1", "y"].includes(
+                String(raw).trim().toLowerCase()
+            );
+        } else if (LIST_SEPARATORS[path]) {
+            value = String(raw)
+                .split(LIST_SEPARATORS[path])
+                .map((item) => item.trim())
+                .filter(Boolean);
+        } else {
+            value = String(raw).trim();
+        }
+
+        if (path.startsWith("variant.")) {
+            variant[path.slice("variant.".length)] = value;
+        } else {
+            product[path] = value;
+        }
+    }
+
+    return { product, variant, errors };
+}
+
+// Image URLs become image records; URLs the product already has keep their record
+function buildImageRecords(urls, currentImages, addMessage) {
+    return urls.map((url, index) => {
+        const current = currentImages.find((image) => image.url === url);
+        const publicId = current?.publicId || extractPublicId(url);
+
+        if (!current && !publicId) {
+            addMessage(`Image ${url} is not a Cloudinary URL`);
+        }
+
+        return {
+            ...(current ? current.toObject() : { url, publicId }),
+            sortOrder: index,
+            isPrimary: index === 0,
+        };
+    });
+}
+
+async function loadCategoriesBySlug(rows) {
+    const slugs = new Set();
+    for (const { values } of rows) {
+        if (values.category) slugs.add(slugify(values.category));
+        if (values.subcategory) slugs.add(slugify(values.subcategory));
+    }
+
+    const categories = await Category.find({ slug: { $in: [...slugs] } })
+        .select("slug parentCategory")
+        .lean();
+
+    return new Map(categories.map((category) => [category.slug, category]));
+}
+
+// Sheets reference categories by slug; documents store ids
+function resolveCategoryFields(fields, categories, addMessage) {
+    for (const path of ["category", "subcategory"]) {
+        if (!fields[path]) continue;
+
+        const category = categories.get(slugify(fields[path]));
+        if (!category) {
+            addMessage(`${path} '${fields[path]}' not found`);
+            delete fields[path];
+            continue;
+        }
+        fields[path] = category;
+    }
+
+    if (
+        fields.category &&
+        fields.subcategory &&
+        String(fields.subcategory.parentCategory) !==
+            String(fields.category._id)
+    ) {
+        addMessage(
+            `subcategory '${fields.subcategory.slug}' does not belong to category '${fields.category.slug}'`
+        );
+    }
+
+    if (fields.category) fields.category = fields.category._id;
+    if (fields.subcategory) fields.subcategory = fields.subcategory._id;
+}
+
+async function allocateSlug(source, productId, batchSlugs) {
+    const baseSlug = slugify(source);
+    if (!baseSlug) return null;
+
+    let slug = baseSlug;
+    for (let suffix = 2; ; suffix++) {
+        const taken =
+            batchSlugs.has(slug) ||
+            (await Product.exists({ slug, _id: { $ne: productId } }));
+        if (!taken) break;
+        slug = `${baseSlug}-${suffix}`;
+    }
+
+    batchSlugs.add(slug);
+    return slug;
+}
+
+async function getValidationMessages(doc) {
+    try {
+        await doc.validate();
+        return [];
+    } catch (error) {
+        if (error.name !== "ValidationError") throw error;
+        return Object.values(error.errors).map((err) => err.message);
+    }
+}
+
+function createRowResult(row, entity, sku, messages) {
+    return {
+        rowNumber: row.rowNumber,
+        entity,
+        sku,
+        action: "none",
+        status: "invalid",
+        messages,
+    };
+}
+
+function buildSummary(results, validPlans, nothingWritten) {
+    const summary = {
+        totalRows: results.length,
+        validRows: results.filter((row) => row.status !== "invalid").length,
+        invalidRows: results.filter((row) => row.status === "invalid").length,
+        productsCreated: 0,
+        productsUpdated: 0,
+        variantsCreated: 0,
+        variantsUpdated: 0,
+    };
+
+    if (nothingWritten) return summary;
+
+    for (const { results: planResults, isNewProduct } of validPlans) {
+        summary[isNewProduct ? "productsCreated" : "productsUpdated"]++;
+
+        for (const row of planResults) {
+            if (row.entity !== "variant") continue;
+            summary[
+                row.action === "create" ? "variantsCreated" : "variantsUpdated"
+            ]++;
+        }
+    }
+
+    return summary;
+}
+
+export { importProducts, listImports, getImportById, getImportResultFile };
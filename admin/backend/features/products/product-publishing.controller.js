@@ -0,0 +1,114 @@
+import * as productPublishingService from "./product-publishing.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function publishProduct(req, res, next) {
+    try {
+        const { data } = await productPublishingService.publishProduct(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            data.publishAt
+                ? "Product publish scheduled successfully"
+                : "Product published successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in publishProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("no unpublished changes") ||
+            error.message.includes("at least one image")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function unpublishProduct(req, res, next) {
+    try {
+        const { data } = await productPublishingService.unpublishProduct(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            data.unpublishAt
+                ? "Product unpublish scheduled successfully"
+                : "Product unpublished successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in unpublishProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (
+            error.message.includes("Invalid") ||
+            error.message.includes("not published")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function cancelSchedule(req, res, next) {
+    try {
+        const { data } = await productPublishingService.cancelSchedule(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Product schedule cancelled successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in cancelSchedule controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (error.message.includes("no scheduled")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function discardDraft(req, res, next) {
+    try {
+        const { data } = await productPublishingService.discardDraft(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Product draft discarded successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in discardDraft controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (error.message.includes("no unpublished changes")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { publishProduct, unpublishProduct, cancelSchedule, discardDraft };
@@ -0,0 +1,346 @@
+import Product from "./product.model.js";
+import {
+    getProductById,
+    updateProduct,
+    buildRevisionSnapshot,
+    getWorkingCopy,
+    pickEditableFields,
+    CONTENT_FIELDS,
+    PRICE_INPUT_FIELDS,
+} from "./product.service.js";
+import { repriceVariants } from "./product-variant.service.js";
+import { collectImages, releaseImages } from "./product-image.service.js";
+import { recordRevision, findRevision } from "./product-revision.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+
+let schedulerRunning = false;
+
+// Publishes now, or schedules when publishAt is in the future
+async function publishProduct(productId, { publishAt } = {}, adminId) {
+    const product = await findProduct(productId);
+    const scheduledAt = parseScheduleDate(publishAt, "publishAt");
+
+    assertPublishable(product);
+
+    if (scheduledAt && scheduledAt > new Date()) {
+        product.publishAt = scheduledAt;
+        product.scheduledBy = adminId;
+        await product.save();
+
+        logger.info(
+            `Product publish scheduled: ${
+                product.sku
+            } at ${scheduledAt.toISOString()} by admin: ${adminId}`
+        );
+
+        return getProductById(product._id);
+    }
+
+    await applyPublish(product, adminId);
+
+    return getProductById(product._id);
+}
+
+// Unpublishes now, or schedules when unpublishAt is in the future
+async function unpublishProduct(productId, { unpublishAt } = {}, adminId) {
+    const product = await findProduct(productId);
+    const scheduledAt = parseScheduleDate(unpublishAt, "unpublishAt");
+
+    if (product.status !== "published") {
+        throw new Error("Product is not published");
+    }
+
+    if (scheduledAt && scheduledAt > new Date()) {
+        product.unpublishAt = scheduledAt;
+        product.scheduledBy = adminId;
+        await product.save();
+
+        logger.info(
+            `Product unpublish scheduled: ${
+                product.sku
+            } at ${scheduledAt.toISOString()} by admin: ${adminId}`
+        );
+
+        return getProductById(product._id);
+    }
+
+    await applyUnpublish(product, adminId);
+
+    return getProductById(product._id);
+}
+
+async function cancelSchedule(productId, adminId) {
+    const product = await findProduct(productId);
+
+    if (!product.publishAt && !product.unpublishAt) {
+        throw new Error("Product has no scheduled publish or unpublish");
+    }
+
+    product.publishAt = undefined;
+    product.unpublishAt = undefined;
+    product.scheduledBy = undefined;
+    await product.save();
+
+    logger.info(
+        `Product schedule cancelled: ${product.sku} by admin: ${adminId}`
+    );
+
+    return getProductById(product._id);
+}
+
+async function discardDraft(productId, adminId) {
+    const product = await findProduct(productId);
+
+    if (!product.draft) {
+        throw new Error("Product has no unpublished changes");
+    }
+
+    const before = buildRevisionSnapshot(product);
+    const previousImages = collectImages(product);
+
+    clearDraft(product);
+    product.publishAt = undefined;
+    await saveWithRevision(product, "discard-draft", before, adminId);
+
+    await releaseImages(product, previousImages);
+
+    logger.info(`Product draft discarded: ${product.sku} by admin: ${adminId}`);
+
+    return getProductById(product._id);
+}
+
+// Restores a revision's content through the normal edit path, so a
+// published product gets it as a draft that still has to be published
+async function rollbackToRevision(productId, revisionNumber, adminId) {
+    const revision = await findRevision(productId, revisionNumber);
+    const { live, draft } = revision.snapshot;
+
+    const restored = { ...live, ...(draft || {}) };
+
+    // A rate-linked price is recomputed at today's rate, not restored
+    const fields = restored.isFixedPrice
+        ? CONTENT_FIELDS
+        : CONTENT_FIELDS.filter((field) => field !== "basePrice");
+
+    return updateProduct(
+        productId,
+        pickEditableFields(restored, fields),
+        adminId,
+        {
+            action: "rollback",
+            rolledBackTo: revision.revision,
+            fields,
+        }
+    );
+}
+
+// Applies due schedules, in time order when both are due
+async function runScheduledPublishing() {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+        const now = new Date();
+        const dueProducts = await Product.find({
+            $or: [{ publishAt: { $lte: now } }, { unpublishAt: { $lte: now } }],
+        });
+
+        for (const product of dueProducts) {
+            try {
+                await applySchedule(product, now);
+            } catch (error) {
+                logger.error(
+                    `Scheduled publishing failed for ${product.sku}:`,
+                    error.message
+                );
+            }
+        }
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+async function applySchedule(product, now) {
+    const adminId = product.scheduledBy;
+    const events = [
+        { action: "publish", at: product.publishAt },
+        { action: "unpublish", at: product.unpublishAt },
+    ]
+        .filter((event) => event.at && event.at <= now)
+        .sort((a, b) => a.at - b.at);
+
+    for (const event of events) {
+        if (event.action === "publish") {
+            // Nothing left to publish, or no images to publish with
+            const blocker = getPublishBlocker(product);
+            if (blocker) {
+                logger.warn(
+                    `Scheduled publish skipped for ${product.sku}: ${blocker}`
+                );
+                product.publishAt = undefined;
+                await product.save();
+                continue;
+            }
+            await applyPublish(product, adminId);
+        } else {
+            if (product.status !== "published") {
+                product.unpublishAt = undefined;
+                await product.save();
+                continue;
+            }
+            await applyUnpublish(product, adminId);
+        }
+
+        logger.info(
+            `Scheduled ${event.action} applied: ${product.sku} (${product._id})`
+        );
+    }
+
+    if (!product.publishAt && !product.unpublishAt && product.scheduledBy) {
+        product.scheduledBy = undefined;
+        await product.save();
+    }
+}
+
+async function applyPublish(product, adminId) {
+    const before = buildRevisionSnapshot(product);
+    const previousImages = collectImages(product);
+    const repricesVariants = draftChangesPricing(product);
+
+    if (product.draft) {
+        product.set(product.draft);
+    }
+
+    clearDraft(product);
+    product.status = "published";
+    product.publishedAt = new Date();
+    product.publishedBy = adminId;
+    product.publishAt = undefined;
+    await saveWithRevision(product, "publish", before, adminId, {
+        repricesVariants,
+    });
+
+    await releaseImages(product, previousImages);
+
+    logger.info(
+        `Product published: ${product.sku} (${product._id}) by admin: ${adminId}`
+    );
+}
+
+// An unpublished product is edited in place, so pending edits fold into it
+async function applyUnpublish(product, adminId) {
+    const before = buildRevisionSnapshot(product);
+    const previousImages = collectImages(product);
+    const repricesVariants = draftChangesPricing(product);
+
+    if (product.draft) {
+        product.set(product.draft);
+    }
+
+    clearDraft(product);
+    product.status = "draft";
+    product.unpublishAt = undefined;
+    await saveWithRevision(product, "unpublish", before, adminId, {
+        repricesVariants,
+    });
+
+    await releaseImages(product, previousImages);
+
+    logger.info(
+        `Product unpublished: ${product.sku} (${product._id}) by admin: ${adminId}`
+    );
+}
+
+// Images are released only after this commits, since they cannot be restored
+async function saveWithRevision(
+    product,
+    action,
+    before,
+    adminId,
+    { repricesVariants = false } = {}
+) {
+    await runInTransaction(async (session) => {
+        await product.save({ session });
+        if (repricesVariants) {
+            await repriceVariants(product, session);
+        }
+        await recordRevision(
+            product._id,
+            {
+                action,
+                before,
+                after: buildRevisionSnapshot(product),
+                adminId,
+            },
+            session
+        );
+    });
+}
+
+function assertPublishable(product) {
+    const blocker = getPublishBlocker(product);
+
+    if (blocker) {
+        throw new Error(blocker);
+    }
+}
+
+function getPublishBlocker(product) {
+    if (product.status === "published" && !product.draft) {
+        return "Product has no unpublished changes";
+    }
+
+    if (!getWorkingCopy(product).images?.length) {
+        return "Product must have at least one image before it can be published";
+    }
+
+    return null;
+}
+
+// Variants are priced from the live product, so folding in staged pricing
+// inputs has to reprice them
+function draftChangesPricing(product) {
+    return PRICE_INPUT_FIELDS.some(
+        (field) => product.draft?.[field] !== undefined
+    );
+}
+
+function clearDraft(product) {
+    product.draft = undefined;
+    product.draftUpdatedAt = undefined;
+    product.draftUpdatedBy = undefined;
+}
+
+async function findProduct(productId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    return product;
+}
+
+function parseScheduleDate(value, field) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: must be a valid date`);
+    }
+
+    return date;
+}
+
+export {
+    publishProduct,
+    unpublishProduct,
+    cancelSchedule,
+    discardDraft,
+    rollbackToRevision,
+    runScheduledPublishing,
+};
@@ -0,0 +1,107 @@
+import * as productRevisionService from "./product-revision.service.js";
+import * as productPublishingService from "./product-publishing.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listRevisions(req, res, next) {
+    try {
+        const { data, pagination } = await productRevisionService.listRevisions(
+            req.params.id,
+            req.query
+        );
+
+        return apiResponse.successWithPagination(
+            res,
+            "Product revisions fetched successfully",
+            data,
+            pagination
+        );
+    } catch (error) {
+        logger.error("Error in listRevisions controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getRevision(req, res, next) {
+    try {
+        const { data } = await productRevisionService.getRevision(
+            req.params.id,
+            req.params.revision
+        );
+
+        return apiResponse.success(
+            res,
+            "Product revision fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getRevision controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function compareRevisions(req, res, next) {
+    try {
+        const { data } = await productRevisionService.compareRevisions(
+            req.params.id,
+            req.query.from,
+            req.query.to
+        );
+
+        return apiResponse.success(
+            res,
+            "Product revisions compared successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in compareRevisions controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function rollbackToRevision(req, res, next) {
+    try {
+        const { data } = await productPublishingService.rollbackToRevision(
+            req.params.id,
+            req.params.revision,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            data.status === "published"
+                ? "Revision restored as a draft. Publish it to make it live"
+                : "Product rolled back successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in rollbackToRevision controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { listRevisions, getRevision, compareRevisions, rollbackToRevision };
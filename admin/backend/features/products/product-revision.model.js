@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const fieldChangeSchema = new mongoose.Schema(
+    {
+        field: {
+            type: String,
+            required: true,
+        },
+        before: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        after: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+    },
+    { _id: false }
+);
+
+// One entry per saved product change; snapshot holds the live and draft content after it
+const productRevisionSchema = new mongoose.Schema(
+    {
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: [true, "Product is required"],
+        },
+        revision: {
+            type: Number,
+            required: [true, "Revision number is required"],
+            min: [1, "Revision number must be at least 1"],
+        },
+        action: {
+            type: String,
+            enum: [
+                "create",
+                "update",
+                "publish",
+                "unpublish",
+                "discard-draft",
+                "rollback",
+            ],
+            required: [true, "Action is required"],
+        },
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: [true, "Snapshot is required"],
+        },
+        changes: {
+            type: [fieldChangeSchema],
+            default: [],
+        },
+        rolledBackTo: {
+            type: Number,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+const ProductRevision = mongoose.model(
+    "ProductRevision",
+    productRevisionSchema
+);
+
+export default ProductRevision;
@@ -0,0 +1,159 @@
+import ProductRevision from "./product-revision.model.js";
+import Product from "./product.model.js";
+import { diffDocuments } from "../audit/audit.service.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const ADMIN_FIELDS = "name email";
+
+// Attempts at taking the next revision number outside a transaction
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+/**
+ * Saves a revision when before/after snapshots differ; returns null otherwise.
+ * Pass the session of the transaction that saved the product so the two are
+ * written together; a concurrent edit then conflicts and the transaction is
+ * retried. Without one, a number taken by a concurrent writer is retried.
+ */
+async function recordRevision(
+    productId,
+    { action, before, after, adminId, rolledBackTo },
+    session = null
+) {
+    const changes = diffDocuments(before, after);
+
+    if (changes.length === 0) {
+        return null;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        const latest = await ProductRevision.findOne({ product: productId })
+            .sort({ revision: -1 })
+            .select("revision")
+            .session(session)
+            .lean();
+
+        try {
+            const [revision] = await ProductRevision.create(
+                [
+                    {
+                        product: productId,
+                        revision: (latest?.revision || 0) + 1,
+                        action,
+                        snapshot: after,
+                        changes,
+                        rolledBackTo,
+                        createdBy: adminId,
+                    },
+                ],
+                { session }
+            );
+
+            return revision.toObject();
+        } catch (error) {
+            if (
+                error.code !== 11000 ||
+                session ||
+                attempt >= MAX_NUMBERING_ATTEMPTS
+            ) {
+                throw error;
+            }
+        }
+    }
+}
+
+async function listRevisions(productId, query) {
+    await assertProductExists(productId);
+
+    const { page, limit, skip } = getPaginationParams(query);
+
+    const filter = { product: productId };
+    if (query.action) filter.action = query.action;
+
+    const [revisions, total] = await Promise.all([
+        ProductRevision.find(filter)
+            .select("-snapshot")
+            .populate("createdBy", ADMIN_FIELDS)
+            .sort({ revision: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        ProductRevision.countDocuments(filter),
+    ]);
+
+    return { data: revisions, pagination: buildPagination(page, limit, total) };
+}
+
+async function getRevision(productId, revisionNumber) {
+    await assertProductExists(productId);
+
+    const revision = await findRevision(productId, revisionNumber);
+
+    return { data: revision };
+}
+
+// Field-level diff between two revisions' snapshots, in either direction
+async function compareRevisions(productId, fromRevision, toRevision) {
+    await assertProductExists(productId);
+
+    const [from, to] = await Promise.all([
+        findRevision(productId, fromRevision),
+        findRevision(productId, toRevision),
+    ]);
+
+    return {
+        data: {
+            from: describeRevision(from),
+            to: describeRevision(to),
+            changes: diffDocuments(from.snapshot, to.snapshot),
+        },
+    };
+}
+
+async function findRevision(productId, revisionNumber) {
+    const revision = parseInt(revisionNumber);
+
+    if (!Number.isInteger(revision) || revision < 1) {
+        throw new Error(`Invalid revision number: ${revisionNumber}`);
+    }
+
+    const productRevision = await ProductRevision.findOne({
+        product: productId,
+        revision,
+    })
+        .populate("createdBy", ADMIN_FIELDS)
+        .lean();
+
+    if (!productRevision) {
+        throw new Error(`Revision ${revision} not found`);
+    }
+
+    return productRevision;
+}
+
+async function assertProductExists(productId) {
+    const exists = await Product.exists({ _id: productId });
+
+    if (!exists) {
+        throw new Error("Product not found");
+    }
+}
+
+function describeRevision(revision) {
+    return {
+        revision: revision.revision,
+        action: revision.action,
+        createdBy: revision.createdBy,
+        createdAt: revision.createdAt,
+    };
+}
+
+export {
+    recordRevision,
+    listRevisions,
+    getRevision,
+    compareRevisions,
+    findRevision,
+};
@@ -0,0 +1,350 @@
+import mongoose from "mongoose";
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import { buildProductFilter, formatProductImages } from "./product.service.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+import {
+    escapeRegex,
+    normalizeSku,
+    prefixEditDistance,
+    getAllowedTypos,
+} from "../../shared/utils/search.util.js";
+
+// Upper bound on matches ranked per query; admins refine rather than page deep
+const MAX_SEARCH_CANDIDATES = 1000;
+const MAX_SKU_CANDIDATES = 2000;
+
+// SKU hits outrank text relevance; each typo costs a little
+const SKU_MATCH_SCORE = 50;
+const SKU_TYPO_PENALTY = 10;
+const NAME_PREFIX_SCORE = 0.5;
+
+const PRICE_BUCKET_BOUNDARIES = [0, 1000, 2500, 5000, 10000, 25000];
+
+const ATTRIBUTE_FACETS = ["gemstone", "occasion", "gender", "plating"];
+
+const STOCK_STATUSES = ["in-stock", "low-stock", "out-of-stock", "no-variants"];
+
+async function searchProducts(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const searchText = String(query.q || "").trim();
+
+    const filter = buildSearchFilter(query);
+
+    let scores = null;
+    let skuCandidatesTruncated = false;
+    if (searchText) {
+        ({ scores, skuCandidatesTruncated } =
+            await findSearchCandidates(searchText));
+        filter._id = {
+            $in: [...scores.keys()].map(
+                (id) => new mongoose.Types.ObjectId(id)
+            ),
+        };
+    }
+
+    const stockStatuses = toList(query.stockStatus).filter((status) =>
+        STOCK_STATUSES.includes(status)
+    );
+
+    // Relevance ordering happens in memory over the (bounded) candidate set
+    const resultsFacet = scores
+        ? [{ $project: { _id: 1, stockStatus: 1 } }]
+        : [
+              { $sort: { createdAt: -1, _id: 1 } },
+              { $skip: skip },
+              { $limit: limit },
+              { $project: { _id: 1, stockStatus: 1 } },
+          ];
+
+    const [result] = await Product.aggregate([
+        { $match: filter },
+        ...buildStockStatusStages(),
+        ...(stockStatuses.length
+            ? [{ $match: { stockStatus: { $in: stockStatuses } } }]
+            : []),
+        {
+            $facet: {
+                results: resultsFacet,
+                total: [{ $count: "count" }],
+                purity: buildValueFacet("$purity"),
+                category: [
+                    ...buildValueFacet("$category"),
+                    {
+                        $lookup: {
+                            from: "categories",
+                            localField: "value",
+                            foreignField: "_id",
+                            pipeline: [{ $project: { name: 1, slug: 1 } }],
+                            as: "category",
+                        },
+                    },
+                    {
+                        $project: {
+                            value: 1,
+                            count: 1,
+                            label: { $first: "$category.name" },
+                            slug: { $first: "$category.slug" },
+                        },
+                    },
+                ],
+                ...Object.fromEntries(
+                    ATTRIBUTE_FACETS.map((attribute) => [
+                        attribute,
+                        buildValueFacet(`$attributes.${attribute}`),
+                    ])
+                ),
+                stockStatus: buildValueFacet("$stockStatus"),
+                price: [
+                    {
+                        $bucket: {
+                            groupBy: "$basePrice",
+                            boundaries: [...PRICE_BUCKET_BOUNDARIES, Infinity],
+                            default: "unpriced",
+                            output: { count: { $sum: 1 } },
+                        },
+                    },
+                ],
+            },
+        },
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    let pageResults = result.results;
+    if (scores) {
+        pageResults = pageResults
+            .map((item) => ({
+                ...item,
+                relevance: scores.get(String(item._id)),
+            }))
+            .sort((a, b) => b.relevance - a.relevance)
+            .slice(skip, skip + limit);
+    }
+
+    const products = await loadProducts(pageResults);
+
+    return {
+        data: products,
+        pagination: buildPagination(page, limit, total),
+        summary: {
+            query: searchText || null,
+            total,
+            // Fuzzy SKU matching only saw the first MAX_SKU_CANDIDATES SKUs
+            skuCandidatesTruncated,
+            facets: {
+                purity: result.purity,
+                category: result.category,
+                ...Object.fromEntries(
+                    ATTRIBUTE_FACETS.map((attribute) => [
+                        attribute,
+                        result[attribute],
+                    ])
+                ),
+                stockStatus: result.stockStatus,
+                price: result.price.map(formatPriceBucket),
+            },
+        },
+    };
+}
+
+// Scores by product id: text relevance, name word prefixes and fuzzy SKU prefixes
+async function findSearchCandidates(searchText) {
+    const scores = new Map();
+    let skuCandidatesTruncated = false;
+    const addScore = (id, score) => {
+        const key = String(id);
+        scores.set(key, Math.max(scores.get(key) || 0, score));
+    };
+
+    const textMatches = await Product.find(
+        { $text: { $search: searchText } },
+        { score: { $meta: "textScore" } }
+    )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(MAX_SEARCH_CANDIDATES)
+        .lean();
+    textMatches.forEach((product) => addScore(product._id, product.score));
+
+    const namePrefixMatches = await Product.find({
+        name: new RegExp(`\\b${escapeRegex(searchText)}`, "i"),
+    })
+        .select("_id")
+        .limit(MAX_SEARCH_CANDIDATES)
+        .lean();
+    namePrefixMatches.forEach((product) =>
+        addScore(product._id, NAME_PREFIX_SCORE)
+    );
+
+    const skuQuery = normalizeSku(searchText);
+
+    if (skuQuery.length >= 2) {
+        const allowedTypos = getAllowedTypos(skuQuery);
+
+        // SKUs are SS-<CATEGORY>-..., so candidates share the first category
+        // letter; the anchored prefix and sku order are served by the sku index
+        const skuCandidates = await Product.find({
+            sku: new RegExp(`^SS-${skuQuery[0]}`),
+        })
+            .select("sku")
+            .sort({ sku: 1 })
+            .limit(MAX_SKU_CANDIDATES + 1)
+            .lean();
+
+        skuCandidatesTruncated = skuCandidates.length > MAX_SKU_CANDIDATES;
+
+        for (const product of skuCandidates.slice(0, MAX_SKU_CANDIDATES)) {
+            const distance = prefixEditDistance(
+                skuQuery,
+                normalizeSku(product.sku),
+                allowedTypos
+            );
+            if (distance <= allowedTypos) {
+                addScore(
+                    product._id,
+                    SKU_MATCH_SCORE - distance * SKU_TYPO_PENALTY
+                );
+            }
+        }
+
+        const variantMatches = await ProductVariant.find({
+            sku: new RegExp(`^${escapeRegex(searchText.toUpperCase())}`),
+        })
+            .select("product")
+            .limit(MAX_SEARCH_CANDIDATES)
+            .lean();
+        variantMatches.forEach((variant) =>
+            addScore(variant.product, SKU_MATCH_SCORE)
+        );
+    }
+
+    return { scores, skuCandidatesTruncated };
+}
+
+function buildSearchFilter(query) {
+    const filter = buildProductFilter(query);
+
+    for (const attribute of ATTRIBUTE_FACETS) {
+        const values = toList(query[attribute]);
+        if (values.length > 0) {
+            filter[`attributes.${attribute}`] = { $in: values };
+        }
+    }
+
+    return filter;
+}
+
+// Product stock status derived from its active variants: the best status wins
+function buildStockStatusStages() {
+    return [
+        {
+            $lookup: {
+                from: "productvariants",
+                localField: "_id",
+                foreignField: "product",
+                pipeline: [
+                    { $match: { isActive: true } },
+                    { $project: { stockStatus: 1 } },
+                ],
+                as: "activeVariants",
+            },
+        },
+        {
+            $addFields: {
+                stockStatus: {
+                    $switch: {
+                        branches: [
+                            {
+                                case: {
+                                    $eq: [{ $size: "$activeVariants" }, 0],
+                                },
+                                then: "no-variants",
+                            },
+                            {
+                                case: {
+                                    $in: [
+                                        "in-stock",
+                                        "$activeVariants.stockStatus",
+                                    ],
+                                },
+                                then: "in-stock",
+                            },
+                            {
+                                case: {
+                                    $in: [
+                                        "low-stock",
+                                        "$activeVariants.stockStatus",
+                                    ],
+                                },
+                                then: "low-stock",
+                            },
+                        ],
+                        default: "out-of-stock",
+                    },
+                },
+            },
+        },
+        { $project: { activeVariants: 0 } },
+    ];
+}
+
+function buildValueFacet(path) {
+    return [
+        { $match: { [path.slice(1)]: { $nin: [null, ""] } } },
+        { $group: { _id: path, count: { $sum: 1 } } },
+        { $project: { _id: 0, value: "$_id", count: 1 } },
+        { $sort: { count: -1, value: 1 } },
+    ];
+}
+
+function formatPriceBucket(bucket) {
+    if (bucket._id === "unpriced") {
+        return { min: null, max: null, count: bucket.count };
+    }
+
+    const index = PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id);
+    return {
+        min: bucket._id,
+        max: PRICE_BUCKET_BOUNDARIES[index + 1] ?? null,
+        count: bucket.count,
+    };
+}
+
+async function loadProducts(pageResults) {
+    const products = await Product.find({
+        _id: { $in: pageResults.map((item) => item._id) },
+    })
+        .populate("category", "name slug")
+        .populate("subcategory", "name slug")
+        .lean();
+
+    const productsById = new Map(
+        products.map((product) => [String(product._id), product])
+    );
+
+    return pageResults
+        .map((item) => {
+            const product = productsById.get(String(item._id));
+            if (!product) return null;
+            return {
+                ...formatProductImages(product),
+                stockStatus: item.stockStatus,
+                ...(item.relevance !== undefined && {
+                    relevance: item.relevance,
+                }),
+            };
+        })
+        .filter(Boolean);
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    return (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+export { searchProducts };
@@ -0,0 +1,167 @@
+import * as productVariantService from "./product-variant.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listVariants(req, res, next) {
+    try {
+        const { data, summary } = await productVariantService.listVariants(
+            req.params.productId
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Variants fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listVariants controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function createVariant(req, res, next) {
+    try {
+        const { data } = await productVariantService.createVariant(
+            req.params.productId,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Variant created successfully", data);
+    } catch (error) {
+        logger.error("Error in createVariant controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function generateVariants(req, res, next) {
+    try {
+        const { options, priceAdjustments, weight } = req.body;
+
+        if (!options || typeof options !== "object") {
+            return apiResponse.badRequest(res, "Variant options are required");
+        }
+
+        const { data, summary } = await productVariantService.generateVariants(
+            req.params.productId,
+            { options, priceAdjustments, weight },
+            req.admin._id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            `${summary.created} variants generated successfully`,
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in generateVariants controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateVariant(req, res, next) {
+    try {
+        const { data, productDeactivated } =
+            await productVariantService.updateVariant(
+                req.params.productId,
+                req.params.variantId,
+                req.body,
+                req.admin._id
+            );
+
+        return apiResponse.success(
+            res,
+            productDeactivated
+                ? "Variant updated. Product deactivated as it has no active variants left"
+                : "Variant updated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in updateVariant controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function setDefaultVariant(req, res, next) {
+    try {
+        const { data } = await productVariantService.setDefaultVariant(
+            req.params.productId,
+            req.params.variantId,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Default variant updated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in setDefaultVariant controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("Inactive")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deleteVariant(req, res, next) {
+    try {
+        const { data } = await productVariantService.deleteVariant(
+            req.params.productId,
+            req.params.variantId,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, data.message, data);
+    } catch (error) {
+        logger.error("Error in deleteVariant controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        if (error.message.includes("still has stock")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    listVariants,
+    createVariant,
+    generateVariants,
+    updateVariant,
+    setDefaultVariant,
+    deleteVariant,
+};
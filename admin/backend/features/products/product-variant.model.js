@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
 
 const productVariantSchema = new mongoose.Schema(
     {
@@ -53,6 +54,10 @@ const productVariantSchema = new mongoose.Schema(
             required: [true, "Selling price is required"],
             min: [0, "Selling price cannot be negative"],
         },
+        isFixedPrice: {
+            type: Boolean,
+            default: false,
+        },
         isDefault: {
             type: Boolean,
             default: false,
@@ -87,9 +92,9 @@ const productVariantSchema = new mongoose.Schema(
 
 // Indexes for faster queries
 productVariantSchema.index({ product: 1, isActive: 1 });
-productVariantSchema.index({ product: 1, isDefault: 1 });
 productVariantSchema.index({ sku: 1 });
 productVariantSchema.index({ stockQuantity: 1 });
+productVariantSchema.index({ product: 1, stockStatus: 1 });
 
 // Ensure only one default variant per product
 productVariantSchema.index(
@@ -112,6 +117,8 @@ productVariantSchema.pre("save", function (next) {
     next();
 });
 
+productVariantSchema.plugin(auditPlugin);
+
 const ProductVariant = mongoose.model("ProductVariant", productVariantSchema);
 
 export default ProductVariant;
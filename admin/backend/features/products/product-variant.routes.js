@@ -0,0 +1,39 @@
+import express from "express";
+import * as productVariantController from "./product-variant.controller.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+
+// Mounted under /api/products/:productId/variants (auth applied by the parent router)
+const router = express.Router({ mergeParams: true });
+
+router.get(
+    "/",
+    requirePermission("products.view"),
+    productVariantController.listVariants
+);
+router.post(
+    "/",
+    requirePermission("products.edit"),
+    productVariantController.createVariant
+);
+router.post(
+    "/generate",
+    requirePermission("products.edit"),
+    productVariantController.generateVariants
+);
+router.put(
+    "/:variantId",
+    requirePermission("products.edit"),
+    productVariantController.updateVariant
+);
+router.put(
+    "/:variantId/default",
+    requirePermission("products.edit"),
+    productVariantController.setDefaultVariant
+);
+router.delete(
+    "/:variantId",
+    requirePermission("products.edit"),
+    productVariantController.deleteVariant
+);
+
+export default router;
@@ -0,0 +1,558 @@
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { resolveVariantSku } from "./product-identifier.service.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import { calculateVariantPrice } from "../../shared/utils/pricing.util.js";
+import { getCurrentRate } from "../pricing/metal-rate.service.js";
+
+const OPTION_FIELDS = ["size", "length", "color", "plating"];
+
+const EDITABLE_FIELDS = [
+    "sku",
+    "variantName",
+    ...OPTION_FIELDS,
+    "weight",
+    "additionalPrice",
+    "sellingPrice",
+    "isFixedPrice",
+    "lowStockThreshold",
+    "image",
+    "isActive",
+];
+
+// Variant fields that feed a rate-linked selling price
+const PRICE_INPUT_FIELDS = ["weight", "additionalPrice", "isFixedPrice"];
+
+// Keeps a single generate request from creating an unmanageable catalogue
+const MAX_GENERATED_VARIANTS = 200;
+
+async function listVariants(productId) {
+    const product = await getProductOrThrow(productId);
+
+    const variants = await ProductVariant.find({ product: product._id })
+        .sort({ isDefault: -1, createdAt: 1 })
+        .lean();
+
+    return {
+        data: variants,
+        summary: {
+            total: variants.length,
+            active: variants.filter((variant) => variant.isActive).length,
+            defaultVariant:
+                variants.find((variant) => variant.isDefault)?._id || null,
+        },
+    };
+}
+
+async function createVariant(productId, data, createdByAdminId) {
+    const product = await getProductOrThrow(productId);
+    const variantData = await buildVariantData(product, data);
+
+    const [variant] = await runInTransaction(async (session) => {
+        const hasDefault = await ProductVariant.exists({
+            product: product._id,
+            isDefault: true,
+        }).session(session);
+
+        const created = await ProductVariant.create(
+            [
+                {
+                    ...variantData,
+                    isDefault: !hasDefault && variantData.isActive !== false,
+                },
+            ],
+            { session }
+        );
+
+        await Product.updateOne(
+            { _id: product._id },
+            { $addToSet: { variants: created[0]._id } }
+        ).session(session);
+
+        return created;
+    });
+
+    logger.info(
+        `Variant created: ${variant.sku} for product ${product.sku} by admin: ${createdByAdminId}`
+    );
+
+    return { data: variant.toObject() };
+}
+
+async function generateVariants(
+    productId,
+    { options, priceAdjustments = {}, weight },
+    createdByAdminId
+) {
+    const product = await getProductOrThrow(productId);
+    const combinations = buildCombinations(options);
+
+    const existing = await ProductVariant.find({ product: product._id })
+        .select(OPTION_FIELDS.join(" "))
+        .lean();
+    const existingKeys = new Set(existing.map(getCombinationKey));
+
+    const newCombinations = combinations.filter(
+        (combination) => !existingKeys.has(getCombinationKey(combination))
+    );
+
+    const variantsData = [];
+    const batchSkus = new Set();
+
+    for (const combination of newCombinations) {
+        const additionalPrice = OPTION_FIELDS.reduce(
+            (sum, field) =>
+                sum +
+                (Number(priceAdjustments[field]?.[combination[field]]) || 0),
+            0
+        );
+
+        const variantData = await buildVariantData(product, {
+            ...combination,
+            weight,
+            additionalPrice,
+        });
+
+        if (batchSkus.has(variantData.sku)) {
+            throw new Error(
+                `Invalid options: more than one combination maps to SKU ${variantData.sku}`
+            );
+        }
+        batchSkus.add(variantData.sku);
+        variantsData.push(variantData);
+    }
+
+    if (variantsData.length === 0) {
+        return {
+            data: [],
+            summary: {
+                requested: combinations.length,
+                created: 0,
+                skippedExisting: combinations.length,
+            },
+        };
+    }
+
+    const created = await runInTransaction(async (session) => {
+        const hasDefault = await ProductVariant.exists({
+            product: product._id,
+            isDefault: true,
+        }).session(session);
+
+        if (!hasDefault) {
+            variantsData[0].isDefault = true;
+        }
+
+        const variants = await ProductVariant.create(variantsData, {
+            session,
+            ordered: true,
+        });
+
+        await Product.updateOne(
+            { _id: product._id },
+            {
+                $addToSet: {
+                    variants: { $each: variants.map((variant) => variant._id) },
+                },
+            }
+        ).session(session);
+
+        return variants;
+    });
+
+    logger.info(
+        `Generated ${created.length} variants for product ${product.sku} by admin: ${createdByAdminId}`
+    );
+
+    return {
+        data: created.map((variant) => variant.toObject()),
+        summary: {
+            requested: combinations.length,
+            created: created.length,
+            skippedExisting: combinations.length - newCombinations.length,
+        },
+    };
+}
+
+async function updateVariant(productId, variantId, updates, updatedByAdminId) {
+    const product = await getProductOrThrow(productId);
+    const variant = await getVariantOrThrow(product._id, variantId);
+
+    const variantUpdates = pickEditableFields(updates);
+
+    if (variantUpdates.sku && variantUpdates.sku !== variant.sku) {
+        variantUpdates.sku = await resolveVariantSku(
+            product.sku,
+            { sku: variantUpdates.sku },
+            variant._id
+        );
+    }
+
+    const sellingPrice = await resolveUpdatedSellingPrice(
+        product,
+        variant,
+        variantUpdates
+    );
+    if (sellingPrice !== undefined) {
+        variantUpdates.sellingPrice = sellingPrice;
+    }
+
+    const deactivating = variant.isActive && variantUpdates.isActive === false;
+    let productDeactivated = false;
+
+    await runInTransaction(async (session) => {
+        variant.set(variantUpdates);
+
+        if (deactivating) {
+            productDeactivated = await handleVariantRemoval(
+                product,
+                variant,
+                session
+            );
+        }
+
+        await variant.save({ session });
+    });
+
+    logger.info(
+        `Variant updated: ${variant.sku} by admin: ${updatedByAdminId}`
+    );
+
+    return { data: variant.toObject(), productDeactivated };
+}
+
+async function setDefaultVariant(productId, variantId, updatedByAdminId) {
+    const product = await getProductOrThrow(productId);
+    const variant = await getVariantOrThrow(product._id, variantId);
+
+    if (!variant.isActive) {
+        throw new Error("Inactive variant cannot be the default");
+    }
+
+    if (variant.isDefault) {
+        return { data: variant.toObject() };
+    }
+
+    // Clear the old default first so the unique partial index never sees two
+    await runInTransaction(async (session) => {
+        await ProductVariant.updateMany(
+            { product: product._id, isDefault: true },
+            { $set: { isDefault: false } }
+        ).session(session);
+
+        variant.isDefault = true;
+        await variant.save({ session });
+    });
+
+    logger.info(
+        `Default variant for ${product.sku} set to ${variant.sku} by admin: ${updatedByAdminId}`
+    );
+
+    return { data: variant.toObject() };
+}
+
+async function deleteVariant(productId, variantId, deletedByAdminId) {
+    const product = await getProductOrThrow(productId);
+    const variant = await getVariantOrThrow(product._id, variantId);
+
+    if (variant.stockQuantity > 0) {
+        throw new Error(
+            "Variant still has stock. Clear its stock or deactivate it instead"
+        );
+    }
+
+    let productDeactivated = false;
+
+    await runInTransaction(async (session) => {
+        productDeactivated = variant.isActive
+            ? await handleVariantRemoval(product, variant, session)
+            : false;
+
+        await variant.deleteOne({ session });
+
+        // Images linked to the variant stay on the product, unlinked
+        await Product.updateOne(
+            { _id: product._id },
+            {
+                $pull: { variants: variant._id },
+                $unset: { "images.$[image].variant": "" },
+            },
+            { arrayFilters: [{ "image.variant": variant._id }] }
+        ).session(session);
+    });
+
+    logger.info(
+        `Variant deleted: ${variant.sku} by admin: ${deletedByAdminId}`
+    );
+
+    return {
+        data: { message: "Variant deleted successfully", productDeactivated },
+    };
+}
+
+// Called when an active variant is deactivated or deleted: hands the default
+// flag to another active variant, or deactivates the product if none is left
+async function handleVariantRemoval(product, variant, session) {
+    const replacement = await ProductVariant.findOne({
+        product: product._id,
+        _id: { $ne: variant._id },
+        isActive: true,
+    })
+        .sort({ createdAt: 1 })
+        .session(session);
+
+    if (variant.isDefault) {
+        variant.isDefault = false;
+        await ProductVariant.updateOne(
+            { _id: variant._id },
+            { $set: { isDefault: false } }
+        ).session(session);
+
+        if (replacement) {
+            replacement.isDefault = true;
+            await replacement.save({ session });
+        }
+    }
+
+    if (replacement || !product.isActive) {
+        return false;
+    }
+
+    await Product.updateOne(
+        { _id: product._id },
+        { $set: { isActive: false } }
+    ).session(session);
+
+    logger.warn(
+        `Product ${product.sku} deactivated: last active variant ${variant.sku} removed`
+    );
+
+    return true;
+}
+
+async function buildVariantData(product, data) {
+    const variantData = pickEditableFields(data);
+
+    for (const field of OPTION_FIELDS) {
+        if (variantData[field] !== undefined) {
+            variantData[field] = String(variantData[field]).trim();
+        }
+    }
+
+    variantData.product = product._id;
+    variantData.variantName =
+        variantData.variantName || buildVariantName(variantData);
+    variantData.sku = await resolveVariantSku(product.sku, variantData);
+    variantData.additionalPrice = Number(variantData.additionalPrice) || 0;
+
+    if (variantData.sellingPrice === undefined) {
+        variantData.sellingPrice = await calculateSellingPrice(
+            product,
+            variantData
+        );
+    }
+
+    return variantData;
+}
+
+// Rate-linked variants are priced at the current silver rate, like the
+// reprice job does; fixed prices (or no published rate) use basePrice
+async function calculateSellingPrice(product, variant) {
+    const metalRate =
+        product.isFixedPrice || variant.isFixedPrice || !product.purity
+            ? null
+            : await getCurrentRate(product.purity);
+
+    return priceVariant(product, variant, metalRate);
+}
+
+// New selling price for an edit to an existing variant; undefined when the
+// edit sets one itself or leaves the pricing inputs alone
+async function resolveUpdatedSellingPrice(product, variant, updates) {
+    if (updates.sellingPrice !== undefined) return undefined;
+
+    const pricedVariant = {
+        weight: variant.weight,
+        additionalPrice: variant.additionalPrice,
+        isFixedPrice: variant.isFixedPrice,
+        ...updates,
+    };
+
+    // Fixed-price variants only follow their own additionalPrice
+    const inputsChanged = pricedVariant.isFixedPrice
+        ? updates.additionalPrice !== undefined
+        : PRICE_INPUT_FIELDS.some((field) => updates[field] !== undefined);
+
+    return inputsChanged
+        ? calculateSellingPrice(product, pricedVariant)
+        : undefined;
+}
+
+// Re-prices the product's non-fixed variants after its pricing inputs
+// changed, so they don't wait for the next rate publish
+async function repriceVariants(product, session = null) {
+    const variants = await ProductVariant.find({
+        product: product._id,
+        isFixedPrice: { $ne: true },
+    })
+        .select("weight additionalPrice sellingPrice")
+        .session(session)
+        .lean();
+
+    if (variants.length === 0) return 0;
+
+    const metalRate =
+        product.isFixedPrice || !product.purity
+            ? null
+            : await getCurrentRate(product.purity);
+
+    let variantsUpdated = 0;
+    for (const variant of variants) {
+        const sellingPrice = priceVariant(product, variant, metalRate);
+
+        if (sellingPrice === variant.sellingPrice) continue;
+
+        await ProductVariant.updateOne(
+            { _id: variant._id },
+            { $set: { sellingPrice } }
+        ).session(session);
+        variantsUpdated++;
+    }
+
+    return variantsUpdated;
+}
+
+function priceVariant(product, variant, metalRate) {
+    const additionalPrice = Number(variant.additionalPrice) || 0;
+
+    if (!metalRate || variant.isFixedPrice) {
+        return product.basePrice + additionalPrice;
+    }
+
+    return calculateVariantPrice(
+        {
+            weight: product.weight,
+            makingCharges: product.makingCharges,
+            makingChargesType: product.makingChargesType,
+            gstRate: product.gstRate,
+        },
+        { weight: variant.weight, additionalPrice },
+        metalRate.ratePerGram
+    ).total;
+}
+
+// e.g. { size: "7", plating: "Rhodium" } -> "Size 7 / Rhodium"
+function buildVariantName(variant) {
+    const parts = OPTION_FIELDS.filter((field) => variant[field]).map(
+        (field) =>
+            field === "size" || field === "length"
+                ? `${field[0].toUpperCase()}${field.slice(1)} ${variant[field]}`
+                : variant[field]
+    );
+
+    return parts.join(" / ") || "Standard";
+}
+
+/**
+ * Expand option lists into every combination
+ * { size: ["6", "7"], plating: ["Rhodium", "Oxidised"] } ->
+ * [{ size: "6", plating: "Rhodium" }, { size: "6", plating: "Oxidised" }, ...]
+ */
+function buildCombinations(options = {}) {
+    const lists = OPTION_FIELDS.filter(
+        (field) => Array.isArray(options[field]) && options[field].length > 0
+    ).map((field) => [field, dedupeOptionValues(options[field])]);
+
+    if (lists.length === 0) {
+        throw new Error(
+            `Invalid options: provide at least one list of ${OPTION_FIELDS.join(
+                ", "
+            )}`
+        );
+    }
+
+    const total = lists.reduce((count, [, values]) => count * values.length, 1);
+
+    if (total > MAX_GENERATED_VARIANTS) {
+        throw new Error(
+            `Invalid options: ${total} combinations exceed the limit of ${MAX_GENERATED_VARIANTS}`
+        );
+    }
+
+    return lists.reduce(
+        (combinations, [field, values]) =>
+            combinations.flatMap((combination) =>
+                values.map((value) => ({ ...combination, [field]: value }))
+            ),
+        [{}]
+    );
+}
+
+function dedupeOptionValues(values) {
+    const seen = new Set();
+
+    return values
+        .map((value) => String(value).trim())
+        .filter((value) => {
+            const key = value.toLowerCase();
+            if (!value || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+function getCombinationKey(variant) {
+    return OPTION_FIELDS.map((field) =>
+        (variant[field] || "").toLowerCase()
+    ).join("|");
+}
+
+async function getProductOrThrow(productId) {
+    const product = await Product.findById(productId)
+        .select(
+            "sku basePrice isActive isFixedPrice purity weight makingCharges makingChargesType gstRate"
+        )
+        .lean();
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    return product;
+}
+
+async function getVariantOrThrow(productId, variantId) {
+    const variant = await ProductVariant.findOne({
+        _id: variantId,
+        product: productId,
+    });
+
+    if (!variant) {
+        throw new Error("Variant not found");
+    }
+
+    return variant;
+}
+
+function pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+        if (data[field] !== undefined) {
+            acc[field] = data[field];
+        }
+        return acc;
+    }, {});
+}
+
+export {
+    listVariants,
+    createVariant,
+    generateVariants,
+    updateVariant,
+    setDefaultVariant,
+    deleteVariant,
+    buildVariantData,
+    resolveUpdatedSellingPrice,
+    repriceVariants,
+    getCombinationKey,
+};
@@ -0,0 +1,195 @@
+import * as productService from "./product.service.js";
+import * as productSearchService from "./product-search.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listProducts(req, res, next) {
+    try {
+        const { data, pagination, summary } = await productService.listProducts(
+            req.query
+        );
+
+        return apiResponse.successWithMeta(
+            res,
+            "Products fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listProducts controller:", error.message);
+        if (error.message.includes("Invalid ID")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function searchProducts(req, res, next) {
+    try {
+        const { data, pagination, summary } =
+            await productSearchService.searchProducts(req.query);
+
+        return apiResponse.successWithMeta(
+            res,
+            "Product search completed successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in searchProducts controller:", error.message);
+        if (error.message.includes("Invalid ID")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getProduct(req, res, next) {
+    try {
+        const { data } = await productService.getProductById(req.params.id);
+
+        return apiResponse.success(res, "Product fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        next(error);
+    }
+}
+
+async function getProductBySlug(req, res, next) {
+    try {
+        const { data } = await productService.getProductBySlug(req.params.slug);
+
+        return apiResponse.success(res, "Product fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getProductBySlug controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        next(error);
+    }
+}
+
+async function createProduct(req, res, next) {
+    try {
+        const { data } = await productService.createProduct(
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Product created successfully", data);
+    } catch (error) {
+        logger.error("Error in createProduct controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateProduct(req, res, next) {
+    try {
+        const { data } = await productService.updateProduct(
+            req.params.id,
+            req.body,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Product updated successfully", data);
+    } catch (error) {
+        logger.error("Error in updateProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function activateProduct(req, res, next) {
+    try {
+        const { data } = await productService.setProductActive(
+            req.params.id,
+            true,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Product activated successfully", data);
+    } catch (error) {
+        logger.error("Error in activateProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (error.message.includes("already")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deactivateProduct(req, res, next) {
+    try {
+        const { data } = await productService.setProductActive(
+            req.params.id,
+            false,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Product deactivated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in deactivateProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (error.message.includes("already")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deleteProduct(req, res, next) {
+    try {
+        const { data } = await productService.deleteProduct(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, data.message);
+    } catch (error) {
+        logger.error("Error in deleteProduct controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Product not found");
+        }
+        if (error.message.includes("still has stock")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    listProducts,
+    searchProducts,
+    getProduct,
+    getProductBySlug,
+    createProduct,
+    updateProduct,
+    activateProduct,
+    deactivateProduct,
+    deleteProduct,
+};
@@ -1,4 +1,45 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+// Uploaded images; publicId ties each one to its Cloudinary asset
+const productImageSchema = new mongoose.Schema({
+    // Absent only for legacy images hosted outside Cloudinary
+    publicId: {
+        type: String,
+        trim: true,
+    },
+    url: {
+        type: String,
+        required: [true, "Image URL is required"],
+        trim: true,
+    },
+    width: {
+        type: Number,
+        min: [0, "Image width cannot be negative"],
+    },
+    height: {
+        type: Number,
+        min: [0, "Image height cannot be negative"],
+    },
+    altText: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Alt text cannot exceed 200 characters"],
+    },
+    sortOrder: {
+        type: Number,
+        default: 0,
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false,
+    },
+    // Shown when this variant is selected
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ProductVariant",
+    },
+});
 
 const productSchema = new mongoose.Schema(
     {
@@ -72,15 +113,10 @@ const productSchema = new mongoose.Schema(
             default: 3,
             min: [0, "GST rate cannot be negative"],
         },
+        // Managed through the image endpoints; kept ordered by sortOrder
         images: {
-            type: [String],
-            required: [true, "At least one image is required"],
-            validate: {
-                validator: function (array) {
-                    return array.length > 0;
-                },
-                message: "Product must have at least one image",
-            },
+            type: [productImageSchema],
+            default: [],
         },
         variants: [
             {
@@ -93,6 +129,28 @@ const productSchema = new mongoose.Schema(
             required: [true, "Base price is required"],
             min: [0, "Base price cannot be negative"],
         },
+        // Fixed-price items are skipped when a new silver rate reprices the catalogue
+        isFixedPrice: {
+            type: Boolean,
+            default: false,
+        },
+        priceBreakdown: {
+            ratePerGram: {
+                type: Number,
+            },
+            metalValue: {
+                type: Number,
+            },
+            makingAmount: {
+                type: Number,
+            },
+            gstAmount: {
+                type: Number,
+            },
+            pricedAt: {
+                type: Date,
+            },
+        },
         isFeatured: {
             type: Boolean,
             default: false,
@@ -163,6 +221,40 @@ const productSchema = new mongoose.Schema(
                 default: [],
             },
         },
+        // Products that predate the publishing workflow stay live; new ones start as drafts
+        status: {
+            type: String,
+            enum: ["draft", "published"],
+            default: "published",
+        },
+        // Pending edits to a published product, applied when it is next published
+        draft: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        draftUpdatedAt: {
+            type: Date,
+        },
+        draftUpdatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        publishedAt: {
+            type: Date,
+        },
+        publishedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        publishAt: {
+            type: Date,
+        },
+        unpublishAt: {
+            type: Date,
+        },
+        scheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
         ratings: {
             average: {
                 type: Number,
@@ -195,6 +287,35 @@ productSchema.index({ collections: 1 });
 productSchema.index({ isFeatured: 1, isActive: 1 });
 productSchema.index({ "ratings.average": -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ status: 1, isActive: 1 });
+productSchema.index({ publishAt: 1 }, { sparse: true });
+productSchema.index({ unpublishAt: 1 }, { sparse: true });
+
+// Search: weighted text relevance plus the facet fields
+productSchema.index(
+    {
+        name: "text",
+        sku: "text",
+        tags: "text",
+        collections: "text",
+        description: "text",
+    },
+    {
+        name: "product_search_text",
+        weights: {
+            name: 10,
+            sku: 8,
+            tags: 5,
+            collections: 4,
+            description: 1,
+        },
+    }
+);
+productSchema.index({ purity: 1, basePrice: 1 });
+productSchema.index({ "attributes.gemstone": 1 });
+productSchema.index({ "attributes.occasion": 1 });
+
+productSchema.plugin(auditPlugin, { exclude: ["priceBreakdown"] });
 
 const Product = mongoose.model("Product", productSchema);
 
@@ -0,0 +1,141 @@
+import express from "express";
+import * as productController from "./product.controller.js";
+import * as productImportController from "./product-import.controller.js";
+import * as productExportController from "./product-export.controller.js";
+import * as productPublishingController from "./product-publishing.controller.js";
+import * as productRevisionController from "./product-revision.controller.js";
+import productVariantRoutes from "./product-variant.routes.js";
+import productImageRoutes from "./product-image.routes.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requirePermission } from "../../shared/middlewares/role.middleware.js";
+import {
+    uploadSpreadsheet,
+    handleUploadError,
+} from "../../shared/middlewares/upload.middleware.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get(
+    "/",
+    requirePermission("products.view"),
+    productController.listProducts
+);
+router.get(
+    "/search",
+    requirePermission("products.view"),
+    productController.searchProducts
+);
+router.post(
+    "/import",
+    requirePermission("products.create", "products.edit"),
+    uploadSpreadsheet("file"),
+    handleUploadError,
+    productImportController.importProducts
+);
+router.get(
+    "/imports",
+    requirePermission("products.view"),
+    productImportController.listImports
+);
+router.get(
+    "/imports/:id",
+    requirePermission("products.view"),
+    productImportController.getImport
+);
+router.get(
+    "/imports/:id/result",
+    requirePermission("products.view"),
+    productImportController.downloadImportResult
+);
+router.get(
+    "/export/columns",
+    requirePermission("products.view"),
+    productExportController.listExportColumns
+);
+router.get(
+    "/export",
+    requirePermission("products.export"),
+    productExportController.exportProducts
+);
+router.get(
+    "/slug/:slug",
+    requirePermission("products.view"),
+    productController.getProductBySlug
+);
+router.get(
+    "/:id",
+    requirePermission("products.view"),
+    productController.getProduct
+);
+router.post(
+    "/",
+    requirePermission("products.create"),
+    productController.createProduct
+);
+router.put(
+    "/:id",
+    requirePermission("products.edit"),
+    productController.updateProduct
+);
+router.put(
+    "/:id/activate",
+    requirePermission("products.edit"),
+    productController.activateProduct
+);
+router.put(
+    "/:id/deactivate",
+    requirePermission("products.edit"),
+    productController.deactivateProduct
+);
+router.post(
+    "/:id/publish",
+    requirePermission("products.publish"),
+    productPublishingController.publishProduct
+);
+router.post(
+    "/:id/unpublish",
+    requirePermission("products.publish"),
+    productPublishingController.unpublishProduct
+);
+router.delete(
+    "/:id/schedule",
+    requirePermission("products.publish"),
+    productPublishingController.cancelSchedule
+);
+router.delete(
+    "/:id/draft",
+    requirePermission("products.edit"),
+    productPublishingController.discardDraft
+);
+router.get(
+    "/:id/revisions",
+    requirePermission("products.view"),
+    productRevisionController.listRevisions
+);
+router.get(
+    "/:id/revisions/compare",
+    requirePermission("products.view"),
+    productRevisionController.compareRevisions
+);
+router.get(
+    "/:id/revisions/:revision",
+    requirePermission("products.view"),
+    productRevisionController.getRevision
+);
+router.post(
+    "/:id/revisions/:revision/rollback",
+    requirePermission("products.edit"),
+    productRevisionController.rollbackToRevision
+);
+router.delete(
+    "/:id",
+    requirePermission("products.delete"),
+    productController.deleteProduct
+);
+
+router.use("/:productId/variants", productVariantRoutes);
+router.use("/:productId/images", productImageRoutes);
+
+export default router;
@@ -0,0 +1,625 @@
+import mongoose from "mongoose";
+import Product from "./product.model.js";
+import ProductVariant from "./product-variant.model.js";
+import Category from "./category.model.js";
+import ProductRevision from "./product-revision.model.js";
+import Inventory from "../inventory/inventory.model.js";
+import {
+    resolveProductSlug,
+    resolveProductSku,
+} from "./product-identifier.service.js";
+import { priceFromCurrentRate } from "../pricing/pricing.service.js";
+import { repriceVariants } from "./product-variant.service.js";
+import { recordRevision } from "./product-revision.service.js";
+import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import {
+    getImageVariants,
+    deleteMultipleImages,
+} from "../../shared/utils/cloudinary.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+// Fields staff may set directly; ratings, viewCount, variants and images are managed elsewhere
+const EDITABLE_FIELDS = [
+    "name",
+    "slug",
+    "sku",
+    "description",
+    "shortDescription",
+    "category",
+    "subcategory",
+    "collections",
+    "purity",
+    "weight",
+    "makingCharges",
+    "makingChargesType",
+    "gstRate",
+    "basePrice",
+    "isFixedPrice",
+    "isFeatured",
+    "isActive",
+    "tags",
+    "dimensions",
+    "hallmark",
+    "attributes",
+    "seo",
+];
+
+// Inputs of a rate-linked price; changing one reprices the product
+const PRICE_INPUT_FIELDS = [
+    "purity",
+    "weight",
+    "makingCharges",
+    "makingChargesType",
+    "gstRate",
+    "isFixedPrice",
+];
+
+// Everything that goes through drafts and revisions
+const CONTENT_FIELDS = [...EDITABLE_FIELDS, "images"];
+
+const SORTABLE_FIELDS = [
+    "createdAt",
+    "updatedAt",
+    "name",
+    "basePrice",
+    "weight",
+    "ratings.average",
+    "viewCount",
+];
+
+const CATEGORY_FIELDS = "name slug";
+
+const CONCURRENT_EDIT_ERROR =
+    "Product was changed by another request. Please try again";
+
+async function createProduct(data, createdByAdminId) {
+    const productData = pickEditableFields(data);
+
+    await assertCategoriesValid(productData.category, productData.subcategory);
+
+    // Slug and SKU are generated unless valid, unique values were supplied
+    productData.slug = await resolveProductSlug(
+        productData.name,
+        productData.slug
+    );
+    productData.sku = await resolveProductSku(productData);
+
+    if (productData.basePrice === undefined && !productData.isFixedPrice) {
+        Object.assign(productData, await priceFromCurrentRate(productData));
+    }
+
+    // Going live is a separate, permissioned step
+    productData.status = "draft";
+
+    const product = await runInTransaction(async (session) => {
+        const [product] = await Product.create([productData], { session });
+
+        await recordRevision(
+            product._id,
+            {
+                action: "create",
+                before: {},
+                after: buildRevisionSnapshot(product),
+                adminId: createdByAdminId,
+            },
+            session
+        );
+
+        return product;
+    });
+
+    logger.info(
+        `Product created: ${product.sku} (${product._id}) by admin: ${createdByAdminId}`
+    );
+
+    return getProductById(product._id);
+}
+
+async function listProducts(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const filter = buildProductFilter(query);
+    const sort = buildSort(query.sort);
+
+    const [products, total, [summary]] = await Promise.all([
+        Product.find(filter)
+            .populate("category", CATEGORY_FIELDS)
+            .populate("subcategory", CATEGORY_FIELDS)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Product.countDocuments(filter),
+        Product.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: null,
+                    activeCount: { $sum: { $cond: ["$isActive", 1, 0] } },
+                    inactiveCount: { $sum: { $cond: ["$isActive", 0, 1] } },
+                    featuredCount: { $sum: { $cond: ["$isFeatured", 1, 0] } },
+                    minPrice: { $min: "$basePrice" },
+                    maxPrice: { $max: "$basePrice" },
+                },
+            },
+            { $project: { _id: 0 } },
+        ]),
+    ]);
+
+    return {
+        data: products.map(formatProductImages),
+        pagination: buildPagination(page, limit, total),
+        summary: summary || {
+            activeCount: 0,
+            inactiveCount: 0,
+            featuredCount: 0,
+            minPrice: null,
+            maxPrice: null,
+        },
+    };
+}
+
+async function getProductById(productId) {
+    const product = await Product.findById(productId)
+        .populate("category", CATEGORY_FIELDS)
+        .populate("subcategory", CATEGORY_FIELDS)
+        .populate("variants")
+        .lean();
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    return { data: formatProductImages(product) };
+}
+
+async function getProductBySlug(slug) {
+    const product = await Product.findOne({ slug: slug.toLowerCase() })
+        .populate("category", CATEGORY_FIELDS)
+        .populate("subcategory", CATEGORY_FIELDS)
+        .populate("variants")
+        .lean();
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    return { data: formatProductImages(product) };
+}
+
+// Published products collect edits in a draft; drafts are edited in place
+async function updateProduct(
+    productId,
+    updates,
+    updatedByAdminId,
+    {
+        action = "update",
+        rolledBackTo,
+        fields = EDITABLE_FIELDS,
+        expectedUpdatedAt,
+    } = {}
+) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    const productUpdates = pickEditableFields(updates, fields);
+    const current = getWorkingCopy(product);
+
+    if (productUpdates.category || productUpdates.subcategory !== undefined) {
+        await assertCategoriesValid(
+            productUpdates.category || current.category,
+            productUpdates.subcategory !== undefined
+                ? productUpdates.subcategory
+                : current.subcategory
+        );
+    }
+
+    if (productUpdates.slug !== undefined) {
+        productUpdates.slug = await resolveProductSlug(
+            productUpdates.name || current.name,
+            productUpdates.slug,
+            product._id
+        );
+    }
+
+    if (productUpdates.sku && productUpdates.sku !== current.sku) {
+        productUpdates.sku = await resolveProductSku(
+            { sku: productUpdates.sku },
+            product._id
+        );
+    }
+
+    const nextIsFixedPrice =
+        productUpdates.isFixedPrice ?? current.isFixedPrice;
+    const priceInputsChanged = PRICE_INPUT_FIELDS.some(
+        (field) =>
+            productUpdates[field] !== undefined &&
+            String(productUpdates[field]) !== String(current[field])
+    );
+
+    if (
+        productUpdates.basePrice === undefined &&
+        !nextIsFixedPrice &&
+        priceInputsChanged
+    ) {
+        Object.assign(
+            productUpdates,
+            await priceFromCurrentRate({ ...current, ...productUpdates })
+        );
+    }
+
+    const before = buildRevisionSnapshot(product);
+
+    // The change and its revision are saved together or not at all
+    await runInTransaction(async (session) => {
+        // Callers that computed the updates from an earlier read pass its
+        // updatedAt; concurrent saves write-conflict, so the retried one
+        // sees the newer timestamp here and fails instead of overwriting
+        if (expectedUpdatedAt) {
+            const unchanged = await Product.exists({
+                _id: product._id,
+                updatedAt: expectedUpdatedAt,
+            }).session(session);
+
+            if (!unchanged) {
+                throw new Error(CONCURRENT_EDIT_ERROR);
+            }
+        }
+
+        if (product.status === "published") {
+            // Variants follow the live product; publishing reprices them
+            await stageDraft(
+                product,
+                productUpdates,
+                updatedByAdminId,
+                session
+            );
+        } else {
+            product.set(productUpdates);
+            await product.save({ session });
+
+            if (priceInputsChanged) {
+                await repriceVariants(product, session);
+            }
+        }
+
+        await recordRevision(
+            product._id,
+            {
+                action,
+                before,
+                after: buildRevisionSnapshot(product),
+                adminId: updatedByAdminId,
+                rolledBackTo,
+            },
+            session
+        );
+    });
+
+    logger.info(
+        `Product ${product.status === "published" ? "draft " : ""}updated: ${
+            product.sku
+        } (${product._id}) by admin: ${updatedByAdminId}`
+    );
+
+    return getProductById(product._id);
+}
+
+// Goes through the normal edit path, so a published product stages the
+// change as a draft and every toggle gets a revision
+async function setProductActive(productId, isActive, updatedByAdminId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    if (product.isActive === isActive) {
+        throw new Error(
+            `Product is already ${isActive ? "active" : "inactive"}`
+        );
+    }
+
+    const before = buildRevisionSnapshot(product);
+
+    // Applied to the live document, not staged: taking a product offline
+    // can't wait for a publish. A staged isActive would undo it on publish.
+    await runInTransaction(async (session) => {
+        product.isActive = isActive;
+
+        if (product.draft && "isActive" in product.draft) {
+            const draft = { ...product.draft };
+            delete draft.isActive;
+            product.draft = Object.keys(draft).length > 0 ? draft : undefined;
+            if (!product.draft) {
+                product.draftUpdatedAt = undefined;
+                product.draftUpdatedBy = undefined;
+            }
+        }
+
+        await product.save({ session });
+
+        await recordRevision(
+            product._id,
+            {
+                action: "update",
+                before,
+                after: buildRevisionSnapshot(product),
+                adminId: updatedByAdminId,
+            },
+            session
+        );
+    });
+
+    logger.info(
+        `Product ${isActive ? "activated" : "deactivated"}: ${
+            product.sku
+        } by admin: ${updatedByAdminId}`
+    );
+
+    return getProductById(product._id);
+}
+
+async function deleteProduct(productId, deletedByAdminId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+        throw new Error("Product not found");
+    }
+
+    const stockedInventory = await Inventory.exists({
+        product: product._id,
+        stockQuantity: { $gt: 0 },
+    });
+
+    if (stockedInventory) {
+        throw new Error(
+            "Product still has stock in inventory. Clear or deactivate it instead"
+        );
+    }
+
+    // Revision snapshots are the last references to replaced images
+    const revisions = await ProductRevision.find({ product: product._id })
+        .select("snapshot.live.images.publicId snapshot.draft.images.publicId")
+        .lean();
+    const imageIds = [
+        ...new Set(
+            [
+                product,
+                product.draft,
+                ...revisions.flatMap(({ snapshot }) => [
+                    snapshot?.live,
+                    snapshot?.draft,
+                ]),
+            ]
+                .flatMap((source) => source?.images || [])
+                .map((image) => image.publicId)
+                .filter(Boolean)
+        ),
+    ];
+
+    await runInTransaction(async (session) => {
+        await ProductVariant.deleteMany({ product: product._id }).session(
+            session
+        );
+        await Inventory.deleteMany({ product: product._id }).session(session);
+        await ProductRevision.deleteMany({ product: product._id }).session(
+            session
+        );
+        await product.deleteOne({ session });
+    });
+
+    if (imageIds.length > 0) {
+        try {
+            const { failed } = await deleteMultipleImages(imageIds);
+            if (failed.length > 0) {
+                logger.warn(
+                    `Could not delete ${failed.length} Cloudinary image(s) of product ${product.sku}: ${failed.join(", ")}`
+                );
+            }
+        } catch (error) {
+            logger.error("Error deleting product images:", error.message);
+        }
+    }
+
+    logger.info(
+        `Product deleted: ${product.sku} (${product._id}) by admin: ${deletedByAdminId}`
+    );
+
+    return { data: { message: "Product deleted successfully" } };
+}
+
+// Validates the merged result, then keeps only values that differ from live
+async function stageDraft(product, updates, adminId, session = null) {
+    const draft = { ...(product.draft || {}), ...updates };
+
+    const preview = Product.hydrate(product.toObject());
+    preview.set(draft);
+    await preview.validate();
+
+    const previewValues = preview.toObject({ depopulate: true });
+    const liveValues = product.toObject({ depopulate: true });
+    const changedFields = Object.keys(draft).filter(
+        (field) =>
+            JSON.stringify(previewValues[field]) !==
+            JSON.stringify(liveValues[field])
+    );
+
+    if (changedFields.length > 0) {
+        product.draft = Object.fromEntries(
+            changedFields.map((field) => [field, previewValues[field]])
+        );
+        product.draftUpdatedAt = new Date();
+        product.draftUpdatedBy = adminId;
+    } else {
+        product.draft = undefined;
+        product.draftUpdatedAt = undefined;
+        product.draftUpdatedBy = undefined;
+    }
+
+    await product.save({ session });
+}
+
+// Editable content as editors see it: live values overlaid with the draft
+function getWorkingCopy(product) {
+    return {
+        ...pickEditableFields(
+            product.toObject({ depopulate: true }),
+            CONTENT_FIELDS
+        ),
+        ...(product.draft || {}),
+    };
+}
+
+function buildRevisionSnapshot(product) {
+    return {
+        status: product.status,
+        live: pickEditableFields(
+            product.toObject({ depopulate: true }),
+            CONTENT_FIELDS
+        ),
+        draft: product.draft || null,
+    };
+}
+
+async function assertCategoriesValid(categoryId, subcategoryId) {
+    if (!categoryId) {
+        return;
+    }
+
+    const [category, subcategory] = await Promise.all([
+        Category.findById(categoryId).lean(),
+        subcategoryId ? Category.findById(subcategoryId).lean() : null,
+    ]);
+
+    if (!category) {
+        throw new Error("Invalid category: category not found");
+    }
+
+    if (subcategoryId && !subcategory) {
+        throw new Error("Invalid subcategory: category not found");
+    }
+
+    if (
+        subcategory &&
+        String(subcategory.parentCategory) !== String(category._id)
+    ) {
+        throw new Error(
+            "Invalid subcategory: it does not belong to the selected category"
+        );
+    }
+}
+
+function buildProductFilter(query) {
+    const {
+        category,
+        subcategory,
+        purity,
+        collections,
+        isFeatured,
+        isActive,
+        minPrice,
+        maxPrice,
+        tags,
+        status,
+    } = query;
+
+    const filter = {};
+    if (category) filter.category = toObjectId(category);
+    if (subcategory) filter.subcategory = toObjectId(subcategory);
+    if (purity) filter.purity = { $in: toList(purity) };
+    if (collections) filter.collections = { $in: toList(collections) };
+    if (tags) filter.tags = { $in: toList(tags) };
+    if (status) filter.status = status;
+    if (isFeatured !== undefined) filter.isFeatured = isFeatured === "true";
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.basePrice = {};
+        if (minPrice !== undefined) filter.basePrice.$gte = Number(minPrice);
+        if (maxPrice !== undefined) filter.basePrice.$lte = Number(maxPrice);
+    }
+
+    return filter;
+}
+
+// Accepts "field" or "-field"; defaults to newest first
+function buildSort(sortParam) {
+    if (!sortParam) {
+        return { createdAt: -1 };
+    }
+
+    const direction = sortParam.startsWith("-") ? -1 : 1;
+    const field = sortParam.replace(/^-/, "");
+
+    if (!SORTABLE_FIELDS.includes(field)) {
+        return { createdAt: -1 };
+    }
+
+    return { [field]: direction, _id: 1 };
+}
+
+// Adds the Cloudinary size renditions to live and draft images
+function formatProductImages(product) {
+    const withUrls = (images) =>
+        images?.map((image) => ({
+            ...image,
+            urls: getImageVariants(image.publicId),
+        }));
+
+    return {
+        ...product,
+        images: withUrls(product.images) || [],
+        ...(product.draft?.images && {
+            draft: { ...product.draft, images: withUrls(product.draft.images) },
+        }),
+    };
+}
+
+function pickEditableFields(data, fields = EDITABLE_FIELDS) {
+    return fields.reduce((acc, field) => {
+        if (data[field] !== undefined) {
+            acc[field] = data[field];
+        }
+        return acc;
+    }, {});
+}
+
+// Aggregations do not cast query values, so ids are cast up front
+function toObjectId(value) {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error(`Invalid ID: ${value}`);
+    }
+    return new mongoose.Types.ObjectId(String(value));
+}
+
+function toList(value) {
+    return (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+export {
+    createProduct,
+    listProducts,
+    getProductById,
+    getProductBySlug,
+    updateProduct,
+    setProductActive,
+    deleteProduct,
+    buildProductFilter,
+    stageDraft,
+    buildRevisionSnapshot,
+    getWorkingCopy,
+    formatProductImages,
+    pickEditableFields,
+    CONTENT_FIELDS,
+    PRICE_INPUT_FIELDS,
+    CONCURRENT_EDIT_ERROR,
+};
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One counter per category code, incremented atomically when SKUs are allocated
+const skuSequenceSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, "Category code is required"],
+            unique: true,
+            uppercase: true,
+            trim: true,
+        },
+        lastNumber: {
+            type: Number,
+            default: 0,
+            min: [0, "Sequence number cannot be negative"],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const SkuSequence = mongoose.model("SkuSequence", skuSequenceSchema);
+
+export default SkuSequence;
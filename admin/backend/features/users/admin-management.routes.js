@@ -0,0 +1,33 @@
+import express from "express";
+import * as adminController from "./admin.controller.js";
+import * as twoFactorController from "./two-factor.controller.js";
+import * as sessionController from "./session.controller.js";
+import * as invitationController from "./invitation.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requireSuperAdmin } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+// All admin management routes are super-admin only
+router.use(authMiddleware, requireSuperAdmin());
+
+// Invitations (declared before /:id routes)
+router.post("/invitations", invitationController.invite);
+router.get("/invitations", invitationController.listInvitations);
+router.post("/invitations/:id/resend", invitationController.resendInvitation);
+router.put("/invitations/:id/revoke", invitationController.revokeInvitation);
+
+router.get("/", adminController.listAdmins);
+router.get("/:id", adminController.getAdmin);
+router.put("/:id/role", adminController.updateRole);
+router.put("/:id/deactivate", adminController.deactivate);
+router.put("/:id/reactivate", adminController.reactivate);
+router.put("/:id/unlock", adminController.unlock);
+router.get("/:id/permissions", adminController.getPermissions);
+router.put("/:id/permissions", adminController.updatePermissions);
+router.put("/:id/2fa/reset", twoFactorController.reset);
+router.get("/:id/sessions", sessionController.listAdminSessions);
+router.delete("/:id/sessions", sessionController.revokeAdminSessions);
+router.delete("/:id/sessions/:sessionId", sessionController.revokeAdminSession);
+
+export default router;
@@ -1,52 +1,41 @@
 import * as adminService from "./admin.service.js";
+import * as loginThrottleService from "./login-throttle.service.js";
 import apiResponse from "../../shared/utils/response.util.js";
 import logger from "../../shared/utils/logger.util.js";
 import {
     getAccessTokenCookieOptions,
     getRefreshTokenCookieOptions,
+    setAuthCookies,
 } from "../../shared/utils/jwt.util.js";
+import { getClientContext } from "../../shared/utils/request.util.js";
 
-async function register(req, res, next) {
+async function login(req, res, next) {
     try {
-        const { name, email, password, role, phone, avatar } = req.body;
+        const { email, password } = req.body;
 
-        if (!name || !email || !password) {
+        if (!email || !password) {
             return apiResponse.badRequest(
                 res,
-                "Name, email, and password are required"
+                "Email and password are required"
             );
         }
 
-        const createdByAdminId = req.admin._id;
-
-        const { data } = await adminService.registerAdmin(
-            { name, email, password, role, phone, avatar },
-            createdByAdminId
+        const { data } = await adminService.loginAdmin(
+            email,
+            password,
+            getClientContext(req)
         );
 
-        return apiResponse.created(res, "Admin registered successfully", data);
-    } catch (error) {
-        logger.error("Error in register controller:", error.message);
-        if (error.message.includes("already exists")) {
-            return apiResponse.conflict(res, error.message);
-        }
-        next(error);
-    }
-}
-
-async function login(req, res, next) {
-    try {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-            return apiResponse.badRequest(
+        if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+            return apiResponse.success(
                 res,
-                "Email and password are required"
+                data.twoFactorRequired
+                    ? "Two-factor verification required"
+                    : "Two-factor setup required for your role",
+                data
             );
         }
 
-        const { data } = await adminService.loginAdmin(email, password);
-
         res.cookie(
             "accessToken",
             data.accessToken,
@@ -63,6 +52,12 @@ async function login(req, res, next) {
         });
     } catch (error) {
         logger.error("Error in login controller:", error.message);
+        if (error.retryAfter) {
+            res.set("Retry-After", String(error.retryAfter));
+            return error.message.includes("temporarily locked")
+                ? apiResponse.locked(res, error.message)
+                : apiResponse.tooManyRequests(res, error.message);
+        }
         if (
             error.message.includes("Invalid credentials") ||
             error.message.includes("deactivated")
@@ -77,7 +72,7 @@ async function logout(req, res, next) {
     try {
         const adminId = req.admin._id;
 
-        await adminService.logoutAdmin(adminId);
+        await adminService.logoutAdmin(adminId, req.sessionId);
 
         res.clearCookie("accessToken");
         res.clearCookie("refreshToken");
@@ -97,14 +92,13 @@ async function refreshToken(req, res, next) {
             return apiResponse.unauthorized(res, "Refresh token not found");
         }
 
-        const { data } = await adminService.refreshAccessToken(refreshToken);
-
-        res.cookie(
-            "accessToken",
-            data.accessToken,
-            getAccessTokenCookieOptions()
+        const { data } = await adminService.refreshAccessToken(
+            refreshToken,
+            getClientContext(req)
         );
 
+        setAuthCookies(res, data);
+
         return apiResponse.success(res, "Token refreshed successfully");
     } catch (error) {
         logger.error("Error in refreshToken controller:", error.message);
@@ -206,12 +200,254 @@ async function changePassword(req, res, next) {
     }
 }
 
+async function forgotPassword(req, res, next) {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return apiResponse.badRequest(res, "Email is required");
+        }
+
+        await adminService.requestPasswordReset(email.toLowerCase().trim());
+
+        return apiResponse.success(
+            res,
+            "If an account exists for this email, a reset link has been sent"
+        );
+    } catch (error) {
+        logger.error("Error in forgotPassword controller:", error.message);
+        next(error);
+    }
+}
+
+async function resetPassword(req, res, next) {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return apiResponse.badRequest(
+                res,
+                "Reset token and new password are required"
+            );
+        }
+
+        if (newPassword.length < 8) {
+            return apiResponse.badRequest(
+                res,
+                "New password must be at least 8 characters"
+            );
+        }
+
+        const { data } = await adminService.resetPassword(token, newPassword);
+
+        res.clearCookie("accessToken");
+        res.clearCookie("refreshToken");
+
+        return apiResponse.success(
+            res,
+            "Password reset successfully. Please login again",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in resetPassword controller:", error.message);
+        if (
+            error.message.includes("Invalid or expired") ||
+            error.message.includes("deactivated")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function unlock(req, res, next) {
+    try {
+        const { data } = await loginThrottleService.unlockAccount(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Admin account unlocked", data);
+    } catch (error) {
+        logger.error("Error in unlock controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        next(error);
+    }
+}
+
+async function getPermissions(req, res, next) {
+    try {
+        const { data } = await adminService.getEffectivePermissions(
+            req.params.id
+        );
+
+        return apiResponse.success(
+            res,
+            "Admin permissions fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getPermissions controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        next(error);
+    }
+}
+
+async function updatePermissions(req, res, next) {
+    try {
+        const { grant, deny } = req.body;
+
+        const { data } = await adminService.updatePermissionOverrides(
+            req.params.id,
+            { grant, deny },
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Admin permissions updated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in updatePermissions controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        if (error.message.includes("Invalid permissions")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function listAdmins(req, res, next) {
+    try {
+        const { data, pagination, summary } = await adminService.listAdmins(
+            req.query
+        );
+
+        return apiResponse.successWithMeta(
+            res,
+            "Admins fetched successfully",
+            data,
+            { pagination, summary }
+        );
+    } catch (error) {
+        logger.error("Error in listAdmins controller:", error.message);
+        next(error);
+    }
+}
+
+async function getAdmin(req, res, next) {
+    try {
+        const { data } = await adminService.getAdminById(req.params.id);
+
+        return apiResponse.success(res, "Admin fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getAdmin controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        next(error);
+    }
+}
+
+async function updateRole(req, res, next) {
+    try {
+        const { role } = req.body;
+
+        if (!role) {
+            return apiResponse.badRequest(res, "Role is required");
+        }
+
+        const { data } = await adminService.updateAdminRole(
+            req.params.id,
+            role,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Admin role updated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in updateRole controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        if (error.message.includes("Invalid role")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("last active super-admin")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deactivate(req, res, next) {
+    try {
+        const { data } = await adminService.deactivateAdmin(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Admin deactivated successfully", data);
+    } catch (error) {
+        logger.error("Error in deactivate controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        if (
+            error.message.includes("already") ||
+            error.message.includes("last active super-admin")
+        ) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function reactivate(req, res, next) {
+    try {
+        const { data } = await adminService.reactivateAdmin(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Admin reactivated successfully", data);
+    } catch (error) {
+        logger.error("Error in reactivate controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Admin not found");
+        }
+        if (error.message.includes("already")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
 export {
-    register,
     login,
     logout,
     refreshToken,
     getMe,
     updateProfile,
     changePassword,
+    forgotPassword,
+    resetPassword,
+    listAdmins,
+    getAdmin,
+    updateRole,
+    deactivate,
+    reactivate,
+    unlock,
+    getPermissions,
+    updatePermissions,
 };
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
 import bcrypt from "bcryptjs";
 
 const adminSchema = new mongoose.Schema(
@@ -25,14 +26,22 @@ const adminSchema = new mongoose.Schema(
             minlength: [8, "Password must be at least 8 characters"],
             select: false,
         },
+        // Name of a Role document (see role.model.js)
         role: {
             type: String,
-            enum: ["super-admin", "admin", "manager", "staff"],
             default: "staff",
+            trim: true,
+            lowercase: true,
         },
-        permissions: {
-            type: [String],
-            default: [],
+        permissionOverrides: {
+            grant: {
+                type: [String],
+                default: [],
+            },
+            deny: {
+                type: [String],
+                default: [],
+            },
         },
         isActive: {
             type: Boolean,
@@ -52,6 +61,39 @@ const adminSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            secret: {
+                type: String,
+                select: false,
+            },
+            pendingSecret: {
+                type: String,
+                select: false,
+            },
+            recoveryCodes: {
+                type: [String],
+                select: false,
+            },
+            lastUsedStep: {
+                type: Number,
+                select: false,
+            },
+            enabledAt: {
+                type: Date,
+            },
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpiresAt: {
+            type: Date,
+            select: false,
+        },
     },
     {
         timestamps: true,
@@ -74,6 +116,10 @@ adminSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+adminSchema.plugin(auditPlugin, {
+    exclude: ["lastLogin", "twoFactor.lastUsedStep"],
+});
+
 const Admin = mongoose.model("Admin", adminSchema);
 
 export default Admin;
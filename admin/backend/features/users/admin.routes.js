@@ -1,23 +1,37 @@
 import express from "express";
 import * as adminController from "./admin.controller.js";
+import * as twoFactorController from "./two-factor.controller.js";
+import * as sessionController from "./session.controller.js";
+import * as invitationController from "./invitation.controller.js";
 import authMiddleware from "../../shared/middlewares/auth.middleware.js";
-import { requireRole } from "../../shared/middlewares/role.middleware.js";
+import { requireSessionAuth } from "../../shared/middlewares/role.middleware.js";
 
 const router = express.Router();
 
 // Public routes
 router.post("/login", adminController.login);
+router.post("/login/2fa", twoFactorController.verifyLogin);
+router.post("/login/2fa/setup", twoFactorController.loginSetup);
+router.post("/login/2fa/setup/verify", twoFactorController.loginSetupVerify);
 router.post("/refresh-token", adminController.refreshToken);
+router.post("/forgot-password", adminController.forgotPassword);
+router.post("/reset-password", adminController.resetPassword);
+router.get("/invitations/:token", invitationController.getInvitation);
+router.post("/invitations/accept", invitationController.acceptInvitation);
 
 // Protected routes (require authentication)
-router.use(authMiddleware);
+router.use(authMiddleware, requireSessionAuth());
 
 router.post("/logout", adminController.logout);
 router.get("/me", adminController.getMe);
 router.put("/update-profile", adminController.updateProfile);
 router.put("/change-password", adminController.changePassword);
-
-// Super-admin only routes
-router.post("/register", requireRole("super-admin"), adminController.register);
+router.get("/sessions", sessionController.listMySessions);
+router.post("/sessions/revoke-others", sessionController.revokeOtherSessions);
+router.delete("/sessions/:sessionId", sessionController.revokeMySession);
+router.post("/2fa/setup", twoFactorController.setup);
+router.post("/2fa/setup/verify", twoFactorController.verifySetup);
+router.post("/2fa/disable", twoFactorController.disable);
+router.post("/2fa/recovery-codes", twoFactorController.regenerateRecoveryCodes);
 
 export default router;
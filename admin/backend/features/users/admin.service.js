@@ -1,66 +1,45 @@
 import Admin from "./admin.model.js";
+import {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+} from "./session.service.js";
+import {
+    assertLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+} from "./login-throttle.service.js";
+import {
+    assertRoleExists,
+    resolveEffectivePermissions,
+    validatePermissions,
+} from "./role.service.js";
 import logger from "../../shared/utils/logger.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import { escapeRegex } from "../../shared/utils/search.util.js";
+import { sendMail } from "../../shared/utils/mail.util.js";
+import {
+    generateSecureToken,
+    hashToken,
+} from "../../shared/utils/token.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
 import {
     generateAccessToken,
-    generateRefreshToken,
     verifyRefreshToken,
+    generateTwoFactorChallengeToken,
 } from "../../shared/utils/jwt.util.js";
 
-// Permission definitions per role
-const ROLE_PERMISSIONS = {
-    "super-admin": ["*"],
-    admin: [
-        "products.*",
-        "orders.*",
-        "users.view",
-        "users.edit",
-        "coupons.*",
-        "categories.*",
-    ],
-    manager: [
-        "products.view",
-        "products.edit",
-        "orders.view",
-        "orders.edit",
-        "categories.view",
-    ],
-    staff: ["products.view", "orders.view"],
-};
-
-async function registerAdmin(data, createdByAdminId) {
-    const { name, email, password, role = "staff", phone, avatar } = data;
-
-    const existingAdmin = await Admin.findOne({ email });
-    if (existingAdmin) {
-        throw new Error("Admin with this email already exists");
-    }
-
-    const permissions = ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.staff;
-
-    const admin = await Admin.create({
-        name,
-        email,
-        password,
-        role,
-        permissions,
-        phone,
-        avatar,
-    });
-
-    logger.info(
-        `New admin registered: ${email} with role: ${role} by admin: ${createdByAdminId}`
-    );
-
-    const adminData = admin.toObject();
-    delete adminData.password;
-
-    return { data: adminData };
-}
+async function loginAdmin(email, password, context) {
+    await assertLoginAllowed(email, context?.ipAddress);
 
-async function loginAdmin(email, password) {
     const admin = await Admin.findOne({ email }).select("+password");
 
     if (!admin) {
+        await recordFailedLogin(email, context?.ipAddress);
         throw new Error("Invalid credentials");
     }
 
@@ -71,18 +50,41 @@ async function loginAdmin(email, password) {
     const isPasswordValid = await admin.comparePassword(password);
 
     if (!isPasswordValid) {
+        await recordFailedLogin(email, context?.ipAddress);
         throw new Error("Invalid credentials");
     }
 
+    // Tokens are only issued once the second factor is verified
+    if (admin.twoFactor?.enabled || isTwoFactorEnforced(admin.role)) {
+        const purpose = admin.twoFactor?.enabled ? "login" : "setup";
+
+        logger.info(
+            `Two-factor ${purpose} challenge issued for admin: ${email}`
+        );
+
+        return {
+            data: {
+                twoFactorRequired: purpose === "login",
+                twoFactorSetupRequired: purpose === "setup",
+                challengeToken: generateTwoFactorChallengeToken(admin, purpose),
+            },
+        };
+    }
+
+    await clearFailedLogins(email);
+
+    return completeLogin(admin, context);
+}
+
+async function completeLogin(admin, context) {
     await updateLastLogin(admin._id);
 
-    const accessToken = generateAccessToken(admin);
-    const refreshToken = generateRefreshToken(admin);
+    const { session, refreshToken } = await createSession(admin, context);
+    const accessToken = generateAccessToken(admin, session._id);
 
-    const adminData = admin.toObject();
-    delete adminData.password;
+    const adminData = toSafeAdmin(admin);
 
-    logger.info(`Admin logged in: ${email}`);
+    logger.info(`Admin logged in: ${admin.email}`);
 
     return {
         data: {
@@ -93,7 +95,7 @@ async function loginAdmin(email, password) {
     };
 }
 
-async function refreshAccessToken(refreshToken) {
+async function refreshAccessToken(refreshToken, context) {
     const decoded = verifyRefreshToken(refreshToken);
 
     const admin = await Admin.findById(decoded.adminId);
@@ -110,23 +112,29 @@ async function refreshAccessToken(refreshToken) {
         throw new Error("Invalid refresh token");
     }
 
-    const newAccessToken = generateAccessToken(admin);
+    let rotated;
+    try {
+        rotated = await rotateRefreshToken(admin, decoded, context);
+    } catch (error) {
+        throw new Error("Invalid refresh token");
+    }
 
-    logger.info(`Access token refreshed for admin: ${admin.email}`);
+    const newAccessToken = generateAccessToken(admin, rotated.session._id);
+
+    logger.info(`Tokens rotated for admin: ${admin.email}`);
 
     return {
         data: {
             accessToken: newAccessToken,
+            refreshToken: rotated.refreshToken,
         },
     };
 }
 
-async function logoutAdmin(adminId) {
-    await Admin.findByIdAndUpdate(adminId, {
-        $inc: { tokenVersion: 1 },
-    });
+async function logoutAdmin(adminId, sessionId) {
+    await revokeSession(adminId, sessionId, adminId, "logout");
 
-    logger.info(`Admin logged out: ${adminId}`);
+    logger.info(`Admin logged out: ${adminId} (session: ${sessionId})`);
 
     return { data: { message: "Logged out successfully" } };
 }
@@ -140,6 +148,7 @@ async function getAdminProfile(adminId) {
 
     const adminData = admin.toObject();
     delete adminData.password;
+    adminData.effectivePermissions = await resolveEffectivePermissions(admin);
 
     return { data: adminData };
 }
@@ -188,46 +197,320 @@ async function changePassword(adminId, oldPassword, newPassword) {
     await Admin.findByIdAndUpdate(adminId, {
         $inc: { tokenVersion: 1 },
     });
+    await revokeAllSessions(adminId, adminId, "password-changed");
 
     logger.info(`Password changed for admin: ${admin.email}`);
 
     return { data: { message: "Password changed successfully" } };
 }
 
-async function updateLastLogin(adminId) {
-    await Admin.findByIdAndUpdate(adminId, {
-        lastLogin: new Date(),
+async function requestPasswordReset(email) {
+    const admin = await Admin.findOne({ email });
+
+    // Respond identically for unknown or inactive accounts to avoid enumeration
+    if (!admin || !admin.isActive) {
+        logger.info(
+            `Password reset requested for unknown/inactive email: ${email}`
+        );
+        return { data: null };
+    }
+
+    const resetToken = generateSecureToken();
+    const expiresInMinutes =
+        parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+    await Admin.findByIdAndUpdate(admin._id, {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpiresAt: new Date(
+            Date.now() + expiresInMinutes * 60 * 1000
+        ),
     });
+
+    const baseUrl = process.env.ADMIN_PANEL_URL || process.env.CORS_ORIGIN;
+    const resetUrl = `${baseUrl}/reset-password?token=${resetToken}`;
+
+    await sendMail({
+        to: admin.email,
+        subject: "Reset your Sana Silver admin password",
+        text: `Hi ${admin.name},\n\nUse the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+
+    logger.info(`Password reset email sent to admin: ${admin.email}`);
+
+    return { data: null };
 }
 
-function getRolePermissions(role) {
-    return ROLE_PERMISSIONS[role] || [];
+async function resetPassword(resetToken, newPassword) {
+    // Clearing the hash in the same query makes the token single-use
+    const admin = await Admin.findOneAndUpdate(
+        {
+            passwordResetTokenHash: hashToken(resetToken),
+            passwordResetExpiresAt: { $gt: new Date() },
+        },
+        {
+            $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 },
+        },
+        { new: true }
+    ).select("+password");
+
+    if (!admin) {
+        throw new Error("Invalid or expired reset token");
+    }
+
+    if (!admin.isActive) {
+        throw new Error("Account is deactivated");
+    }
+
+    admin.password = newPassword;
+    admin.tokenVersion += 1;
+    await admin.save();
+    await revokeAllSessions(admin._id, admin._id, "password-reset");
+
+    logger.info(`Password reset completed for admin: ${admin.email}`);
+
+    return { data: { message: "Password reset successfully" } };
 }
 
-function hasPermission(adminPermissions, requiredPermission) {
-    if (adminPermissions.includes("*")) {
-        return true;
+async function listAdmins(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const { role, isActive, search } = query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), "i");
+        filter.$or = [{ name: pattern }, { email: pattern }];
     }
 
-    if (adminPermissions.includes(requiredPermission)) {
-        return true;
+    const [admins, total, roleCounts] = await Promise.all([
+        Admin.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Admin.countDocuments(filter),
+        Admin.aggregate([
+            { $match: filter },
+            { $group: { _id: "$role", count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const summary = {
+        byRole: roleCounts.reduce((acc, { _id, count }) => {
+            acc[_id] = count;
+            return acc;
+        }, {}),
+    };
+
+    return {
+        data: admins,
+        pagination: buildPagination(page, limit, total),
+        summary,
+    };
+}
+
+async function getAdminById(adminId) {
+    const admin = await Admin.findById(adminId).lean();
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    return { data: admin };
+}
+
+async function updateAdminRole(adminId, role, updatedByAdminId) {
+    await assertRoleExists(role);
+
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+        throw new Error("Admin not found");
     }
 
-    const [resource, action] = requiredPermission.split(".");
-    const wildcardPermission = `${resource}.*`;
+    await runInTransaction(async (session) => {
+        if (admin.role === "super-admin" && role !== "super-admin") {
+            await ensureNotLastSuperAdmin(admin, session);
+        }
+
+        admin.role = role;
+        await admin.save({ session });
+    });
+
+    logger.info(
+        `Admin role updated: ${admin.email} to role: ${role} by admin: ${updatedByAdminId}`
+    );
+
+    return { data: admin.toObject() };
+}
+
+async function deactivateAdmin(adminId, deactivatedByAdminId) {
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    if (!admin.isActive) {
+        throw new Error("Admin is already deactivated");
+    }
+
+    await runInTransaction(async (session) => {
+        if (admin.role === "super-admin") {
+            await ensureNotLastSuperAdmin(admin, session);
+        }
+
+        admin.isActive = false;
+        admin.tokenVersion += 1;
+        await admin.save({ session });
+    });
+    await revokeAllSessions(admin._id, deactivatedByAdminId, "deactivated");
+
+    logger.info(
+        `Admin deactivated: ${admin.email} by admin: ${deactivatedByAdminId}`
+    );
+
+    return { data: admin.toObject() };
+}
+
+async function reactivateAdmin(adminId, reactivatedByAdminId) {
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    if (admin.isActive) {
+        throw new Error("Admin is already active");
+    }
+
+    admin.isActive = true;
+    admin.tokenVersion += 1;
+    await admin.save();
+
+    logger.info(
+        `Admin reactivated: ${admin.email} by admin: ${reactivatedByAdminId}`
+    );
+
+    return { data: admin.toObject() };
+}
+
+async function updatePermissionOverrides(adminId, overrides, updatedByAdminId) {
+    const grant = overrides.grant || [];
+    const deny = overrides.deny || [];
+
+    validatePermissions(grant);
+    validatePermissions(deny);
+
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    admin.permissionOverrides = {
+        grant: [...new Set(grant)],
+        deny: [...new Set(deny)],
+    };
+    await admin.save();
+
+    logger.info(
+        `Permission overrides updated for admin: ${admin.email} by admin: ${updatedByAdminId}`
+    );
+
+    return getEffectivePermissions(adminId);
+}
+
+async function getEffectivePermissions(adminId) {
+    const admin = await Admin.findById(adminId).lean();
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    const effectivePermissions = await resolveEffectivePermissions(admin);
+
+    return {
+        data: {
+            role: admin.role,
+            overrides: admin.permissionOverrides,
+            effectivePermissions,
+        },
+    };
+}
+
+// Guards against locking everyone out of super-admin only routes. Counts by
+// writing to the other super-admins, so two concurrent demotions conflict and
+// the retried one sees the first; the raw driver call skips audit logging.
+async function ensureNotLastSuperAdmin(admin, session) {
+    const { matchedCount } = await Admin.collection.updateMany(
+        {
+            _id: { $ne: admin._id },
+            role: "super-admin",
+            isActive: true,
+        },
+        { $currentDate: { updatedAt: true } },
+        { session }
+    );
+
+    if (matchedCount === 0) {
+        throw new Error(
+            "Cannot demote or deactivate the last active super-admin"
+        );
+    }
+}
+
+async function updateLastLogin(adminId) {
+    await Admin.findByIdAndUpdate(adminId, {
+        lastLogin: new Date(),
+    });
+}
+
+// Strips credentials that may have been explicitly selected on the document
+function toSafeAdmin(admin) {
+    const adminData = admin.toObject();
+    delete adminData.password;
+    delete adminData.passwordResetTokenHash;
+    delete adminData.passwordResetExpiresAt;
+
+    if (adminData.twoFactor) {
+        delete adminData.twoFactor.secret;
+        delete adminData.twoFactor.pendingSecret;
+        delete adminData.twoFactor.recoveryCodes;
+        delete adminData.twoFactor.lastUsedStep;
+    }
+
+    return adminData;
+}
+
+function isTwoFactorEnforced(role) {
+    const requiredRoles = (
+        process.env.TWO_FACTOR_REQUIRED_ROLES ?? "super-admin,admin"
+    )
+        .split(",")
+        .map((requiredRole) => requiredRole.trim())
+        .filter(Boolean);
 
-    return adminPermissions.includes(wildcardPermission);
+    return requiredRoles.includes(role);
 }
 
 export {
-    registerAdmin,
     loginAdmin,
+    completeLogin,
     refreshAccessToken,
     logoutAdmin,
     getAdminProfile,
     updateAdminProfile,
     changePassword,
-    getRolePermissions,
-    hasPermission,
-    ROLE_PERMISSIONS,
+    requestPasswordReset,
+    resetPassword,
+    listAdmins,
+    getAdminById,
+    updateAdminRole,
+    deactivateAdmin,
+    reactivateAdmin,
+    updatePermissionOverrides,
+    getEffectivePermissions,
+    isTwoFactorEnforced,
 };
@@ -0,0 +1,85 @@
+import * as apiKeyService from "./api-key.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function createApiKey(req, res, next) {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+
+        if (!name || !Array.isArray(scopes)) {
+            return apiResponse.badRequest(
+                res,
+                "Name and scopes (array of permissions) are required"
+            );
+        }
+
+        const { data } = await apiKeyService.createApiKey(
+            { name, scopes, expiresAt },
+            req.admin._id
+        );
+
+        return apiResponse.created(
+            res,
+            "API key created. Copy it now - it will not be shown again",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in createApiKey controller:", error.message);
+        if (error.message.includes("Invalid")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function listApiKeys(req, res, next) {
+    try {
+        const { data, pagination } = await apiKeyService.listApiKeys(req.query);
+
+        return apiResponse.successWithPagination(
+            res,
+            "API keys fetched successfully",
+            data,
+            pagination
+        );
+    } catch (error) {
+        logger.error("Error in listApiKeys controller:", error.message);
+        next(error);
+    }
+}
+
+async function getApiKey(req, res, next) {
+    try {
+        const { data } = await apiKeyService.getApiKeyById(req.params.id);
+
+        return apiResponse.success(res, "API key fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getApiKey controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "API key not found");
+        }
+        next(error);
+    }
+}
+
+async function revokeApiKey(req, res, next) {
+    try {
+        const { data } = await apiKeyService.revokeApiKey(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "API key revoked successfully", data);
+    } catch (error) {
+        logger.error("Error in revokeApiKey controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "API key not found");
+        }
+        if (error.message.includes("already revoked")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export { createApiKey, listApiKeys, getApiKey, revokeApiKey };
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+const apiKeySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "API key name is required"],
+            trim: true,
+        },
+        // First characters of the key, shown in listings to identify it
+        prefix: {
+            type: String,
+            required: true,
+        },
+        keyHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        scopes: {
+            type: [String],
+            required: [true, "At least one scope is required"],
+            validate: {
+                validator: function (array) {
+                    return array.length > 0;
+                },
+                message: "API key must have at least one scope",
+            },
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        lastUsedAt: {
+            type: Date,
+        },
+        lastUsedIp: {
+            type: String,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for faster queries
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+apiKeySchema.plugin(auditPlugin, {
+    exclude: ["keyHash", "lastUsedAt", "lastUsedIp"],
+});
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,16 @@
+import express from "express";
+import * as apiKeyController from "./api-key.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requireSuperAdmin } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+// API key management is super-admin only
+router.use(authMiddleware, requireSuperAdmin());
+
+router.post("/", apiKeyController.createApiKey);
+router.get("/", apiKeyController.listApiKeys);
+router.get("/:id", apiKeyController.getApiKey);
+router.put("/:id/revoke", apiKeyController.revokeApiKey);
+
+export default router;
@@ -0,0 +1,167 @@
+import ApiKey from "./api-key.model.js";
+import Admin from "./admin.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { validatePermissions } from "./role.service.js";
+import {
+    generateSecureToken,
+    hashToken,
+} from "../../shared/utils/token.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+const API_KEY_PREFIX = "ssk_";
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+async function createApiKey(data, createdByAdminId) {
+    const { name, scopes = [], expiresAt } = data;
+
+    validatePermissions(scopes);
+
+    if (scopes.length === 0) {
+        throw new Error("Invalid scopes: at least one scope is required");
+    }
+
+    if (scopes.includes("*")) {
+        throw new Error("Invalid scopes: API keys must list explicit scopes");
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new Error("Invalid expiry: must be in the future");
+    }
+
+    const key = `${API_KEY_PREFIX}${generateSecureToken(24)}`;
+
+    const apiKey = await ApiKey.create({
+        name,
+        prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+        keyHash: hashToken(key),
+        scopes: [...new Set(scopes)],
+        createdBy: createdByAdminId,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    logger.info(
+        `API key created: ${apiKey.name} (${apiKey.prefix}) by admin: ${createdByAdminId}`
+    );
+
+    const apiKeyData = apiKey.toObject();
+    delete apiKeyData.keyHash;
+
+    // The raw key is only ever returned here
+    return { data: { ...apiKeyData, key } };
+}
+
+async function listApiKeys(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const { status } = query;
+    const now = new Date();
+
+    const filter = {};
+    if (status === "active") {
+        filter.revokedAt = null;
+        filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === "revoked") {
+        filter.revokedAt = { $ne: null };
+    } else if (status === "expired") {
+        filter.revokedAt = null;
+        filter.expiresAt = { $lte: now };
+    }
+
+    const [apiKeys, total] = await Promise.all([
+        ApiKey.find(filter)
+            .populate("createdBy", "name email")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        ApiKey.countDocuments(filter),
+    ]);
+
+    return {
+        data: apiKeys,
+        pagination: buildPagination(page, limit, total),
+    };
+}
+
+async function getApiKeyById(apiKeyId) {
+    const apiKey = await ApiKey.findById(apiKeyId)
+        .populate("createdBy", "name email")
+        .lean();
+
+    if (!apiKey) {
+        throw new Error("API key not found");
+    }
+
+    return { data: apiKey };
+}
+
+async function revokeApiKey(apiKeyId, revokedByAdminId) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: apiKeyId, revokedAt: null },
+        { revokedAt: new Date(), revokedBy: revokedByAdminId },
+        { new: true }
+    ).lean();
+
+    if (!apiKey) {
+        const exists = await ApiKey.exists({ _id: apiKeyId });
+        throw new Error(
+            exists ? "API key is already revoked" : "API key not found"
+        );
+    }
+
+    logger.info(
+        `API key revoked: ${apiKey.name} (${apiKey.prefix}) by admin: ${revokedByAdminId}`
+    );
+
+    return { data: apiKey };
+}
+
+async function authenticateApiKey(key, ipAddress) {
+    if (!key || !key.startsWith(API_KEY_PREFIX)) {
+        throw new Error("Invalid API key");
+    }
+
+    const apiKey = await ApiKey.findOne({
+        keyHash: hashToken(key),
+        revokedAt: null,
+    }).lean();
+
+    if (!apiKey) {
+        throw new Error("Invalid API key");
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+        throw new Error("API key has expired");
+    }
+
+    // Keys act on behalf of the admin who created them
+    const owner = await Admin.findById(apiKey.createdBy);
+
+    if (!owner || !owner.isActive) {
+        throw new Error("API key owner is no longer active");
+    }
+
+    const isStale =
+        !apiKey.lastUsedAt ||
+        Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS;
+
+    if (isStale || apiKey.lastUsedIp !== ipAddress) {
+        await ApiKey.updateOne(
+            { _id: apiKey._id },
+            { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+        );
+    }
+
+    return { apiKey, owner };
+}
+
+export {
+    createApiKey,
+    listApiKeys,
+    getApiKeyById,
+    revokeApiKey,
+    authenticateApiKey,
+    API_KEY_PREFIX,
+};
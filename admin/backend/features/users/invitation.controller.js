@@ -0,0 +1,167 @@
+import * as invitationService from "./invitation.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function invite(req, res, next) {
+    try {
+        const { email, name, role } = req.body;
+
+        if (!email) {
+            return apiResponse.badRequest(res, "Email is required");
+        }
+
+        const { data } = await invitationService.createInvitation(
+            { email: email.toLowerCase().trim(), name, role },
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Invitation sent successfully", data);
+    } catch (error) {
+        logger.error("Error in invite controller:", error.message);
+        if (
+            error.message.includes("already exists") ||
+            error.message.includes("pending invitation")
+        ) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (error.message.includes("Invalid role")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function listInvitations(req, res, next) {
+    try {
+        const { data, pagination } = await invitationService.listInvitations(
+            req.query
+        );
+
+        return apiResponse.successWithPagination(
+            res,
+            "Invitations fetched successfully",
+            data,
+            pagination
+        );
+    } catch (error) {
+        logger.error("Error in listInvitations controller:", error.message);
+        next(error);
+    }
+}
+
+async function resendInvitation(req, res, next) {
+    try {
+        const { data } = await invitationService.resendInvitation(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Invitation resent successfully", data);
+    } catch (error) {
+        logger.error("Error in resendInvitation controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Invitation not found");
+        }
+        if (error.message.includes("already")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function revokeInvitation(req, res, next) {
+    try {
+        const { data } = await invitationService.revokeInvitation(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Invitation revoked successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in revokeInvitation controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Invitation not found");
+        }
+        if (error.message.includes("no longer pending")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function getInvitation(req, res, next) {
+    try {
+        const { data } = await invitationService.getInvitationByToken(
+            req.params.token
+        );
+
+        return apiResponse.success(
+            res,
+            "Invitation fetched successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in getInvitation controller:", error.message);
+        if (error.message.includes("Invalid or expired")) {
+            return apiResponse.notFound(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function acceptInvitation(req, res, next) {
+    try {
+        const { token, name, password, phone } = req.body;
+
+        if (!token || !password) {
+            return apiResponse.badRequest(
+                res,
+                "Invitation token and password are required"
+            );
+        }
+
+        if (password.length < 8) {
+            return apiResponse.badRequest(
+                res,
+                "Password must be at least 8 characters"
+            );
+        }
+
+        const { data } = await invitationService.acceptInvitation(token, {
+            name,
+            password,
+            phone,
+        });
+
+        return apiResponse.created(
+            res,
+            "Invitation accepted. You can now login",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in acceptInvitation controller:", error.message);
+        if (
+            error.message.includes("Invalid or expired") ||
+            error.message.includes("Invalid role")
+        ) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    invite,
+    listInvitations,
+    resendInvitation,
+    revokeInvitation,
+    getInvitation,
+    acceptInvitation,
+};
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+const invitationSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, "Email is required"],
+            lowercase: true,
+            trim: true,
+            match: [
+                /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+                "Please provide a valid email",
+            ],
+        },
+        name: {
+            type: String,
+            trim: true,
+        },
+        role: {
+            type: String,
+            required: [true, "Role is required"],
+            lowercase: true,
+            trim: true,
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "accepted", "revoked"],
+            default: "pending",
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, "Invitation expiry is required"],
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: true,
+        },
+        lastSentAt: {
+            type: Date,
+        },
+        sendCount: {
+            type: Number,
+            default: 0,
+        },
+        acceptedAt: {
+            type: Date,
+        },
+        acceptedAdmin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+        revokedAt: {
+            type: Date,
+        },
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for faster queries
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ status: 1, expiresAt: 1 });
+
+invitationSchema.plugin(auditPlugin, { exclude: ["tokenHash"] });
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
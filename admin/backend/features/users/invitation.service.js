@@ -0,0 +1,262 @@
+import Admin from "./admin.model.js";
+import Invitation from "./invitation.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { assertRoleExists } from "./role.service.js";
+import { sendMail } from "../../shared/utils/mail.util.js";
+import { runInTransaction } from "../../shared/utils/transaction.util.js";
+import {
+    generateSecureToken,
+    hashToken,
+} from "../../shared/utils/token.util.js";
+import {
+    getPaginationParams,
+    buildPagination,
+} from "../../shared/utils/pagination.util.js";
+
+async function createInvitation(data, invitedByAdminId) {
+    const { email, name, role = "staff" } = data;
+
+    const [existingAdmin, pendingInvitation] = await Promise.all([
+        Admin.exists({ email }),
+        Invitation.exists({
+            email,
+            status: "pending",
+            expiresAt: { $gt: new Date() },
+        }),
+    ]);
+
+    if (existingAdmin) {
+        throw new Error("Admin with this email already exists");
+    }
+
+    if (pendingInvitation) {
+        throw new Error(
+            "A pending invitation already exists for this email. Resend it instead"
+        );
+    }
+
+    await assertRoleExists(role);
+
+    const token = generateSecureToken();
+
+    const invitation = await Invitation.create({
+        email,
+        name,
+        role,
+        tokenHash: hashToken(token),
+        expiresAt: getInvitationExpiry(),
+        invitedBy: invitedByAdminId,
+    });
+
+    await deliverInvitation(invitation, token);
+
+    logger.info(
+        `Admin invitation created for: ${email} with role: ${role} by admin: ${invitedByAdminId}`
+    );
+
+    return { data: toInvitationData(invitation.toObject()) };
+}
+
+async function listInvitations(query) {
+    const { page, limit, skip } = getPaginationParams(query);
+    const { status, email } = query;
+    const now = new Date();
+
+    const filter = {};
+    if (email) filter.email = email.toLowerCase().trim();
+
+    // "expired" is derived: pending invitations past their expiry
+    if (status === "expired") {
+        filter.status = "pending";
+        filter.expiresAt = { $lte: now };
+    } else if (status === "pending") {
+        filter.status = "pending";
+        filter.expiresAt = { $gt: now };
+    } else if (status) {
+        filter.status = status;
+    }
+
+    const [invitations, total] = await Promise.all([
+        Invitation.find(filter)
+            .populate("invitedBy", "name email")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Invitation.countDocuments(filter),
+    ]);
+
+    return {
+        data: invitations.map(toInvitationData),
+        pagination: buildPagination(page, limit, total),
+    };
+}
+
+async function resendInvitation(invitationId, resentByAdminId) {
+    const invitation = await Invitation.findById(invitationId);
+
+    if (!invitation) {
+        throw new Error("Invitation not found");
+    }
+
+    if (invitation.status !== "pending") {
+        throw new Error(`Invitation is already ${invitation.status}`);
+    }
+
+    // A fresh token invalidates the link from any earlier email
+    const token = generateSecureToken();
+    invitation.tokenHash = hashToken(token);
+    invitation.expiresAt = getInvitationExpiry();
+    await invitation.save();
+
+    await deliverInvitation(invitation, token);
+
+    logger.info(
+        `Admin invitation resent to: ${invitation.email} by admin: ${resentByAdminId}`
+    );
+
+    return { data: toInvitationData(invitation.toObject()) };
+}
+
+async function revokeInvitation(invitationId, revokedByAdminId) {
+    const invitation = await Invitation.findOneAndUpdate(
+        { _id: invitationId, status: "pending" },
+        {
+            status: "revoked",
+            revokedAt: new Date(),
+            revokedBy: revokedByAdminId,
+        },
+        { new: true }
+    ).lean();
+
+    if (!invitation) {
+        const exists = await Invitation.exists({ _id: invitationId });
+        throw new Error(
+            exists ? "Invitation is no longer pending" : "Invitation not found"
+        );
+    }
+
+    logger.info(
+        `Admin invitation revoked for: ${invitation.email} by admin: ${revokedByAdminId}`
+    );
+
+    return { data: toInvitationData(invitation) };
+}
+
+async function getInvitationByToken(token) {
+    const invitation = await Invitation.findOne({
+        tokenHash: hashToken(token),
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+    }).lean();
+
+    if (!invitation) {
+        throw new Error("Invalid or expired invitation");
+    }
+
+    return {
+        data: {
+            email: invitation.email,
+            name: invitation.name,
+            role: invitation.role,
+            expiresAt: invitation.expiresAt,
+        },
+    };
+}
+
+async function acceptInvitation(token, data) {
+    const { name, password, phone } = data;
+
+    const admin = await runInTransaction(async (session) => {
+        // Claiming inside the transaction keeps the token single-use
+        const invitation = await Invitation.findOneAndUpdate(
+            {
+                tokenHash: hashToken(token),
+                status: "pending",
+                expiresAt: { $gt: new Date() },
+            },
+            { status: "accepted", acceptedAt: new Date() },
+            { new: true, session }
+        );
+
+        if (!invitation) {
+            throw new Error("Invalid or expired invitation");
+        }
+
+        const existingAdmin = await Admin.exists({
+            email: invitation.email,
+        }).session(session);
+        if (existingAdmin) {
+            throw new Error("Admin with this email already exists");
+        }
+
+        await assertRoleExists(invitation.role);
+
+        const [admin] = await Admin.create(
+            [
+                {
+                    name: name || invitation.name,
+                    email: invitation.email,
+                    password,
+                    role: invitation.role,
+                    phone,
+                },
+            ],
+            { session }
+        );
+
+        invitation.acceptedAdmin = admin._id;
+        await invitation.save({ session });
+
+        return admin;
+    });
+
+    logger.info(
+        `Admin invitation accepted: ${admin.email} with role: ${admin.role}`
+    );
+
+    const adminData = admin.toObject();
+    delete adminData.password;
+
+    return { data: adminData };
+}
+
+async function deliverInvitation(invitation, token) {
+    const baseUrl = process.env.ADMIN_PANEL_URL || process.env.CORS_ORIGIN;
+    const acceptUrl = `${baseUrl}/accept-invitation?token=${token}`;
+
+    await sendMail({
+        to: invitation.email,
+        subject: "You're invited to the Sana Silver admin panel",
+        text: `Hi${invitation.name ? ` ${invitation.name}` : ""},\n\nYou have been invited to join the Sana Silver admin panel as ${invitation.role}. Use the link below to set your password and activate your account. The link expires on ${invitation.expiresAt.toISOString()} and can only be used once.\n\n${acceptUrl}`,
+    });
+
+    await Invitation.updateOne(
+        { _id: invitation._id },
+        { lastSentAt: new Date(), $inc: { sendCount: 1 } }
+    );
+}
+
+function getInvitationExpiry() {
+    const expiresInHours = parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+    return new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+}
+
+function toInvitationData(invitation) {
+    const { tokenHash, ...data } = invitation;
+
+    return {
+        ...data,
+        isExpired:
+            data.status === "pending" && new Date(data.expiresAt) <= new Date(),
+    };
+}
+
+export {
+    createInvitation,
+    listInvitations,
+    resendInvitation,
+    revokeInvitation,
+    getInvitationByToken,
+    acceptInvitation,
+};
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Failed login counters shared by every server instance.
+// One document per account (email) and one per client IP.
+const loginAttemptSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, "Attempt key is required"],
+            unique: true,
+        },
+        scope: {
+            type: String,
+            enum: ["account", "ip"],
+            required: [true, "Attempt scope is required"],
+        },
+        failures: {
+            type: Number,
+            default: 0,
+            min: [0, "Failures cannot be negative"],
+        },
+        lockCount: {
+            type: Number,
+            default: 0,
+            min: [0, "Lock count cannot be negative"],
+        },
+        lastFailureAt: {
+            type: Date,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, "Expiry is required"],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Counters disappear once the attempt window (or lockout) has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
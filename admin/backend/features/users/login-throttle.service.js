@@ -0,0 +1,211 @@
+import Admin from "./admin.model.js";
+import LoginAttempt from "./login-attempt.model.js";
+import logger from "../../shared/utils/logger.util.js";
+
+// Lock history is kept for a day so repeated lockouts keep escalating
+const LOCK_HISTORY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+function getThrottleConfig() {
+    return {
+        maxAccountFailures:
+            parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+        maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20,
+        windowMs:
+            (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) *
+            60 *
+            1000,
+        lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+        baseDelaySeconds: parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 1,
+        maxDelaySeconds: parseInt(process.env.LOGIN_DELAY_MAX_SECONDS) || 30,
+    };
+}
+
+async function assertLoginAllowed(email, ipAddress) {
+    const config = getThrottleConfig();
+    const now = Date.now();
+
+    const [accountAttempt, ipAttempt] = await Promise.all([
+        LoginAttempt.findOne({ key: getAccountKey(email) }).lean(),
+        ipAddress
+            ? LoginAttempt.findOne({ key: getIpKey(ipAddress) }).lean()
+            : null,
+    ]);
+
+    if (accountAttempt?.lockedUntil && accountAttempt.lockedUntil > now) {
+        const retryAfter = Math.ceil(
+            (accountAttempt.lockedUntil.getTime() - now) / 1000
+        );
+        throw createThrottleError(
+            `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(
+                retryAfter / 60
+            )} minute(s)`,
+            retryAfter
+        );
+    }
+
+    const ipWindowActive =
+        ipAttempt?.lastFailureAt &&
+        now - ipAttempt.lastFailureAt.getTime() < config.windowMs;
+
+    if (ipWindowActive && ipAttempt.failures >= config.maxIpFailures) {
+        const retryAfter = Math.ceil(
+            (ipAttempt.lastFailureAt.getTime() + config.windowMs - now) / 1000
+        );
+        throw createThrottleError(
+            `Too many login attempts from this network. Try again in ${retryAfter} seconds`,
+            retryAfter
+        );
+    }
+
+    // Progressive delay: each consecutive failure doubles the wait
+    for (const attempt of [accountAttempt, ipAttempt]) {
+        if (!attempt?.lastFailureAt || attempt.failures === 0) continue;
+
+        const delaySeconds = Math.min(
+            config.baseDelaySeconds * 2 ** (attempt.failures - 1),
+            config.maxDelaySeconds
+        );
+        const nextAllowedAt =
+            attempt.lastFailureAt.getTime() + delaySeconds * 1000;
+
+        if (
+            now - attempt.lastFailureAt.getTime() < config.windowMs &&
+            now < nextAllowedAt
+        ) {
+            const retryAfter = Math.ceil((nextAllowedAt - now) / 1000);
+            throw createThrottleError(
+                `Too many login attempts. Try again in ${retryAfter} seconds`,
+                retryAfter
+            );
+        }
+    }
+}
+
+async function recordFailedLogin(email, ipAddress) {
+    const config = getThrottleConfig();
+
+    const [accountAttempt] = await Promise.all([
+        incrementFailures(getAccountKey(email), "account", config),
+        ipAddress ? incrementFailures(getIpKey(ipAddress), "ip", config) : null,
+    ]);
+
+    if (accountAttempt.failures < config.maxAccountFailures) {
+        return;
+    }
+
+    const lockMinutes = Math.min(
+        config.lockoutMinutes * 2 ** accountAttempt.lockCount,
+        MAX_LOCKOUT_MINUTES
+    );
+    const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    await LoginAttempt.updateOne(
+        { _id: accountAttempt._id },
+        {
+            failures: 0,
+            lockedUntil,
+            $inc: { lockCount: 1 },
+            expiresAt: new Date(lockedUntil.getTime() + LOCK_HISTORY_MS),
+        }
+    );
+
+    logger.warn(
+        `Admin account locked for ${lockMinutes} minute(s) after ${accountAttempt.failures} failed login attempts: ${email} (last IP: ${ipAddress})`
+    );
+}
+
+// lockCount survives a successful login so later lockouts keep escalating
+async function clearFailedLogins(email) {
+    await LoginAttempt.updateOne(
+        { key: getAccountKey(email) },
+        { $set: { failures: 0 }, $unset: { lastFailureAt: 1 } }
+    );
+}
+
+async function unlockAccount(adminId, unlockedByAdminId) {
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    await LoginAttempt.updateOne(
+        { key: getAccountKey(admin.email) },
+        {
+            $set: { failures: 0, lockedUntil: null },
+            $unset: { lastFailureAt: 1 },
+        }
+    );
+
+    logger.info(
+        `Admin account unlocked: ${admin.email} by admin: ${unlockedByAdminId}`
+    );
+
+    return { data: { message: "Account unlocked" } };
+}
+
+async function incrementFailures(key, scope, config) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - config.windowMs);
+
+    // Pipeline update keeps the window reset and increment atomic across instances
+    return LoginAttempt.findOneAndUpdate(
+        { key },
+        [
+            {
+                $set: {
+                    scope,
+                    failures: {
+                        $cond: [
+                            {
+                                $gt: [
+                                    {
+                                        $ifNull: [
+                                            "$lastFailureAt",
+                                            new Date(0),
+                                        ],
+                                    },
+                                    windowStart,
+                                ],
+                            },
+                            { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+                            1,
+                        ],
+                    },
+                    lockCount: { $ifNull: ["$lockCount", 0] },
+                    lockedUntil: { $ifNull: ["$lockedUntil", null] },
+                    lastFailureAt: now,
+                    expiresAt: {
+                        $max: [
+                            new Date(now.getTime() + config.windowMs),
+                            { $ifNull: ["$expiresAt", now] },
+                        ],
+                    },
+                },
+            },
+        ],
+        { upsert: true, new: true }
+    ).lean();
+}
+
+function getAccountKey(email) {
+    return `account:${String(email).toLowerCase().trim()}`;
+}
+
+function getIpKey(ipAddress) {
+    return `ip:${ipAddress}`;
+}
+
+function createThrottleError(message, retryAfter) {
+    const error = new Error(message);
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+export {
+    assertLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+};
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Each refresh token issued for a session is recorded so that a rotated
+// (already used) token can be recognised if it is ever presented again.
+// All tokens of one session form a family linked through parent/replacedBy.
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        tokenId: {
+            type: String,
+            required: [true, "Token ID is required"],
+            unique: true,
+        },
+        session: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AdminSession",
+            required: [true, "Session reference is required"],
+        },
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: [true, "Admin reference is required"],
+        },
+        parent: {
+            type: String,
+            default: null,
+        },
+        replacedBy: {
+            type: String,
+            default: null,
+        },
+        rotatedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, "Token expiry is required"],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for faster queries
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
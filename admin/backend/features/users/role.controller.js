@@ -0,0 +1,133 @@
+import * as roleService from "./role.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listPermissions(req, res, next) {
+    try {
+        const { data, summary } = roleService.getPermissionCatalogue();
+
+        return apiResponse.successWithSummary(
+            res,
+            "Permissions fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listPermissions controller:", error.message);
+        next(error);
+    }
+}
+
+async function listRoles(req, res, next) {
+    try {
+        const { data, summary } = await roleService.listRoles();
+
+        return apiResponse.successWithSummary(
+            res,
+            "Roles fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listRoles controller:", error.message);
+        next(error);
+    }
+}
+
+async function getRole(req, res, next) {
+    try {
+        const { data } = await roleService.getRoleById(req.params.id);
+
+        return apiResponse.success(res, "Role fetched successfully", data);
+    } catch (error) {
+        logger.error("Error in getRole controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Role not found");
+        }
+        next(error);
+    }
+}
+
+async function createRole(req, res, next) {
+    try {
+        const { name, label, description, permissions } = req.body;
+
+        if (!name || !label) {
+            return apiResponse.badRequest(res, "Name and label are required");
+        }
+
+        const { data } = await roleService.createRole(
+            { name, label, description, permissions },
+            req.admin._id
+        );
+
+        return apiResponse.created(res, "Role created successfully", data);
+    } catch (error) {
+        logger.error("Error in createRole controller:", error.message);
+        if (error.message.includes("already exists")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        if (error.message.includes("Invalid permissions")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function updateRole(req, res, next) {
+    try {
+        const { label, description, permissions } = req.body;
+
+        const { data } = await roleService.updateRole(
+            req.params.id,
+            { label, description, permissions },
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Role updated successfully", data);
+    } catch (error) {
+        logger.error("Error in updateRole controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Role not found");
+        }
+        if (error.message.includes("Invalid permissions")) {
+            return apiResponse.badRequest(res, error.message);
+        }
+        if (error.message.includes("cannot be changed")) {
+            return apiResponse.forbidden(res, error.message);
+        }
+        next(error);
+    }
+}
+
+async function deleteRole(req, res, next) {
+    try {
+        const { data } = await roleService.deleteRole(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Role deleted successfully", data);
+    } catch (error) {
+        logger.error("Error in deleteRole controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Role not found");
+        }
+        if (error.message.includes("cannot be deleted")) {
+            return apiResponse.forbidden(res, error.message);
+        }
+        if (error.message.includes("still assigned")) {
+            return apiResponse.conflict(res, error.message);
+        }
+        next(error);
+    }
+}
+
+export {
+    listPermissions,
+    listRoles,
+    getRole,
+    createRole,
+    updateRole,
+    deleteRole,
+};
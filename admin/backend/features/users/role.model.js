@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import auditPlugin from "../audit/audit.plugin.js";
+
+const roleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Role name is required"],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [
+                /^[a-z0-9]+(-[a-z0-9]+)*$/,
+                "Role name may only contain lowercase letters, numbers and hyphens",
+            ],
+        },
+        label: {
+            type: String,
+            required: [true, "Role label is required"],
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        permissions: {
+            type: [String],
+            default: [],
+        },
+        isSystem: {
+            type: Boolean,
+            default: false,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+roleSchema.plugin(auditPlugin);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
@@ -0,0 +1,18 @@
+import express from "express";
+import * as roleController from "./role.controller.js";
+import authMiddleware from "../../shared/middlewares/auth.middleware.js";
+import { requireSuperAdmin } from "../../shared/middlewares/role.middleware.js";
+
+const router = express.Router();
+
+// Role management is super-admin only
+router.use(authMiddleware, requireSuperAdmin());
+
+router.get("/", roleController.listRoles);
+router.get("/permissions", roleController.listPermissions);
+router.post("/", roleController.createRole);
+router.get("/:id", roleController.getRole);
+router.put("/:id", roleController.updateRole);
+router.delete("/:id", roleController.deleteRole);
+
+export default router;
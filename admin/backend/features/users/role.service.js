@@ -0,0 +1,305 @@
+import Role from "./role.model.js";
+import Admin from "./admin.model.js";
+import logger from "../../shared/utils/logger.util.js";
+
+// Every permission the application checks with requirePermission
+const PERMISSION_CATALOGUE = {
+    products: ["view", "create", "edit", "delete", "export", "publish"],
+    categories: ["view", "create", "edit", "delete"],
+    orders: ["view", "edit", "cancel"],
+    users: ["view", "edit"],
+    coupons: ["view", "create", "edit", "delete"],
+    pricing: ["view", "publish"],
+    inventory: [
+        "view",
+        "receive",
+        "adjust",
+        "transfer",
+        "reserve",
+        "reconcile",
+        "valuation",
+    ],
+    warehouses: ["view", "create", "edit"],
+    suppliers: ["view", "create", "edit"],
+    audit: ["view"],
+};
+
+// Built-in roles, created on startup if missing. Their permission sets can
+// be edited afterwards (except super-admin, which always keeps "*")
+const SYSTEM_ROLES = {
+    "super-admin": {
+        label: "Super Admin",
+        description: "Full access to everything, including admin management",
+        permissions: ["*"],
+    },
+    admin: {
+        label: "Admin",
+        description: "Manages catalogue, orders, customers and coupons",
+        permissions: [
+            "products.*",
+            "orders.*",
+            "users.view",
+            "users.edit",
+            "coupons.*",
+            "categories.*",
+            "pricing.*",
+            "inventory.*",
+            "warehouses.*",
+            "suppliers.*",
+        ],
+    },
+    manager: {
+        label: "Manager",
+        description: "Edits products and processes orders",
+        permissions: [
+            "products.view",
+            "products.edit",
+            "orders.view",
+            "orders.edit",
+            "categories.view",
+            "pricing.view",
+            "inventory.view",
+            "inventory.receive",
+            "inventory.reserve",
+            "warehouses.view",
+            "suppliers.view",
+        ],
+    },
+    staff: {
+        label: "Staff",
+        description: "Read-only access to products and orders",
+        permissions: ["products.view", "orders.view"],
+    },
+};
+
+async function ensureSystemRoles() {
+    const operations = Object.entries(SYSTEM_ROLES).map(([name, role]) => ({
+        updateOne: {
+            filter: { name },
+            update: { $setOnInsert: { name, ...role, isSystem: true } },
+            upsert: true,
+        },
+    }));
+
+    const result = await Role.bulkWrite(operations);
+
+    if (result.upsertedCount > 0) {
+        logger.info(`Created ${result.upsertedCount} missing system roles`);
+    }
+}
+
+function getPermissionCatalogue() {
+    const permissions = Object.entries(PERMISSION_CATALOGUE).flatMap(
+        ([resource, actions]) => [
+            ...actions.map((action) => ({
+                permission: `${resource}.${action}`,
+                resource,
+                action,
+            })),
+            { permission: `${resource}.*`, resource, action: "*" },
+        ]
+    );
+
+    return {
+        data: permissions,
+        summary: {
+            resources: Object.keys(PERMISSION_CATALOGUE),
+            total: permissions.length,
+        },
+    };
+}
+
+async function listRoles() {
+    const [roles, adminCounts] = await Promise.all([
+        Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+        Admin.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+    ]);
+
+    const countsByRole = adminCounts.reduce((acc, { _id, count }) => {
+        acc[_id] = count;
+        return acc;
+    }, {});
+
+    const data = roles.map((role) => ({
+        ...role,
+        adminCount: countsByRole[role.name] || 0,
+    }));
+
+    return { data, summary: { total: data.length } };
+}
+
+async function getRoleById(roleId) {
+    const role = await Role.findById(roleId).lean();
+
+    if (!role) {
+        throw new Error("Role not found");
+    }
+
+    return { data: role };
+}
+
+async function createRole(data, createdByAdminId) {
+    const { name, label, description, permissions = [] } = data;
+
+    const existingRole = await Role.findOne({ name: name.toLowerCase() });
+    if (existingRole) {
+        throw new Error("Role with this name already exists");
+    }
+
+    validatePermissions(permissions);
+
+    const role = await Role.create({
+        name,
+        label,
+        description,
+        permissions: [...new Set(permissions)],
+        createdBy: createdByAdminId,
+    });
+
+    logger.info(`Role created: ${role.name} by admin: ${createdByAdminId}`);
+
+    return { data: role.toObject() };
+}
+
+async function updateRole(roleId, updates, updatedByAdminId) {
+    const { label, description, permissions } = updates;
+
+    const role = await Role.findById(roleId);
+
+    if (!role) {
+        throw new Error("Role not found");
+    }
+
+    if (label) role.label = label;
+    if (description !== undefined) role.description = description;
+
+    if (permissions !== undefined) {
+        if (role.name === "super-admin") {
+            throw new Error("Super-admin permissions cannot be changed");
+        }
+
+        validatePermissions(permissions);
+        role.permissions = [...new Set(permissions)];
+    }
+
+    await role.save();
+
+    logger.info(`Role updated: ${role.name} by admin: ${updatedByAdminId}`);
+
+    return { data: role.toObject() };
+}
+
+async function deleteRole(roleId, deletedByAdminId) {
+    const role = await Role.findById(roleId);
+
+    if (!role) {
+        throw new Error("Role not found");
+    }
+
+    if (role.isSystem) {
+        throw new Error("System roles cannot be deleted");
+    }
+
+    const assignedAdmins = await Admin.countDocuments({ role: role.name });
+    if (assignedAdmins > 0) {
+        throw new Error(
+            `Role is still assigned to ${assignedAdmins} admin(s). Reassign them first`
+        );
+    }
+
+    await role.deleteOne();
+
+    logger.info(`Role deleted: ${role.name} by admin: ${deletedByAdminId}`);
+
+    return { data: { message: "Role deleted successfully" } };
+}
+
+async function assertRoleExists(roleName) {
+    const role = await Role.exists({ name: roleName });
+
+    if (!role) {
+        throw new Error(`Invalid role: ${roleName}`);
+    }
+}
+
+async function resolveEffectivePermissions(admin) {
+    const role = await Role.findOne({ name: admin.role })
+        .select("permissions")
+        .lean();
+
+    const grant = admin.permissionOverrides?.grant || [];
+    const deny = admin.permissionOverrides?.deny || [];
+
+    return {
+        allow: [...new Set([...(role?.permissions || []), ...grant])],
+        deny: [...new Set(deny)],
+    };
+}
+
+function validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+        throw new Error("Invalid permissions: must be an array");
+    }
+
+    const unknownPermissions = permissions.filter(
+        (permission) => !isKnownPermission(permission)
+    );
+
+    if (unknownPermissions.length > 0) {
+        throw new Error(
+            `Invalid permissions: ${unknownPermissions.join(", ")}`
+        );
+    }
+}
+
+function isKnownPermission(permission) {
+    if (permission === "*") {
+        return true;
+    }
+
+    const [resource, action] = String(permission).split(".");
+    const actions = PERMISSION_CATALOGUE[resource];
+
+    return !!actions && (action === "*" || actions.includes(action));
+}
+
+function matchesPermission(pattern, requiredPermission) {
+    if (pattern === "*" || pattern === requiredPermission) {
+        return true;
+    }
+
+    const [resource] = requiredPermission.split(".");
+    return pattern === `${resource}.*`;
+}
+
+// Deny overrides always win over role and granted permissions
+function hasPermission(permissions, requiredPermission) {
+    const { allow = [], deny = [] } = Array.isArray(permissions)
+        ? { allow: permissions }
+        : permissions;
+
+    if (
+        deny.some((pattern) => matchesPermission(pattern, requiredPermission))
+    ) {
+        return false;
+    }
+
+    return allow.some((pattern) =>
+        matchesPermission(pattern, requiredPermission)
+    );
+}
+
+export {
+    ensureSystemRoles,
+    getPermissionCatalogue,
+    listRoles,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole,
+    assertRoleExists,
+    resolveEffectivePermissions,
+    validatePermissions,
+    hasPermission,
+    PERMISSION_CATALOGUE,
+};
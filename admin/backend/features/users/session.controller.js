@@ -0,0 +1,125 @@
+import * as sessionService from "./session.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+
+async function listMySessions(req, res, next) {
+    try {
+        const { data, summary } = await sessionService.listSessions(
+            req.admin._id,
+            req.sessionId
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Sessions fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listMySessions controller:", error.message);
+        next(error);
+    }
+}
+
+async function revokeMySession(req, res, next) {
+    try {
+        const { data } = await sessionService.revokeSession(
+            req.admin._id,
+            req.params.sessionId,
+            req.admin._id,
+            "revoked-by-owner"
+        );
+
+        if (data._id.toString() === req.sessionId.toString()) {
+            res.clearCookie("accessToken");
+            res.clearCookie("refreshToken");
+        }
+
+        return apiResponse.success(res, "Session revoked successfully", data);
+    } catch (error) {
+        logger.error("Error in revokeMySession controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Session not found");
+        }
+        next(error);
+    }
+}
+
+async function revokeOtherSessions(req, res, next) {
+    try {
+        const { data } = await sessionService.revokeOtherSessions(
+            req.admin._id,
+            req.sessionId
+        );
+
+        return apiResponse.success(
+            res,
+            "Other sessions revoked successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in revokeOtherSessions controller:", error.message);
+        next(error);
+    }
+}
+
+async function listAdminSessions(req, res, next) {
+    try {
+        const { data, summary } = await sessionService.listSessions(
+            req.params.id
+        );
+
+        return apiResponse.successWithSummary(
+            res,
+            "Sessions fetched successfully",
+            data,
+            summary
+        );
+    } catch (error) {
+        logger.error("Error in listAdminSessions controller:", error.message);
+        next(error);
+    }
+}
+
+async function revokeAdminSessions(req, res, next) {
+    try {
+        const { data } = await sessionService.revokeAllSessions(
+            req.params.id,
+            req.admin._id,
+            "revoked-by-super-admin"
+        );
+
+        return apiResponse.success(res, "Sessions revoked successfully", data);
+    } catch (error) {
+        logger.error("Error in revokeAdminSessions controller:", error.message);
+        next(error);
+    }
+}
+
+async function revokeAdminSession(req, res, next) {
+    try {
+        const { data } = await sessionService.revokeSession(
+            req.params.id,
+            req.params.sessionId,
+            req.admin._id,
+            "revoked-by-super-admin"
+        );
+
+        return apiResponse.success(res, "Session revoked successfully", data);
+    } catch (error) {
+        logger.error("Error in revokeAdminSession controller:", error.message);
+        if (error.message.includes("not found")) {
+            return apiResponse.notFound(res, "Session not found");
+        }
+        next(error);
+    }
+}
+
+export {
+    listMySessions,
+    revokeMySession,
+    revokeOtherSessions,
+    listAdminSessions,
+    revokeAdminSessions,
+    revokeAdminSession,
+};
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const adminSessionSchema = new mongoose.Schema(
+    {
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+            required: [true, "Admin reference is required"],
+        },
+        userAgent: {
+            type: String,
+            trim: true,
+        },
+        device: {
+            type: String,
+            trim: true,
+        },
+        ipAddress: {
+            type: String,
+            trim: true,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: [true, "Session expiry is required"],
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+        },
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Admin",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for faster queries
+adminSessionSchema.index({ admin: 1, revokedAt: 1 });
+
+// Remove sessions once their refresh token can no longer be used
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AdminSession = mongoose.model("AdminSession", adminSessionSchema);
+
+export default AdminSession;
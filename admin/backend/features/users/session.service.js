@@ -0,0 +1,260 @@
+import mongoose from "mongoose";
+import AdminSession from "./session.model.js";
+import RefreshToken from "./refresh-token.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { generateSecureToken } from "../../shared/utils/token.util.js";
+import {
+    generateRefreshToken,
+    getTokenExpiry,
+} from "../../shared/utils/jwt.util.js";
+
+// Avoid a write on every authenticated request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+async function createSession(admin, context) {
+    const { userAgent = "", ipAddress } = context || {};
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokenId = generateSecureToken(16);
+    const refreshToken = generateRefreshToken(admin, sessionId, tokenId);
+    const expiresAt = getTokenExpiry(refreshToken);
+
+    const session = await AdminSession.create({
+        _id: sessionId,
+        admin: admin._id,
+        userAgent,
+        device: describeDevice(userAgent),
+        ipAddress,
+        lastUsedAt: new Date(),
+        expiresAt,
+    });
+
+    await RefreshToken.create({
+        tokenId,
+        session: sessionId,
+        admin: admin._id,
+        expiresAt,
+    });
+
+    logger.info(
+        `Session created for admin: ${admin.email} (${session.device}, ${ipAddress})`
+    );
+
+    return { session, refreshToken };
+}
+
+async function rotateRefreshToken(admin, decoded, context) {
+    const session = await getActiveSession(decoded.sessionId, admin._id);
+    const newTokenId = generateSecureToken(16);
+
+    // Claiming the token atomically means only one caller can ever rotate it
+    const claimedToken = await RefreshToken.findOneAndUpdate(
+        {
+            tokenId: decoded.tokenId,
+            session: session._id,
+            rotatedAt: null,
+        },
+        { rotatedAt: new Date(), replacedBy: newTokenId }
+    );
+
+    if (!claimedToken) {
+        const knownToken = await RefreshToken.exists({
+            tokenId: decoded.tokenId,
+            session: session._id,
+        });
+
+        if (knownToken) {
+            await revokeSession(
+                admin._id,
+                session._id,
+                null,
+                "refresh-token-reuse"
+            );
+
+            logger.warn(
+                `Refresh token reuse detected for admin: ${admin.email} (session: ${session._id}, IP: ${context?.ipAddress}). Token family revoked`
+            );
+        }
+
+        throw new Error("Invalid refresh token");
+    }
+
+    const refreshToken = generateRefreshToken(admin, session._id, newTokenId);
+    const expiresAt = getTokenExpiry(refreshToken);
+
+    await Promise.all([
+        RefreshToken.create({
+            tokenId: newTokenId,
+            session: session._id,
+            admin: admin._id,
+            parent: decoded.tokenId,
+            expiresAt,
+        }),
+        AdminSession.updateOne(
+            { _id: session._id },
+            {
+                lastUsedAt: new Date(),
+                ipAddress: context?.ipAddress,
+                expiresAt,
+            }
+        ),
+    ]);
+
+    return { session, refreshToken };
+}
+
+async function getActiveSession(sessionId, adminId) {
+    if (!sessionId) {
+        throw new Error("Session revoked or expired");
+    }
+
+    const session = await AdminSession.findOne({
+        _id: sessionId,
+        admin: adminId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+
+    if (!session) {
+        throw new Error("Session revoked or expired");
+    }
+
+    return session;
+}
+
+async function touchSession(session, ipAddress) {
+    const isStale =
+        !session.lastUsedAt ||
+        Date.now() - session.lastUsedAt.getTime() >
+            LAST_USED_UPDATE_INTERVAL_MS;
+
+    if (!isStale && session.ipAddress === ipAddress) {
+        return;
+    }
+
+    await AdminSession.updateOne(
+        { _id: session._id },
+        { lastUsedAt: new Date(), ipAddress }
+    );
+}
+
+async function listSessions(adminId, currentSessionId) {
+    const sessions = await AdminSession.find({
+        admin: adminId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    })
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    const data = sessions.map((session) => ({
+        ...session,
+        isCurrent:
+            !!currentSessionId &&
+            session._id.toString() === currentSessionId.toString(),
+    }));
+
+    return {
+        data,
+        summary: { activeSessions: data.length },
+    };
+}
+
+async function revokeSession(adminId, sessionId, revokedBy, reason) {
+    const session = await AdminSession.findOneAndUpdate(
+        { _id: sessionId, admin: adminId, revokedAt: null },
+        {
+            revokedAt: new Date(),
+            revokedReason: reason,
+            revokedBy,
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        throw new Error("Session not found");
+    }
+
+    logger.info(
+        `Session revoked: ${sessionId} for admin: ${adminId} (${reason})`
+    );
+
+    return { data: session.toObject() };
+}
+
+async function revokeOtherSessions(adminId, currentSessionId) {
+    const result = await AdminSession.updateMany(
+        { admin: adminId, revokedAt: null, _id: { $ne: currentSessionId } },
+        {
+            revokedAt: new Date(),
+            revokedReason: "revoked-others",
+            revokedBy: adminId,
+        }
+    );
+
+    logger.info(
+        `Revoked ${result.modifiedCount} other sessions for admin: ${adminId}`
+    );
+
+    return { data: { revokedCount: result.modifiedCount } };
+}
+
+async function revokeAllSessions(adminId, revokedBy, reason) {
+    const result = await AdminSession.updateMany(
+        { admin: adminId, revokedAt: null },
+        {
+            revokedAt: new Date(),
+            revokedReason: reason,
+            revokedBy,
+        }
+    );
+
+    logger.info(
+        `Revoked all ${result.modifiedCount} sessions for admin: ${adminId} (${reason})`
+    );
+
+    return { data: { revokedCount: result.modifiedCount } };
+}
+
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return "Unknown device";
+    }
+
+    const browsers = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Chrome", /Chrome\//],
+        ["Firefox", /Firefox\//],
+        ["Safari", /Safari\//],
+    ];
+    const platforms = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad|iPod/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X/],
+        ["Linux", /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !platform) {
+        return userAgent.slice(0, 100);
+    }
+
+    return `${browser ? browser[0] : "Unknown browser"} on ${
+        platform ? platform[0] : "unknown OS"
+    }`;
+}
+
+export {
+    createSession,
+    rotateRefreshToken,
+    getActiveSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    revokeAllSessions,
+};
@@ -0,0 +1,245 @@
+import * as twoFactorService from "./two-factor.service.js";
+import apiResponse from "../../shared/utils/response.util.js";
+import logger from "../../shared/utils/logger.util.js";
+import { setAuthCookies } from "../../shared/utils/jwt.util.js";
+import { getClientContext } from "../../shared/utils/request.util.js";
+
+function handleTwoFactorError(res, error) {
+    if (error.message.includes("not found")) {
+        return apiResponse.notFound(res, "Admin not found");
+    }
+    if (
+        error.message.includes("challenge token") ||
+        error.message.includes("deactivated")
+    ) {
+        return apiResponse.unauthorized(res, error.message);
+    }
+    if (
+        error.message.includes("Invalid") ||
+        error.message.includes("incorrect") ||
+        error.message.includes("required")
+    ) {
+        return apiResponse.badRequest(res, error.message);
+    }
+    if (
+        error.message.includes("already enabled") ||
+        error.message.includes("not enabled") ||
+        error.message.includes("not been started")
+    ) {
+        return apiResponse.conflict(res, error.message);
+    }
+    return null;
+}
+
+async function verifyLogin(req, res, next) {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return apiResponse.badRequest(
+                res,
+                "Challenge token and verification code or recovery code are required"
+            );
+        }
+
+        const { data } = await twoFactorService.verifyLoginChallenge(
+            challengeToken,
+            { code, recoveryCode },
+            getClientContext(req)
+        );
+
+        setAuthCookies(res, data);
+
+        return apiResponse.success(res, "Login successful", {
+            admin: data.admin,
+        });
+    } catch (error) {
+        logger.error("Error in verifyLogin controller:", error.message);
+        if (error.retryAfter) {
+            res.set("Retry-After", String(error.retryAfter));
+            return error.message.includes("temporarily locked")
+                ? apiResponse.locked(res, error.message)
+                : apiResponse.tooManyRequests(res, error.message);
+        }
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function loginSetup(req, res, next) {
+    try {
+        const { challengeToken } = req.body;
+
+        if (!challengeToken) {
+            return apiResponse.badRequest(res, "Challenge token is required");
+        }
+
+        const { data } = await twoFactorService.beginLoginSetup(challengeToken);
+
+        return apiResponse.success(res, "Two-factor setup started", data);
+    } catch (error) {
+        logger.error("Error in loginSetup controller:", error.message);
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function loginSetupVerify(req, res, next) {
+    try {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return apiResponse.badRequest(
+                res,
+                "Challenge token and verification code are required"
+            );
+        }
+
+        const { data } = await twoFactorService.confirmLoginSetup(
+            challengeToken,
+            code,
+            getClientContext(req)
+        );
+
+        setAuthCookies(res, data);
+
+        return apiResponse.success(
+            res,
+            "Two-factor authentication enabled. Store your recovery codes safely",
+            { admin: data.admin, recoveryCodes: data.recoveryCodes }
+        );
+    } catch (error) {
+        logger.error("Error in loginSetupVerify controller:", error.message);
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function setup(req, res, next) {
+    try {
+        const { data } = await twoFactorService.beginTwoFactorSetup(
+            req.admin._id
+        );
+
+        return apiResponse.success(res, "Two-factor setup started", data);
+    } catch (error) {
+        logger.error("Error in setup controller:", error.message);
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function verifySetup(req, res, next) {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return apiResponse.badRequest(res, "Verification code is required");
+        }
+
+        const { data } = await twoFactorService.confirmTwoFactorSetup(
+            req.admin._id,
+            code
+        );
+
+        return apiResponse.success(
+            res,
+            "Two-factor authentication enabled. Store your recovery codes safely",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in verifySetup controller:", error.message);
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function disable(req, res, next) {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return apiResponse.badRequest(
+                res,
+                "Password and verification code are required"
+            );
+        }
+
+        const { data } = await twoFactorService.disableTwoFactor(
+            req.admin._id,
+            password,
+            code
+        );
+
+        return apiResponse.success(
+            res,
+            "Two-factor authentication disabled",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in disable controller:", error.message);
+        if (error.message.includes("required for role")) {
+            return apiResponse.forbidden(res, error.message);
+        }
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function regenerateRecoveryCodes(req, res, next) {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return apiResponse.badRequest(res, "Verification code is required");
+        }
+
+        const { data } = await twoFactorService.regenerateRecoveryCodes(
+            req.admin._id,
+            code
+        );
+
+        return apiResponse.success(
+            res,
+            "Recovery codes regenerated successfully",
+            data
+        );
+    } catch (error) {
+        logger.error(
+            "Error in regenerateRecoveryCodes controller:",
+            error.message
+        );
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+async function reset(req, res, next) {
+    try {
+        const { data } = await twoFactorService.resetTwoFactor(
+            req.params.id,
+            req.admin._id
+        );
+
+        return apiResponse.success(
+            res,
+            "Two-factor authentication reset successfully",
+            data
+        );
+    } catch (error) {
+        logger.error("Error in reset controller:", error.message);
+        if (handleTwoFactorError(res, error)) return;
+        next(error);
+    }
+}
+
+export {
+    verifyLogin,
+    loginSetup,
+    loginSetupVerify,
+    setup,
+    verifySetup,
+    disable,
+    regenerateRecoveryCodes,
+    reset,
+};
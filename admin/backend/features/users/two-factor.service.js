@@ -0,0 +1,328 @@
+import Admin from "./admin.model.js";
+import logger from "../../shared/utils/logger.util.js";
+import { completeLogin, isTwoFactorEnforced } from "./admin.service.js";
+import { revokeAllSessions } from "./session.service.js";
+import {
+    assertLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+} from "./login-throttle.service.js";
+import { verifyTwoFactorChallengeToken } from "../../shared/utils/jwt.util.js";
+import {
+    generateSecureToken,
+    hashToken,
+} from "../../shared/utils/token.util.js";
+import {
+    generateTotpSecret,
+    verifyTotpCode,
+    buildOtpAuthUri,
+} from "../../shared/utils/totp.util.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRET_FIELDS =
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+async function beginTwoFactorSetup(adminId) {
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    if (admin.twoFactor?.enabled) {
+        throw new Error("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    logger.info(`Two-factor setup started for admin: ${admin.email}`);
+
+    return {
+        data: {
+            secret,
+            otpauthUri: buildOtpAuthUri({
+                secret,
+                accountName: admin.email,
+                issuer: process.env.TWO_FACTOR_ISSUER || "Sana Silver Admin",
+            }),
+        },
+    };
+}
+
+async function confirmTwoFactorSetup(adminId, code) {
+    const admin = await Admin.findById(adminId).select(
+        TWO_FACTOR_SECRET_FIELDS
+    );
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    if (admin.twoFactor?.enabled) {
+        throw new Error("Two-factor authentication is already enabled");
+    }
+
+    if (!admin.twoFactor?.pendingSecret) {
+        throw new Error("Two-factor setup has not been started");
+    }
+
+    const step = verifyTotpCode(admin.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+        throw new Error("Invalid verification code");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    admin.twoFactor.lastUsedStep = step;
+    admin.twoFactor.enabledAt = new Date();
+    await admin.save();
+
+    logger.info(`Two-factor authentication enabled for admin: ${admin.email}`);
+
+    return { data: { recoveryCodes } };
+}
+
+async function verifyLoginChallenge(
+    challengeToken,
+    { code, recoveryCode },
+    context
+) {
+    const admin = await resolveChallenge(challengeToken, "login");
+
+    // Second factor guesses count towards the same lockout as passwords
+    await assertLoginAllowed(admin.email, context?.ipAddress);
+
+    try {
+        await verifySecondFactor(admin, { code, recoveryCode });
+    } catch (error) {
+        await recordFailedLogin(admin.email, context?.ipAddress);
+        throw error;
+    }
+
+    await clearFailedLogins(admin.email);
+
+    return completeLogin(admin, context);
+}
+
+async function beginLoginSetup(challengeToken) {
+    const admin = await resolveChallenge(challengeToken, "setup");
+
+    return beginTwoFactorSetup(admin._id);
+}
+
+async function confirmLoginSetup(challengeToken, code, context) {
+    const admin = await resolveChallenge(challengeToken, "setup");
+
+    const {
+        data: { recoveryCodes },
+    } = await confirmTwoFactorSetup(admin._id, code);
+
+    await clearFailedLogins(admin.email);
+
+    const enrolledAdmin = await Admin.findById(admin._id);
+    const { data } = await completeLogin(enrolledAdmin, context);
+
+    return { data: { ...data, recoveryCodes } };
+}
+
+async function disableTwoFactor(adminId, password, code) {
+    const admin = await Admin.findById(adminId).select(
+        `+password ${TWO_FACTOR_SECRET_FIELDS}`
+    );
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    if (!admin.twoFactor?.enabled) {
+        throw new Error("Two-factor authentication is not enabled");
+    }
+
+    if (isTwoFactorEnforced(admin.role)) {
+        throw new Error(
+            `Two-factor authentication is required for role: ${admin.role}`
+        );
+    }
+
+    const isPasswordValid = await admin.comparePassword(password);
+
+    if (!isPasswordValid) {
+        throw new Error("Current password is incorrect");
+    }
+
+    await verifySecondFactor(admin, { code });
+
+    clearTwoFactor(admin);
+    await admin.save();
+
+    logger.info(`Two-factor authentication disabled for admin: ${admin.email}`);
+
+    return { data: { message: "Two-factor authentication disabled" } };
+}
+
+async function regenerateRecoveryCodes(adminId, code) {
+    const admin = await Admin.findById(adminId).select(
+        TWO_FACTOR_SECRET_FIELDS
+    );
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    if (!admin.twoFactor?.enabled) {
+        throw new Error("Two-factor authentication is not enabled");
+    }
+
+    await verifySecondFactor(admin, { code });
+
+    const recoveryCodes = generateRecoveryCodes();
+    admin.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await admin.save();
+
+    logger.info(`Recovery codes regenerated for admin: ${admin.email}`);
+
+    return { data: { recoveryCodes } };
+}
+
+async function resetTwoFactor(adminId, resetByAdminId) {
+    const admin = await Admin.findById(adminId).select(
+        TWO_FACTOR_SECRET_FIELDS
+    );
+
+    if (!admin) {
+        throw new Error("Admin not found");
+    }
+
+    clearTwoFactor(admin);
+    admin.tokenVersion += 1;
+    await admin.save();
+    await revokeAllSessions(admin._id, resetByAdminId, "two-factor-reset");
+
+    logger.info(
+        `Two-factor authentication reset for admin: ${admin.email} by admin: ${resetByAdminId}`
+    );
+
+    return { data: { message: "Two-factor authentication reset" } };
+}
+
+async function resolveChallenge(challengeToken, expectedPurpose) {
+    let decoded;
+    try {
+        decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+        throw new Error("Invalid or expired challenge token");
+    }
+
+    if (decoded.purpose !== expectedPurpose) {
+        throw new Error("Invalid or expired challenge token");
+    }
+
+    const admin = await Admin.findById(decoded.adminId).select(
+        TWO_FACTOR_SECRET_FIELDS
+    );
+
+    if (!admin || admin.tokenVersion !== decoded.tokenVersion) {
+        throw new Error("Invalid or expired challenge token");
+    }
+
+    if (!admin.isActive) {
+        throw new Error("Account is deactivated");
+    }
+
+    return admin;
+}
+
+// Codes are consumed with conditional updates, so two concurrent logins
+// cannot both use the same TOTP step or recovery code
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+    if (code) {
+        const step = verifyTotpCode(admin.twoFactor.secret, code);
+
+        if (step === null) {
+            throw new Error("Invalid verification code");
+        }
+
+        // Rejecting already used steps prevents replaying an observed code
+        const { matchedCount } = await Admin.updateOne(
+            {
+                _id: admin._id,
+                $or: [
+                    { "twoFactor.lastUsedStep": { $lt: step } },
+                    { "twoFactor.lastUsedStep": { $exists: false } },
+                    { "twoFactor.lastUsedStep": null },
+                ],
+            },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        );
+
+        if (matchedCount === 0) {
+            throw new Error("Invalid verification code");
+        }
+
+        admin.twoFactor.lastUsedStep = step;
+        return;
+    }
+
+    if (recoveryCode) {
+        const recoveryCodeHash = hashRecoveryCode(recoveryCode);
+
+        const { matchedCount } = await Admin.updateOne(
+            { _id: admin._id, "twoFactor.recoveryCodes": recoveryCodeHash },
+            { $pull: { "twoFactor.recoveryCodes": recoveryCodeHash } }
+        );
+
+        if (matchedCount === 0) {
+            throw new Error("Invalid recovery code");
+        }
+
+        admin.twoFactor.recoveryCodes = admin.twoFactor.recoveryCodes.filter(
+            (storedHash) => storedHash !== recoveryCodeHash
+        );
+
+        logger.warn(
+            `Recovery code used by admin: ${admin.email} (${admin.twoFactor.recoveryCodes.length} remaining)`
+        );
+        return;
+    }
+
+    throw new Error("Verification code or recovery code is required");
+}
+
+function clearTwoFactor(admin) {
+    admin.twoFactor.enabled = false;
+    admin.twoFactor.secret = undefined;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.recoveryCodes = [];
+    admin.twoFactor.lastUsedStep = undefined;
+    admin.twoFactor.enabledAt = undefined;
+}
+
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = generateSecureToken(5);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(recoveryCode) {
+    return hashToken(String(recoveryCode).replace(/[\s-]/g, "").toLowerCase());
+}
+
+export {
+    beginTwoFactorSetup,
+    confirmTwoFactorSetup,
+    verifyLoginChallenge,
+    beginLoginSetup,
+    confirmLoginSetup,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetTwoFactor,
+};
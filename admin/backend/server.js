@@ -7,10 +7,26 @@ import dotenv from "dotenv";
 import logger from "./shared/utils/logger.util.js";
 import errorHandler from "./shared/middlewares/error.middleware.js";
 import connectDB from "./shared/config/db.config.js";
+import requestContextMiddleware from "./shared/middlewares/request-context.middleware.js";
+import auditRequestMiddleware from "./features/audit/audit.middleware.js";
 
 // Import feature routes
 import adminRoutes from "./features/users/admin.routes.js";
-// import productRoutes from './features/products/product.routes.js';
+import adminManagementRoutes from "./features/users/admin-management.routes.js";
+import roleRoutes from "./features/users/role.routes.js";
+import apiKeyRoutes from "./features/users/api-key.routes.js";
+import { ensureSystemRoles } from "./features/users/role.service.js";
+import auditRoutes from "./features/audit/audit.routes.js";
+import productRoutes from "./features/products/product.routes.js";
+import categoryRoutes from "./features/products/category.routes.js";
+import pricingRoutes from "./features/pricing/pricing.routes.js";
+import feedRoutes from "./features/feeds/feed.routes.js";
+import inventoryRoutes from "./features/inventory/inventory.routes.js";
+import { failInterruptedJobs } from "./features/pricing/pricing-job.service.js";
+import { ensureWarehouses } from "./features/inventory/warehouse.service.js";
+import { startProductPublishingJob } from "./shared/scheduled/product-publishing.job.js";
+import { startReservationExpiryJob } from "./shared/scheduled/reservation-expiry.job.js";
+import { startLowStockAlertJob } from "./shared/scheduled/low-stock-alert.job.js";
 // Add more feature route imports here as you create them
 
 dotenv.config();
@@ -18,6 +34,11 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Number of reverse proxy hops so req.ip reflects the real client IP
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", parseInt(process.env.TRUST_PROXY));
+}
+
 // Security middleware
 app.use(
     cors({
@@ -31,6 +52,10 @@ app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
+// Request id + async context (actor, IP) used by audit logging
+app.use(requestContextMiddleware);
+app.use(auditRequestMiddleware);
+
 // Health check route
 app.get("/health", (req, res) => {
     res.json({
@@ -42,7 +67,15 @@ app.get("/health", (req, res) => {
 
 // Feature-based API routes
 app.use("/api/auth", adminRoutes);
-// app.use('/api/products', productRoutes);
+app.use("/api/admins", adminManagementRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/audit-logs", auditRoutes);
+app.use("/api/products", productRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/pricing", pricingRoutes);
+app.use("/api/feeds", feedRoutes);
+app.use("/api/inventory", inventoryRoutes);
 // Add more feature routes here as you create them
 
 // Global error handler (must be last)
@@ -50,7 +83,14 @@ app.use(errorHandler);
 
 // Database connection and server start
 connectDB()
-    .then(() => {
+    .then(async () => {
+        await ensureSystemRoles();
+        await ensureWarehouses();
+        await failInterruptedJobs();
+        startProductPublishingJob();
+        startReservationExpiryJob();
+        startLowStockAlertJob();
+
         app.listen(PORT, () => {
             logger.info(`Server running on port ${PORT}`);
             logger.info(
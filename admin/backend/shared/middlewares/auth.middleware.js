@@ -1,16 +1,77 @@
 /**
  * Authentication Middleware
  * Protects routes requiring authentication
- * Verifies JWT access token and attaches admin to request
+ * Verifies JWT access token (cookie) or API key (Authorization header)
+ * and attaches admin to request
  */
 
 import jwt from "jsonwebtoken";
 import apiResponse from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
 import Admin from "../../features/users/admin.model.js";
+import {
+    getActiveSession,
+    touchSession,
+} from "../../features/users/session.service.js";
+import { resolveEffectivePermissions } from "../../features/users/role.service.js";
+import { authenticateApiKey } from "../../features/users/api-key.service.js";
+import { setRequestContext } from "../utils/request-context.util.js";
+
+/**
+ * Extract an API key from "Authorization: Bearer <key>" or "ApiKey <key>"
+ */
+const getApiKeyFromHeader = (req) => {
+    const header = req.get("authorization");
+    if (!header) return null;
+
+    const [scheme, value] = header.split(" ");
+    if (!["bearer", "apikey"].includes(scheme.toLowerCase()) || !value) {
+        return null;
+    }
+
+    return value.trim();
+};
+
+/**
+ * Authenticate a machine-to-machine request using an API key.
+ * The key's scopes - not its owner's role - decide what it may do.
+ */
+const authenticateWithApiKey = async (req, res, next, key) => {
+    let result;
+    try {
+        result = await authenticateApiKey(key, req.ip);
+    } catch (error) {
+        logger.warn(`API key authentication failed: ${error.message}`);
+        return apiResponse.unauthorized(res, error.message);
+    }
+
+    const { apiKey, owner } = result;
+
+    req.admin = owner;
+    req.apiKey = apiKey;
+    req.permissions = { allow: apiKey.scopes, deny: [] };
+
+    setRequestContext({
+        actor: {
+            admin: owner._id,
+            email: owner.email,
+            role: owner.role,
+            apiKey: apiKey._id,
+        },
+    });
+
+    logger.info(`API key authenticated: ${apiKey.name} (${apiKey.prefix})`);
+    next();
+};
 
 const authMiddleware = async (req, res, next) => {
     try {
+        const apiKey = getApiKeyFromHeader(req);
+
+        if (apiKey) {
+            return await authenticateWithApiKey(req, res, next, apiKey);
+        }
+
         const token = req.cookies.accessToken;
 
         if (!token) {
@@ -43,7 +104,25 @@ const authMiddleware = async (req, res, next) => {
             );
         }
 
+        let session;
+        try {
+            session = await getActiveSession(decoded.sessionId, admin._id);
+        } catch (error) {
+            return apiResponse.unauthorized(
+                res,
+                "Session has been revoked. Please login again"
+            );
+        }
+
+        await touchSession(session, req.ip);
+
         req.admin = admin;
+        req.sessionId = session._id;
+        req.permissions = await resolveEffectivePermissions(admin);
+
+        setRequestContext({
+            actor: { admin: admin._id, email: admin.email, role: admin.role },
+        });
 
         logger.info(`Admin authenticated: ${admin.email} (${admin.role})`);
         next();
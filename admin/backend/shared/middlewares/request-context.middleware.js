@@ -0,0 +1,33 @@
+/**
+ * Request Context Middleware
+ * Assigns a request id (reusing an incoming X-Request-Id when present)
+ * and opens the async request context used by logging and auditing
+ */
+
+import crypto from "crypto";
+import { runWithRequestContext } from "../utils/request-context.util.js";
+
+const requestContextMiddleware = (req, res, next) => {
+    const incomingId = req.get("x-request-id");
+    const requestId =
+        incomingId && /^[\w.-]{1,100}$/.test(incomingId)
+            ? incomingId
+            : crypto.randomUUID();
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    runWithRequestContext(
+        {
+            requestId,
+            ipAddress: req.ip,
+            userAgent: req.get("user-agent") || "",
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            actor: null,
+        },
+        () => next()
+    );
+};
+
+export default requestContextMiddleware;
@@ -1,6 +1,6 @@
 import apiResponse from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
-import { hasPermission } from "../../features/users/admin.service.js";
+import { hasPermission } from "../../features/users/role.service.js";
 
 function requireRole(...allowedRoles) {
     return (req, res, next) => {
@@ -9,6 +9,17 @@ function requireRole(...allowedRoles) {
             return apiResponse.unauthorized(res, "Authentication required");
         }
 
+        // API keys are limited to their permission scopes
+        if (req.apiKey) {
+            logger.warn(
+                `Role check failed: API key ${req.apiKey.prefix} attempted to access role protected route`
+            );
+            return apiResponse.forbidden(
+                res,
+                "API keys cannot access this resource"
+            );
+        }
+
         const adminRole = req.admin.role;
 
         if (!allowedRoles.includes(adminRole)) {
@@ -36,7 +47,8 @@ function requirePermission(...requiredPermissions) {
             return apiResponse.unauthorized(res, "Authentication required");
         }
 
-        const adminPermissions = req.admin.permissions || [];
+        // Resolved by authMiddleware from the admin's role and overrides
+        const adminPermissions = req.permissions || { allow: [], deny: [] };
 
         const hasAllPermissions = requiredPermissions.every((permission) =>
             hasPermission(adminPermissions, permission)
@@ -62,4 +74,23 @@ function requireSuperAdmin() {
     return requireRole("super-admin");
 }
 
-export { requireRole, requirePermission, requireSuperAdmin };
+// For routes tied to a browser session (profile, sessions, 2FA, logout)
+function requireSessionAuth() {
+    return (req, res, next) => {
+        if (req.apiKey || !req.sessionId) {
+            return apiResponse.forbidden(
+                res,
+                "This action requires an interactive admin session"
+            );
+        }
+
+        next();
+    };
+}
+
+export {
+    requireRole,
+    requirePermission,
+    requireSuperAdmin,
+    requireSessionAuth,
+};
@@ -98,6 +98,37 @@ export const uploadMultiple = (fieldName, maxCount = 10) => {
     return upload.array(fieldName, maxCount);
 };
 
+/**
+ * Spreadsheet uploads (CSV/XLSX product imports) use their own filter.
+ * Rejected files are skipped rather than raising, so the route sees no req.file
+ */
+const ALLOWED_SPREADSHEET_EXTENSIONS = ["csv", "xlsx"];
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024; // 5MB
+
+const spreadsheetUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        const ext = file.originalname.split(".").pop().toLowerCase();
+        cb(null, ALLOWED_SPREADSHEET_EXTENSIONS.includes(ext));
+    },
+    limits: {
+        fileSize: MAX_SPREADSHEET_SIZE,
+        files: 1,
+    },
+});
+
+/**
+ * Middleware for a single CSV/XLSX upload
+ * @param {string} fieldName - Name of the form field
+ * @returns {Function} Multer middleware
+ *
+ * Usage:
+ * router.post('/import', uploadSpreadsheet('file'), controller.importProducts);
+ */
+export const uploadSpreadsheet = (fieldName) => {
+    return spreadsheetUpload.single(fieldName);
+};
+
 /**
  * Validation middleware for uploaded images
  * Runs after multer to perform additional checks
@@ -231,6 +262,7 @@ export const handleUploadError = (err, req, res, next) => {
 export default {
     uploadSingle,
     uploadMultiple,
+    uploadSpreadsheet,
     validateImageUpload,
     handleUploadError,
     MAX_FILE_SIZE,
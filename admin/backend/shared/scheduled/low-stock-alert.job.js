@@ -0,0 +1,27 @@
+import { runLowStockAlerts } from "../../features/inventory/low-stock.service.js";
+import logger from "../utils/logger.util.js";
+
+// How often variant stock is checked against thresholds
+const INTERVAL_MS =
+    (parseInt(process.env.LOW_STOCK_ALERT_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Notify when variants drop to or below their low-stock threshold
+ * Runs once on start, then every LOW_STOCK_ALERT_INTERVAL_MINUTES (default 15)
+ *
+ * Usage (server.js, after the database is connected):
+ * startLowStockAlertJob();
+ */
+const startLowStockAlertJob = () => {
+    const run = () =>
+        runLowStockAlerts().catch((error) =>
+            logger.error("Low stock alert job failed:", error.message)
+        );
+
+    run();
+    setInterval(run, INTERVAL_MS);
+
+    logger.info("Low stock alert job started");
+};
+
+export { startLowStockAlertJob };
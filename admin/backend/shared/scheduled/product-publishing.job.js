@@ -0,0 +1,26 @@
+import { runScheduledPublishing } from "../../features/products/product-publishing.service.js";
+import logger from "../utils/logger.util.js";
+
+// How often due publish/unpublish schedules are checked
+const INTERVAL_MS = 60 * 1000;
+
+/**
+ * Apply scheduled product publish/unpublish times
+ * Runs once on start, then every minute
+ *
+ * Usage (server.js, after the database is connected):
+ * startProductPublishingJob();
+ */
+const startProductPublishingJob = () => {
+    const run = () =>
+        runScheduledPublishing().catch((error) =>
+            logger.error("Product publishing job failed:", error.message)
+        );
+
+    run();
+    setInterval(run, INTERVAL_MS);
+
+    logger.info("Product publishing job started");
+};
+
+export { startProductPublishingJob };
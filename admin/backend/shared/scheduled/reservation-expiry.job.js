@@ -0,0 +1,26 @@
+import { releaseExpiredReservations } from "../../features/inventory/stock-reservation.service.js";
+import logger from "../utils/logger.util.js";
+
+// How often expired stock reservations are swept
+const INTERVAL_MS = 60 * 1000;
+
+/**
+ * Release expired stock reservations for unpaid orders and manual holds
+ * Runs once on start, then every minute
+ *
+ * Usage (server.js, after the database is connected):
+ * startReservationExpiryJob();
+ */
+const startReservationExpiryJob = () => {
+    const run = () =>
+        releaseExpiredReservations().catch((error) =>
+            logger.error("Reservation expiry job failed:", error.message)
+        );
+
+    run();
+    setInterval(run, INTERVAL_MS);
+
+    logger.info("Reservation expiry job started");
+};
+
+export { startReservationExpiryJob };
@@ -0,0 +1,90 @@
+import dotenv from "dotenv";
+import Inventory from "../../features/inventory/inventory.model.js";
+import StockLot from "../../features/inventory/stock-lot.model.js";
+import ProductVariant from "../../features/products/product-variant.model.js";
+import connectDB from "../config/db.config.js";
+import logger from "../utils/logger.util.js";
+
+dotenv.config();
+
+/**
+ * One-time migration: stock received before FIFO costing has no cost
+ * layers. Opens an "opening" lot for the untracked quantity of each
+ * inventory record at its purchaseCost (0 when unknown), dated at its
+ * last restock. Safe to run more than once.
+ *
+ * Usage: npm run inventory:opening-lots
+ */
+async function createOpeningLots() {
+    try {
+        await connectDB();
+
+        const remaining = await StockLot.aggregate([
+            {
+                $group: {
+                    _id: "$inventory",
+                    quantity: { $sum: "$remainingQuantity" },
+                },
+            },
+        ]);
+        const remainingByInventory = new Map(
+            remaining.map((lot) => [String(lot._id), lot.quantity])
+        );
+
+        const records = await Inventory.find({
+            variant: { $ne: null },
+            stockQuantity: { $gt: 0 },
+        })
+            .select(
+                "product variant warehouse stockQuantity purchaseCost batchNumber supplier lastRestocked createdAt"
+            )
+            .lean();
+
+        const variants = await ProductVariant.find({
+            _id: { $in: records.map((record) => record.variant) },
+        })
+            .select("sku")
+            .lean();
+        const skuByVariant = new Map(
+            variants.map((variant) => [String(variant._id), variant.sku])
+        );
+
+        let created = 0;
+        let uncosted = 0;
+
+        for (const record of records) {
+            const untracked =
+                record.stockQuantity -
+                (remainingByInventory.get(String(record._id)) || 0);
+            if (untracked <= 0) continue;
+
+            await StockLot.create({
+                inventory: record._id,
+                product: record.product,
+                variant: record.variant,
+                sku: skuByVariant.get(String(record.variant)) || "UNKNOWN",
+                warehouse: record.warehouse,
+                source: "opening",
+                batchNumber: record.batchNumber,
+                supplier: record.supplier,
+                unitCost: record.purchaseCost ?? 0,
+                receivedQuantity: untracked,
+                remainingQuantity: untracked,
+                receivedAt: record.lastRestocked || record.createdAt,
+            });
+
+            created++;
+            if (record.purchaseCost === undefined) uncosted++;
+        }
+
+        logger.info(
+            `Opening lots created: ${created} (${uncosted} without a purchase cost, valued at 0)`
+        );
+        process.exit(0);
+    } catch (error) {
+        logger.error("Error creating opening lots:", error.message);
+        process.exit(1);
+    }
+}
+
+createOpeningLots();
@@ -0,0 +1,134 @@
+import dotenv from "dotenv";
+import Inventory from "../../features/inventory/inventory.model.js";
+import StockLot from "../../features/inventory/stock-lot.model.js";
+import StockReservation from "../../features/inventory/stock-reservation.model.js";
+import connectDB from "../config/db.config.js";
+import { runInTransaction } from "../utils/transaction.util.js";
+import logger from "../utils/logger.util.js";
+
+dotenv.config();
+
+const QUANTITY_FIELDS = [
+    "stockQuantity",
+    "reservedQuantity",
+    "inTransitQuantity",
+];
+
+const DETAIL_FIELDS = [
+    "location",
+    "batchNumber",
+    "supplier",
+    "purchaseCost",
+    "notes",
+];
+
+/**
+ * One-time migration: merges Inventory records that share a variant and
+ * warehouse into the oldest one, so the unique { variant, warehouse }
+ * index can be built. Quantities are summed, movement histories combined
+ * and stock lots and reservations moved onto the kept record.
+ * Pass --dry-run to only list the duplicates. Safe to run more than once.
+ *
+ * Usage:
+ * npm run inventory:merge-duplicates
+ * npm run inventory:merge-duplicates -- --dry-run
+ */
+async function mergeDuplicateInventory() {
+    const dryRun = process.argv.includes("--dry-run");
+
+    try {
+        await connectDB();
+
+        const groups = await Inventory.aggregate([
+            { $match: { variant: { $type: "objectId" } } },
+            {
+                $group: {
+                    _id: { variant: "$variant", warehouse: "$warehouse" },
+                    ids: { $push: "$_id" },
+                    count: { $sum: 1 },
+                },
+            },
+            { $match: { count: { $gt: 1 } } },
+        ]);
+
+        let merged = 0;
+
+        for (const group of groups) {
+            const label = `variant ${group._id.variant} in ${group._id.warehouse}`;
+
+            if (dryRun) {
+                logger.info(`${label}: ${group.count} records`);
+                continue;
+            }
+
+            await runInTransaction(async (session) => {
+                const [kept, ...duplicates] = await Inventory.find({
+                    _id: { $in: group.ids },
+                })
+                    .sort({ createdAt: 1, _id: 1 })
+                    .session(session);
+                const duplicateIds = duplicates.map((record) => record._id);
+
+                for (const record of duplicates) {
+                    for (const field of QUANTITY_FIELDS) {
+                        kept[field] = (kept[field] || 0) + (record[field] || 0);
+                    }
+
+                    for (const field of DETAIL_FIELDS) {
+                        if (kept[field] === undefined) {
+                            kept[field] = record[field];
+                        }
+                    }
+
+                    if (
+                        record.lastRestocked &&
+                        (!kept.lastRestocked ||
+                            record.lastRestocked > kept.lastRestocked)
+                    ) {
+                        kept.lastRestocked = record.lastRestocked;
+                    }
+                }
+
+                kept.movements = [kept, ...duplicates]
+                    .flatMap((record) =>
+                        record.movements.map((movement) => movement.toObject())
+                    )
+                    .sort((a, b) => a.timestamp - b.timestamp);
+
+                await StockLot.updateMany(
+                    { inventory: { $in: duplicateIds } },
+                    { $set: { inventory: kept._id } }
+                ).session(session);
+                await StockReservation.updateMany(
+                    { inventory: { $in: duplicateIds } },
+                    { $set: { inventory: kept._id } }
+                ).session(session);
+                await Inventory.deleteMany({
+                    _id: { $in: duplicateIds },
+                }).session(session);
+                await kept.save({ session });
+            });
+
+            merged += group.count - 1;
+            logger.info(`${label}: merged ${group.count} records into one`);
+        }
+
+        logger.info(
+            dryRun
+                ? `Found ${groups.length} duplicated variant/warehouse pair(s)`
+                : `Merged ${merged} duplicate inventory record(s) across ${groups.length} pair(s)`
+        );
+
+        if (!dryRun) {
+            await Inventory.createIndexes();
+            logger.info("Inventory indexes built");
+        }
+
+        process.exit(0);
+    } catch (error) {
+        logger.error("Error merging duplicate inventory:", error.message);
+        process.exit(1);
+    }
+}
+
+mergeDuplicateInventory();
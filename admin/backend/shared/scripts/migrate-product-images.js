@@ -0,0 +1,124 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Product from "../../features/products/product.model.js";
+import ProductRevision from "../../features/products/product-revision.model.js";
+import connectDB from "../config/db.config.js";
+import { extractPublicId } from "../utils/cloudinary.util.js";
+import logger from "../utils/logger.util.js";
+
+dotenv.config();
+
+/**
+ * One-time migration: Product.images used to be plain URL strings.
+ * Converts them (live, in drafts and in revision snapshots) to image
+ * records with the Cloudinary publicId. Safe to run more than once.
+ *
+ * Usage: npm run migrate:product-images
+ */
+
+const toImageRecords = (images) =>
+    images.map((image, index) =>
+        typeof image === "string"
+            ? {
+                  _id: new mongoose.Types.ObjectId(),
+                  publicId: extractPublicId(image) || undefined,
+                  url: image,
+                  sortOrder: index,
+                  isPrimary: index === 0,
+              }
+            : image
+    );
+
+const hasLegacyImages = (images) =>
+    Array.isArray(images) && images.some((image) => typeof image === "string");
+
+async function migrateProducts() {
+    // Raw collection access: legacy values would not cast to the new schema
+    const cursor = Product.collection.find({
+        $or: [
+            { images: { $type: "string" } },
+            { "draft.images": { $type: "string" } },
+        ],
+    });
+
+    let migrated = 0;
+    let external = 0;
+
+    for await (const product of cursor) {
+        const update = {};
+
+        if (hasLegacyImages(product.images)) {
+            update.images = toImageRecords(product.images);
+            external += update.images.filter((image) => !image.publicId).length;
+        }
+
+        if (hasLegacyImages(product.draft?.images)) {
+            update["draft.images"] = toImageRecords(product.draft.images);
+        }
+
+        await Product.collection.updateOne(
+            { _id: product._id },
+            { $set: update }
+        );
+        migrated++;
+    }
+
+    logger.info(`Products migrated: ${migrated}`);
+    if (external > 0) {
+        logger.warn(
+            `${external} image(s) are not hosted on Cloudinary and have no publicId`
+        );
+    }
+}
+
+async function migrateRevisions() {
+    const cursor = ProductRevision.collection.find({
+        $or: [
+            { "snapshot.live.images": { $type: "string" } },
+            { "snapshot.draft.images": { $type: "string" } },
+        ],
+    });
+
+    let migrated = 0;
+
+    for await (const revision of cursor) {
+        const update = {};
+
+        if (hasLegacyImages(revision.snapshot.live?.images)) {
+            update["snapshot.live.images"] = toImageRecords(
+                revision.snapshot.live.images
+            );
+        }
+
+        if (hasLegacyImages(revision.snapshot.draft?.images)) {
+            update["snapshot.draft.images"] = toImageRecords(
+                revision.snapshot.draft.images
+            );
+        }
+
+        await ProductRevision.collection.updateOne(
+            { _id: revision._id },
+            { $set: update }
+        );
+        migrated++;
+    }
+
+    logger.info(`Product revisions migrated: ${migrated}`);
+}
+
+async function migrateProductImages() {
+    try {
+        await connectDB();
+
+        await migrateProducts();
+        await migrateRevisions();
+
+        logger.info("Product image migration complete");
+        process.exit(0);
+    } catch (error) {
+        logger.error("Error migrating product images:", error.message);
+        process.exit(1);
+    }
+}
+
+migrateProductImages();
@@ -0,0 +1,51 @@
+import dotenv from "dotenv";
+import connectDB from "../config/db.config.js";
+import { reconcileInventory } from "../../features/inventory/inventory.service.js";
+import logger from "../utils/logger.util.js";
+
+dotenv.config();
+
+/**
+ * Report drift between ProductVariant.stockQuantity and Inventory records.
+ * Pass --fix to bring variants in line with Inventory.
+ *
+ * Usage:
+ * npm run inventory:reconcile
+ * npm run inventory:reconcile -- --fix
+ */
+async function runReconciliation() {
+    const fix = process.argv.includes("--fix");
+
+    try {
+        await connectDB();
+
+        const { data, summary } = await reconcileInventory({ fix });
+
+        for (const issue of data) {
+            logger.info(
+                `${issue.type}: ${issue.sku || issue.variant} variant=${
+                    issue.variantQuantity ?? "-"
+                } inventory=${issue.inventoryQuantity ?? "-"}${
+                    fix ? ` fixed=${Boolean(issue.fixed)}` : ""
+                }${issue.missingCost ? " cost=missing" : ""}`
+            );
+        }
+
+        logger.info(
+            `Checked ${summary.variantsChecked} variants: ${summary.issues} issue(s), ${summary.fixed} fixed`
+        );
+
+        if (summary.missingCost > 0) {
+            logger.warn(
+                `${summary.missingCost} opening lot(s) were created without a known cost and are valued at 0`
+            );
+        }
+
+        process.exit(0);
+    } catch (error) {
+        logger.error("Error reconciling inventory:", error.message);
+        process.exit(1);
+    }
+}
+
+runReconciliation();
@@ -2,6 +2,7 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import Admin from "../../features/users/admin.model.js";
 import connectDB from "../config/db.config.js";
+import { ensureSystemRoles } from "../../features/users/role.service.js";
 import logger from "../utils/logger.util.js";
 
 dotenv.config();
@@ -13,6 +14,7 @@ const SUPER_ADMIN_NAME = "Super Admin";
 async function seedSuperAdmin() {
     try {
         await connectDB();
+        await ensureSystemRoles();
 
         const existingAdmin = await Admin.findOne({ email: SUPER_ADMIN_EMAIL });
 
@@ -27,7 +29,6 @@ async function seedSuperAdmin() {
             email: SUPER_ADMIN_EMAIL,
             password: SUPER_ADMIN_PASSWORD,
             role: "super-admin",
-            permissions: ["*"],
             isActive: true,
         });
 
@@ -275,6 +275,55 @@ export const getImageVariants = (publicId) => {
     };
 };
 
+/**
+ * Get the Cloudinary public_id from a delivery URL
+ * Strings that are already public_ids are returned as-is;
+ * URLs hosted elsewhere return null
+ *
+ * @param {string} urlOrPublicId - Cloudinary URL or public_id
+ * @returns {string|null} public_id
+ *
+ * Example:
+ * extractPublicId('https://res.cloudinary.com/demo/image/upload/v1712/sana-silver/products/ring.jpg')
+ * Returns: 'sana-silver/products/ring'
+ */
+export const extractPublicId = (urlOrPublicId) => {
+    if (!urlOrPublicId) {
+        return null;
+    }
+
+    if (!/^https?:\/\//i.test(urlOrPublicId)) {
+        return urlOrPublicId;
+    }
+
+    const match = urlOrPublicId.match(
+        /res\.cloudinary\.com\/[^/]+\/image\/upload\/(.+)$/
+    );
+    if (!match) {
+        return null;
+    }
+
+    const segments = match[1].split("?")[0].split("/");
+
+    // Skip leading transformations (e.g. "w_300,h_300,c_fill") and the version
+    const versionIndex = segments.findIndex((segment) =>
+        /^v\d+$/.test(segment)
+    );
+    const pathSegments =
+        versionIndex >= 0
+            ? segments.slice(versionIndex + 1)
+            : segments.slice(
+                  segments.findIndex(
+                      (segment) =>
+                          !/^[a-z]{1,3}_[^,]+(,[a-z]{1,3}_[^,]+)*$/.test(
+                              segment
+                          )
+                  )
+              );
+
+    return pathSegments.join("/").replace(/\.[a-z0-9]+$/i, "") || null;
+};
+
 /**
  * Generate square thumbnail (for avatars, icons where square is needed)
  * This WILL crop to square - use only when necessary
@@ -361,6 +410,7 @@ export default {
     deleteImage,
     deleteMultipleImages,
     getImageVariants,
+    extractPublicId,
     getSquareThumbnail,
     getCustomTransformation,
     deleteFolder,
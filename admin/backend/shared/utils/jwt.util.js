@@ -1,11 +1,11 @@
 import jwt from "jsonwebtoken";
 
-const generateAccessToken = (admin) => {
+const generateAccessToken = (admin, sessionId) => {
     const payload = {
         adminId: admin._id,
+        sessionId,
         email: admin.email,
         role: admin.role,
-        permissions: admin.permissions,
     };
 
     return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
@@ -13,9 +13,11 @@ const generateAccessToken = (admin) => {
     });
 };
 
-const generateRefreshToken = (admin) => {
+const generateRefreshToken = (admin, sessionId, tokenId) => {
     const payload = {
         adminId: admin._id,
+        sessionId,
+        tokenId,
         tokenVersion: admin.tokenVersion || 0,
     };
 
@@ -40,6 +42,37 @@ const verifyRefreshToken = (token) => {
     }
 };
 
+const getTokenExpiry = (token) => {
+    const { exp } = jwt.decode(token);
+    return new Date(exp * 1000);
+};
+
+// Challenge tokens are signed with a derived key so they can never be
+// replayed as access tokens
+const getTwoFactorChallengeSecret = () => {
+    return process.env.JWT_2FA_SECRET || `${process.env.JWT_ACCESS_SECRET}:2fa`;
+};
+
+const generateTwoFactorChallengeToken = (admin, purpose) => {
+    const payload = {
+        adminId: admin._id,
+        tokenVersion: admin.tokenVersion || 0,
+        purpose,
+    };
+
+    return jwt.sign(payload, getTwoFactorChallengeSecret(), {
+        expiresIn: process.env.JWT_2FA_EXPIRES_IN || "5m",
+    });
+};
+
+const verifyTwoFactorChallengeToken = (token) => {
+    try {
+        return jwt.verify(token, getTwoFactorChallengeSecret());
+    } catch (error) {
+        throw error;
+    }
+};
+
 const getAccessTokenCookieOptions = () => {
     return {
         httpOnly: true,
@@ -58,11 +91,20 @@ const getRefreshTokenCookieOptions = () => {
     };
 };
 
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    res.cookie("accessToken", accessToken, getAccessTokenCookieOptions());
+    res.cookie("refreshToken", refreshToken, getRefreshTokenCookieOptions());
+};
+
 export {
     generateAccessToken,
     generateRefreshToken,
     verifyAccessToken,
     verifyRefreshToken,
+    getTokenExpiry,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
     getAccessTokenCookieOptions,
     getRefreshTokenCookieOptions,
+    setAuthCookies,
 };
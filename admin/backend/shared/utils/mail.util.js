@@ -0,0 +1,104 @@
+/**
+ * Mail Utility
+ * Sends email through a pluggable transport selected by MAIL_TRANSPORT
+ *
+ * Built-in transports:
+ * - console: Logs the message (default, for local development)
+ * - file: Writes each message as JSON into MAIL_OUTBOX_DIR
+ *
+ * A transport is a plain object with an async send(message) function.
+ * Register real providers (SMTP, SES, ...) with registerMailTransport.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import logger from "./logger.util.js";
+
+const consoleTransport = {
+    send: async (message) => {
+        logger.info(
+            `[mail:console] To: ${message.to} | Subject: ${message.subject}`
+        );
+        logger.debug("Mail body:", message.text);
+        return { delivered: true, transport: "console" };
+    },
+};
+
+const fileTransport = {
+    send: async (message) => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || "outbox";
+        await fs.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}_${message.to.replace(
+            /[^a-zA-Z0-9@.-]/g,
+            "_"
+        )}.json`;
+        const filePath = path.join(outboxDir, fileName);
+
+        await fs.writeFile(
+            filePath,
+            JSON.stringify(
+                { ...message, sentAt: new Date().toISOString() },
+                null,
+                2
+            )
+        );
+
+        logger.info(
+            `[mail:file] Message for ${message.to} written to ${filePath}`
+        );
+        return { delivered: true, transport: "file", filePath };
+    },
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+};
+
+/**
+ * Register a custom mail transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object with async send(message)
+ *
+ * Example:
+ * registerMailTransport('smtp', { send: async (message) => { ... } });
+ */
+export const registerMailTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== "function") {
+        throw new Error("Mail transport must implement send(message)");
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = async (message) => {
+    const transportName = process.env.MAIL_TRANSPORT || "console";
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    try {
+        return await transport.send({
+            from: process.env.MAIL_FROM || "no-reply@sanasilver.com",
+            ...message,
+        });
+    } catch (error) {
+        logger.error(
+            `Mail delivery failed via ${transportName} to ${message.to}:`,
+            error.message
+        );
+        throw new Error(`Failed to send email: ${error.message}`);
+    }
+};
+
+export default {
+    sendMail,
+    registerMailTransport,
+};
@@ -0,0 +1,112 @@
+/**
+ * Notification Utility
+ * Delivers operational alerts through pluggable channels
+ *
+ * Built-in channels:
+ * - log: Writes the alert to the application log (default)
+ * - email: Mails the alert to the comma separated NOTIFICATION_EMAILS
+ *
+ * A channel is a plain object with an async send(notification) function.
+ * Register others (Slack, SMS, webhooks, ...) with registerNotificationChannel.
+ */
+
+import logger from "./logger.util.js";
+import { sendMail } from "./mail.util.js";
+
+const logChannel = {
+    send: async (notification) => {
+        logger.warn(`[notify:log] ${notification.subject}`);
+        logger.info(notification.text);
+        return { delivered: true, channel: "log" };
+    },
+};
+
+const emailChannel = {
+    send: async (notification) => {
+        const recipients = (process.env.NOTIFICATION_EMAILS || "")
+            .split(",")
+            .map((email) => email.trim())
+            .filter(Boolean);
+
+        if (recipients.length === 0) {
+            throw new Error("NOTIFICATION_EMAILS is not set");
+        }
+
+        await sendMail({
+            to: recipients.join(","),
+            subject: notification.subject,
+            text: notification.text,
+        });
+
+        return { delivered: true, channel: "email" };
+    },
+};
+
+const channels = {
+    log: logChannel,
+    email: emailChannel,
+};
+
+/**
+ * Register a custom notification channel
+ * @param {string} name - Channel name used in the channel list
+ * @param {Object} channel - Object with async send(notification)
+ *
+ * Example:
+ * registerNotificationChannel('slack', { send: async (notification) => { ... } });
+ */
+export const registerNotificationChannel = (name, channel) => {
+    if (!channel || typeof channel.send !== "function") {
+        throw new Error(
+            "Notification channel must implement send(notification)"
+        );
+    }
+    channels[name] = channel;
+};
+
+/**
+ * Send a notification through every listed channel
+ * A failing channel does not stop the others
+ * @param {string[]} channelNames - Channels to deliver through
+ * @param {Object} notification - { type, subject, text, data }
+ * @returns {Promise<Object[]>} One { channel, delivered, error? } per channel
+ *
+ * Example:
+ * await notify(['log', 'email'], { type: 'low-stock', subject: '...', text: '...' });
+ */
+export const notify = async (channelNames, notification) => {
+    return Promise.all(
+        channelNames.map(async (name) => {
+            const channel = channels[name];
+
+            if (!channel) {
+                logger.error(`Unknown notification channel: ${name}`);
+                return {
+                    channel: name,
+                    delivered: false,
+                    error: "Unknown channel",
+                };
+            }
+
+            try {
+                await channel.send(notification);
+                return { channel: name, delivered: true };
+            } catch (error) {
+                logger.error(
+                    `Notification delivery failed via ${name}:`,
+                    error.message
+                );
+                return {
+                    channel: name,
+                    delivered: false,
+                    error: error.message,
+                };
+            }
+        })
+    );
+};
+
+export default {
+    notify,
+    registerNotificationChannel,
+};
@@ -0,0 +1,49 @@
+/**
+ * Pagination Utility
+ * Parses pagination query params and builds the pagination meta block
+ * used by apiResponse.successWithPagination / successWithMeta
+ */
+
+const DEFAULT_PAGE = 1;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse page and limit from query params
+ * @param {Object} query - Request query object
+ * @returns {Object} { page, limit, skip }
+ *
+ * Example:
+ * const { page, limit, skip } = getPaginationParams(req.query);
+ */
+const getPaginationParams = (query = {}) => {
+    const page = Math.max(parseInt(query.page) || DEFAULT_PAGE, 1);
+    const limit = Math.min(
+        Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+        MAX_LIMIT
+    );
+
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Build pagination meta for a paginated result
+ * @param {number} page - Current page
+ * @param {number} limit - Items per page
+ * @param {number} total - Total matching documents
+ * @returns {Object} Pagination meta
+ */
+const buildPagination = (page, limit, total) => {
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+    };
+};
+
+export { getPaginationParams, buildPagination };
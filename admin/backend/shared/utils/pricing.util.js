@@ -0,0 +1,77 @@
+/**
+ * Pricing Utility
+ * Computes jewellery prices from the silver rate:
+ * metal value (weight x rate) + making charges + GST
+ */
+
+const DEFAULT_GST_RATE = 3;
+
+/**
+ * Round to paise (2 decimal places)
+ */
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calculate the price of a product (or variant) at a given silver rate
+ * @param {Object} item - { weight, makingCharges, makingChargesType, gstRate }
+ * @param {number} ratePerGram - Silver rate for the item's purity
+ * @param {number} additionalCharges - Extra taxable charges (e.g. variant stones)
+ * @returns {Object} Price breakdown; total is rounded to the nearest rupee
+ *
+ * Example:
+ * calculatePrice({ weight: 10, makingCharges: 12, makingChargesType: "percentage", gstRate: 3 }, 95)
+ * // metal 950 + making 114 = 1064, GST 31.92, total 1096
+ */
+const calculatePrice = (item, ratePerGram, additionalCharges = 0) => {
+    const weight = Number(item.weight) || 0;
+    const makingCharges = Number(item.makingCharges) || 0;
+    const gstRate = item.gstRate ?? DEFAULT_GST_RATE;
+
+    const metalValue = weight * ratePerGram;
+
+    let makingAmount;
+    switch (item.makingChargesType) {
+        case "percentage":
+            makingAmount = (metalValue * makingCharges) / 100;
+            break;
+        case "per-gram":
+            makingAmount = weight * makingCharges;
+            break;
+        default:
+            makingAmount = makingCharges;
+    }
+
+    const subtotal =
+        metalValue + makingAmount + (Number(additionalCharges) || 0);
+    const gstAmount = (subtotal * gstRate) / 100;
+
+    return {
+        ratePerGram,
+        weight,
+        metalValue: roundCurrency(metalValue),
+        makingAmount: roundCurrency(makingAmount),
+        additionalCharges: roundCurrency(Number(additionalCharges) || 0),
+        subtotal: roundCurrency(subtotal),
+        gstRate,
+        gstAmount: roundCurrency(gstAmount),
+        total: Math.round(subtotal + gstAmount),
+    };
+};
+
+/**
+ * Calculate a variant price: the variant's own weight (if set) replaces the
+ * product weight, and its additionalPrice is charged on top
+ * @param {Object} product - Parent product
+ * @param {Object} variant - Variant ({ weight, additionalPrice })
+ * @param {number} ratePerGram - Silver rate for the product's purity
+ * @returns {Object} Price breakdown
+ */
+const calculateVariantPrice = (product, variant, ratePerGram) => {
+    return calculatePrice(
+        { ...product, weight: variant.weight ?? product.weight },
+        ratePerGram,
+        variant.additionalPrice
+    );
+};
+
+export { calculatePrice, calculateVariantPrice, roundCurrency };
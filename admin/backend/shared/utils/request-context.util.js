@@ -0,0 +1,40 @@
+/**
+ * Request Context Utility
+ * Carries per-request details (request id, client IP, authenticated actor)
+ * through async calls so deeper layers - e.g. Mongoose plugins - can read
+ * them without every service having to pass them along
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a fresh request context
+ * @param {Object} context - Initial context values
+ * @param {Function} callback - Function to run inside the context
+ */
+const runWithRequestContext = (context, callback) => {
+    return requestContextStorage.run({ ...context }, callback);
+};
+
+/**
+ * Get the current request context
+ * @returns {Object|null} Context object, or null outside a request
+ */
+const getRequestContext = () => {
+    return requestContextStorage.getStore() || null;
+};
+
+/**
+ * Merge values into the current request context
+ * @param {Object} values - Values to set (e.g. { actor })
+ */
+const setRequestContext = (values) => {
+    const store = requestContextStorage.getStore();
+    if (store) {
+        Object.assign(store, values);
+    }
+};
+
+export { runWithRequestContext, getRequestContext, setRequestContext };
@@ -0,0 +1,21 @@
+/**
+ * Request Utility
+ * Extracts client details recorded alongside security-sensitive actions
+ */
+
+/**
+ * Get client context (user agent and IP) from a request
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ *
+ * Example:
+ * await adminService.loginAdmin(email, password, getClientContext(req));
+ */
+const getClientContext = (req) => {
+    return {
+        userAgent: req.get("user-agent") || "",
+        ipAddress: req.ip,
+    };
+};
+
+export { getClientContext };
@@ -118,6 +118,14 @@ const apiResponse = {
         return sendResponse(res, 409, false, message);
     },
 
+    locked: (res, message = "Locked") => {
+        return sendResponse(res, 423, false, message);
+    },
+
+    tooManyRequests: (res, message = "Too many requests") => {
+        return sendResponse(res, 429, false, message);
+    },
+
     validationError: (res, message = "Validation failed", errors = null) => {
         return sendResponse(res, 422, false, message, errors);
     },
@@ -0,0 +1,103 @@
+/**
+ * Search Utility
+ * Regex escaping and typo-tolerant matching helpers used by catalogue search
+ */
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (value) => {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+/**
+ * Normalize a SKU (or SKU-like query) for comparison: uppercase,
+ * alphanumerics only, without the shared "SS" prefix
+ * @param {string} value - SKU or query
+ * @returns {string} Normalized key
+ *
+ * Example:
+ * normalizeSku("SS-RING-LOTUS-001") // "RINGLOTUS001"
+ * normalizeSku("ring lotus")        // "RINGLOTUS"
+ */
+const normalizeSku = (value = "") => {
+    return String(value)
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, "")
+        .replace(/^SS(?=[A-Z])/, "");
+};
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance
+ * Counts insertions, deletions, substitutions and adjacent transpositions
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) =>
+        Array.from({ length: cols }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+    );
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+            if (
+                i > 1 &&
+                j > 1 &&
+                a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1]
+            ) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+};
+
+/**
+ * Edit distance between a query and the closest prefix of a target,
+ * so "RNGLOT" matches "RINGLOTUS001" with distance 1
+ * @param {string} query - Normalized query
+ * @param {string} target - Normalized target
+ * @param {number} maxDistance - Prefix lengths tried around query.length
+ * @returns {number} Smallest distance found
+ */
+const prefixEditDistance = (query, target, maxDistance = 2) => {
+    let best = Infinity;
+
+    for (let delta = -maxDistance; delta <= maxDistance; delta++) {
+        const length = query.length + delta;
+        if (length < 1 || length > target.length) continue;
+        best = Math.min(best, editDistance(query, target.slice(0, length)));
+    }
+
+    return best;
+};
+
+/**
+ * Typos tolerated for a query of a given length
+ */
+const getAllowedTypos = (query) => {
+    if (query.length >= 8) return 2;
+    if (query.length >= 4) return 1;
+    return 0;
+};
+
+export {
+    escapeRegex,
+    normalizeSku,
+    editDistance,
+    prefixEditDistance,
+    getAllowedTypos,
+};
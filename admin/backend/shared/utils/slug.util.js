@@ -0,0 +1,41 @@
+/**
+ * Slug Utility
+ * Builds URL slugs and SKU code segments from free text
+ */
+
+/**
+ * Convert text to a lowercase, hyphen-separated URL slug
+ * @param {string} text - Source text (e.g. product name)
+ * @returns {string} Slug
+ *
+ * Example:
+ * slugify("Lotus Flower Ring (925)") // "lotus-flower-ring-925"
+ */
+const slugify = (text = "") => {
+    return String(text)
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+};
+
+/**
+ * Convert text to an uppercase alphanumeric SKU segment
+ * @param {string} text - Source text
+ * @param {number} maxLength - Maximum segment length
+ * @returns {string} Segment (may be empty if text has no alphanumerics)
+ *
+ * Example:
+ * toSkuSegment("Rose Gold") // "ROSEGOLD"
+ */
+const toSkuSegment = (text = "", maxLength = 10) => {
+    return String(text)
+        .normalize("NFKD")
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, "")
+        .slice(0, maxLength);
+};
+
+export { slugify, toSkuSegment };
@@ -0,0 +1,180 @@
+/**
+ * Spreadsheet Utility
+ * Reads CSV/XLSX uploads into plain row objects and writes rows back out
+ * as CSV or XLSX buffers (import reports, exports)
+ */
+
+import ExcelJS from "exceljs";
+import streamifier from "streamifier";
+
+const SPREADSHEET_FORMATS = {
+    csv: "text/csv",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Leading characters spreadsheet apps read as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Normalize a header so "Variant SKU", "variant_sku" and "variantSku" match
+ */
+const normalizeHeader = (header) =>
+    String(header ?? "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Unwrap ExcelJS cell values (rich text, hyperlinks, formulas, dates)
+ */
+const toCellValue = (value) => {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "object") {
+        if (value.richText) {
+            return value.richText.map((part) => part.text).join("");
+        }
+        if (value.text !== undefined) return toCellValue(value.text);
+        if (value.result !== undefined) return toCellValue(value.result);
+        return "";
+    }
+    return typeof value === "string" ? unescapeFormula(value.trim()) : value;
+};
+
+/**
+ * Prefix text that would run as a formula with an apostrophe, so exported
+ * cells like "=HYPERLINK(...)" open as plain text
+ *
+ * Example:
+ * escapeFormula("=1+2") // "'=1+2"
+ * escapeFormula(-5) // -5 (numbers are left alone)
+ */
+const escapeFormula = (value) =>
+    typeof value === "string" && FORMULA_PREFIX.test(value)
+        ? `'${value}`
+        : value;
+
+/**
+ * Undo escapeFormula so exported files import back unchanged
+ */
+const unescapeFormula = (value) =>
+    value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+        ? value.slice(1)
+        : value;
+
+/**
+ * Get the spreadsheet format from a file name
+ * @param {string} fileName - Original file name
+ * @returns {string|null} "csv", "xlsx" or null if unsupported
+ */
+const getSpreadsheetFormat = (fileName = "") => {
+    const ext = fileName.split(".").pop().toLowerCase();
+    return SPREADSHEET_FORMATS[ext] ? ext : null;
+};
+
+/**
+ * Read the first sheet of a CSV/XLSX file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - "csv" or "xlsx"
+ * @param {Object} columns - Map of normalized header -> field name
+ * @returns {Promise<Object>} { rows: [{ rowNumber, values }], unknownColumns }
+ *
+ * Example:
+ * const { rows } = await readSpreadsheet(file.buffer, "csv", { sku: "sku" });
+ * // rows[0] = { rowNumber: 2, values: { sku: "SS-RING-LOTUS-001" } }
+ */
+const readSpreadsheet = async (buffer, format, columns) => {
+    const workbook = new ExcelJS.Workbook();
+
+    let worksheet;
+    if (format === "csv") {
+        worksheet = await workbook.csv.read(
+            streamifier.createReadStream(buffer)
+        );
+    } else {
+        await workbook.xlsx.load(buffer);
+        worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.rowCount === 0) {
+        return { rows: [], unknownColumns: [] };
+    }
+
+    const headers = [];
+    const unknownColumns = [];
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+        const header = toCellValue(cell.value);
+        const field = columns[normalizeHeader(header)];
+        headers[columnNumber] = field;
+        if (!field && header !== "") unknownColumns.push(String(header));
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const values = {};
+        row.eachCell((cell, columnNumber) => {
+            const field = headers[columnNumber];
+            const value = toCellValue(cell.value);
+            if (field && value !== "") values[field] = value;
+        });
+
+        if (Object.keys(values).length > 0) {
+            rows.push({ rowNumber, values });
+        }
+    });
+
+    return { rows, unknownColumns };
+};
+
+/**
+ * Write rows to a CSV/XLSX buffer
+ * @param {Array} columns - [{ header, key, width? }]
+ * @param {Array} rows - Plain objects keyed by column key
+ * @param {string} format - "csv" or "xlsx"
+ * @param {string} sheetName - Worksheet name (xlsx only)
+ * @returns {Promise<Object>} { buffer, contentType }
+ */
+const writeSpreadsheet = async (
+    columns,
+    rows,
+    format = "csv",
+    sheetName = "Sheet1"
+) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheetName);
+
+    worksheet.columns = columns.map(({ header, key, width }) => ({
+        header,
+        key,
+        width: width || Math.max(header.length + 2, 12),
+    }));
+    worksheet.addRows(
+        rows.map((row) =>
+            Object.fromEntries(
+                Object.entries(row).map(([key, value]) => [
+                    key,
+                    escapeFormula(value),
+                ])
+            )
+        )
+    );
+
+    const buffer =
+        format === "xlsx"
+            ? await workbook.xlsx.writeBuffer()
+            : await workbook.csv.writeBuffer();
+
+    return {
+        buffer: Buffer.from(buffer),
+        contentType: SPREADSHEET_FORMATS[format] || SPREADSHEET_FORMATS.csv,
+    };
+};
+
+export {
+    SPREADSHEET_FORMATS,
+    normalizeHeader,
+    getSpreadsheetFormat,
+    readSpreadsheet,
+    writeSpreadsheet,
+};
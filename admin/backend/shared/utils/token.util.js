@@ -0,0 +1,27 @@
+/**
+ * Opaque Token Utility
+ * Generates random single-use tokens and the hashes we persist for them
+ * Only the hash is ever stored - the raw token is handed to the user once
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Hex encoded token
+ */
+const generateSecureToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString("hex");
+};
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+export { generateSecureToken, hashToken };
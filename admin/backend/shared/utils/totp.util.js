@@ -0,0 +1,163 @@
+/**
+ * TOTP Utility (RFC 6238)
+ * Time-based one-time passwords compatible with Google Authenticator,
+ * Authy, 1Password etc. (HMAC-SHA1, 6 digits, 30 second period)
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 secret");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the time step counter for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch (default: now)
+ * @returns {number} Time step
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} timeStep - Time step counter
+ * @returns {string} Zero padded code
+ */
+const generateTotpCode = (secret, timeStep = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(counter)
+        .digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+        ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Verify a TOTP code allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of steps accepted before/after now (default: 1)
+ * @returns {number|null} Matched time step, or null when invalid
+ *
+ * Example:
+ * const step = verifyTotpCode(secret, '123456');
+ * if (step === null) throw new Error('Invalid code');
+ */
+const verifyTotpCode = (secret, code, window = 1) => {
+    const normalizedCode = String(code || "").replace(/\s/g, "");
+
+    if (!/^\d{6}$/.test(normalizedCode)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep();
+
+    for (let drift = -window; drift <= window; drift++) {
+        const step = currentStep + drift;
+        const expected = generateTotpCode(secret, step);
+
+        if (
+            crypto.timingSafeEqual(
+                Buffer.from(expected),
+                Buffer.from(normalizedCode)
+            )
+        ) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// provisioning URI for QR codes
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+    generateTotpSecret,
+    generateTotpCode,
+    verifyTotpCode,
+    buildOtpAuthUri,
+    getTimeStep,
+};
@@ -0,0 +1,26 @@
+/**
+ * Transaction Utility
+ * Runs work inside a MongoDB transaction (requires a replica set)
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Run a function in a transaction, retrying on transient errors
+ * The callback may run more than once. Documents saved in it have their
+ * state reset between attempts (connection.transaction), but anything
+ * read before the transaction is not re-read, so load documents inside it
+ * when their current values matter.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Whatever work returned
+ *
+ * Example:
+ * const inventory = await runInTransaction(async (session) => {
+ *     const record = await Inventory.findById(id).session(session);
+ *     record.stockQuantity += 5;
+ *     return record.save({ session });
+ * });
+ */
+const runInTransaction = (work) => mongoose.connection.transaction(work);
+
+export { runInTransaction };